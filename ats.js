@@ -0,0 +1,174 @@
+// ============================================================
+// Applicant Tracking System (ATS) Boards
+// Parsers for the public job-board JSON of Greenhouse, Lever,
+// Ashby and Workable. Each ATS knows how to build an employer's
+// board URL from its slug and how to turn the response into
+// plain postings; fetcher.js adds company, filtering and scoring.
+//
+// API bases can be overridden (GREENHOUSE_API_BASE etc.) to point
+// the connectors at a local stub serving recorded board JSON.
+// ============================================================
+
+const GREENHOUSE_API = process.env.GREENHOUSE_API_BASE || "https://boards-api.greenhouse.io";
+const LEVER_API = process.env.LEVER_API_BASE || "https://api.lever.co";
+const ASHBY_API = process.env.ASHBY_API_BASE || "https://api.ashbyhq.com";
+const WORKABLE_API = process.env.WORKABLE_API_BASE || "https://apply.workable.com";
+
+const CURRENCY_SYMBOLS = { GBP: "£", EUR: "€", USD: "$" };
+
+/**
+ * Every parser returns postings of this shape:
+ *   { id, title, location, description, url, department, job_type, remote, salary, posted_at }
+ * `url` is the employer's canonical posting page, which carries the apply form.
+ */
+
+// ---------------------------------------------------------------------------
+// Greenhouse — GET /v1/boards/{slug}/jobs?content=true
+// ---------------------------------------------------------------------------
+function parseGreenhouse(data) {
+  return (data.jobs || []).map((job) => {
+    const location = (job.location && job.location.name) || "";
+    return {
+      id: String(job.id),
+      title: job.title || "",
+      location,
+      // Greenhouse entity-encodes the HTML body
+      description: decodeHtmlEntities(job.content || ""),
+      url: job.absolute_url || "",
+      department: (job.departments || []).map((d) => d.name).join(", "),
+      job_type: "",
+      remote: /remote/i.test(location),
+      salary: null,
+      posted_at: job.first_published || job.updated_at || null,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Lever — GET /v0/postings/{slug}?mode=json
+// ---------------------------------------------------------------------------
+function parseLever(data) {
+  return (Array.isArray(data) ? data : []).map((job) => {
+    const categories = job.categories || {};
+    const locations = categories.allLocations && categories.allLocations.length
+      ? categories.allLocations.join("; ")
+      : categories.location || "";
+    const lists = (job.lists || [])
+      .map((list) => `<h3>${list.text}</h3><ul>${list.content}</ul>`)
+      .join("");
+
+    return {
+      id: job.id,
+      title: job.text || "",
+      location: locations,
+      description: `${job.description || ""}${lists}${job.additional || ""}`,
+      url: job.hostedUrl || job.applyUrl || "",
+      department: [categories.department, categories.team].filter(Boolean).join(", "),
+      job_type: categories.commitment || "",
+      remote: job.workplaceType === "remote" || /remote/i.test(locations),
+      salary: formatSalaryRange(job.salaryRange),
+      posted_at: job.createdAt ? new Date(job.createdAt).toISOString() : null,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Ashby — GET /posting-api/job-board/{slug}?includeCompensation=true
+// ---------------------------------------------------------------------------
+function parseAshby(data) {
+  return (data.jobs || [])
+    .filter((job) => job.isListed !== false)
+    .map((job) => {
+      const locations = [job.location, ...(job.secondaryLocations || []).map((l) => l.location)]
+        .filter(Boolean)
+        .join("; ");
+      const compensation = job.compensation || {};
+
+      return {
+        id: job.id,
+        title: job.title || "",
+        location: locations,
+        description: job.descriptionHtml || job.descriptionPlain || "",
+        url: job.jobUrl || job.applyUrl || "",
+        department: [job.department, job.team].filter(Boolean).join(", "),
+        job_type: job.employmentType || "",
+        remote: job.isRemote === true || job.workplaceType === "Remote",
+        salary: compensation.compensationTierSummary || null,
+        posted_at: job.publishedAt || null,
+      };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Workable — GET /api/v1/widget/accounts/{slug}?details=true
+// ---------------------------------------------------------------------------
+function parseWorkable(data) {
+  return (data.jobs || []).map((job) => {
+    const locations = job.locations && job.locations.length
+      ? job.locations.map((l) => [l.city, l.country].filter(Boolean).join(", ")).join("; ")
+      : [job.city, job.country].filter(Boolean).join(", ");
+
+    return {
+      id: job.shortcode || job.code,
+      title: job.title || "",
+      location: locations,
+      description: job.description || "",
+      url: job.url || job.shortlink || job.application_url || "",
+      department: job.department || "",
+      job_type: job.employment_type || "",
+      remote: job.telecommuting === true,
+      salary: null,
+      posted_at: job.published_on || job.created_at || null,
+    };
+  });
+}
+
+const ATS = {
+  greenhouse: {
+    name: "Greenhouse",
+    boardUrl: (slug) => `${GREENHOUSE_API}/v1/boards/${encodeURIComponent(slug)}/jobs?content=true`,
+    parse: parseGreenhouse,
+  },
+  lever: {
+    name: "Lever",
+    boardUrl: (slug) => `${LEVER_API}/v0/postings/${encodeURIComponent(slug)}?mode=json`,
+    parse: parseLever,
+  },
+  ashby: {
+    name: "Ashby",
+    boardUrl: (slug) => `${ASHBY_API}/posting-api/job-board/${encodeURIComponent(slug)}?includeCompensation=true`,
+    parse: parseAshby,
+  },
+  workable: {
+    name: "Workable",
+    boardUrl: (slug) => `${WORKABLE_API}/api/v1/widget/accounts/${encodeURIComponent(slug)}?details=true`,
+    parse: parseWorkable,
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function formatSalaryRange(range) {
+  if (!range || (!range.min && !range.max)) return null;
+  const symbol = CURRENCY_SYMBOLS[range.currency] || (range.currency ? `${range.currency} ` : "");
+  const fmt = (n) => `${symbol}${Number(n).toLocaleString("en-GB")}`;
+  const amount = range.min && range.max && range.min !== range.max
+    ? `${fmt(range.min)} - ${fmt(range.max)}`
+    : fmt(range.min || range.max);
+  const interval = range.interval && range.interval !== "per-year-salary"
+    ? ` ${range.interval.replace(/-/g, " ").replace(/ salary$/, "")}`
+    : "";
+  return amount + interval;
+}
+
+function decodeHtmlEntities(str) {
+  return str.replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+module.exports = { ATS };
@@ -7,23 +7,13 @@
 
 const fs = require("fs");
 const path = require("path");
+const { normalise, createDirectory, resolveCompany, describeResolution } = require("./company");
 
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 const BCORP_CACHE = path.join(DATA_DIR, "bcorp_cache.json");
 const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-let bcorpSet = null;
-
-// Normalise company name for matching (mirrors sponsor.js logic)
-function normalise(name) {
-  return name
-    .toLowerCase()
-    .replace(/["\u201C\u201D'\u2018\u2019]/g, "")
-    .replace(/\b(ltd|limited|llp|plc|inc|corp|corporation|gmbh|ag|group|holdings|uk)\b/gi, "")
-    .replace(/[^a-z0-9\s&]/g, "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
+let directory = null; // company.js directory: normalised name -> name
 
 // ---------------------------------------------------------------------------
 // UK B Corporation Directory (curated, updated February 2026)
@@ -189,8 +179,8 @@ async function loadBCorpDirectory() {
       const stat = fs.statSync(BCORP_CACHE);
       if (Date.now() - stat.mtimeMs < CACHE_MAX_AGE) {
         const cached = JSON.parse(fs.readFileSync(BCORP_CACHE, "utf-8"));
-        bcorpSet = new Set(cached.names.map((n) => normalise(n)));
-        console.log(`  [BCorp] Loaded ${bcorpSet.size} B Corps from cache`);
+        directory = buildDirectory(cached.names);
+        console.log(`  [BCorp] Loaded ${directory.entries.size} B Corps from cache`);
         return;
       }
     } catch (err) {
@@ -200,7 +190,7 @@ async function loadBCorpDirectory() {
 
   // Use the embedded directory
   console.log("  [BCorp] Loading UK B Corp directory...");
-  bcorpSet = new Set(UK_BCORPS.map((n) => normalise(n)));
+  directory = buildDirectory(UK_BCORPS);
 
   // Cache to disk
   try {
@@ -209,47 +199,61 @@ async function loadBCorpDirectory() {
       JSON.stringify({
         names: UK_BCORPS,
         updatedAt: new Date().toISOString(),
-        count: bcorpSet.size,
+        count: directory.entries.size,
       })
     );
-    console.log(`  [BCorp] Loaded ${bcorpSet.size} UK B Corps`);
+    console.log(`  [BCorp] Loaded ${directory.entries.size} UK B Corps`);
   } catch (err) {
     console.error("  [BCorp] Cache write error:", err.message);
   }
 }
 
+// The first spelling listed is the one shown for a match
+function buildDirectory(names) {
+  const entries = new Map();
+  for (const name of names) {
+    const key = normalise(name);
+    if (key && !entries.has(key)) entries.set(key, name);
+  }
+  return createDirectory("bcorp", entries, (name) => name);
+}
+
 // ---------------------------------------------------------------------------
 // Check if a company is a certified B Corp
 // ---------------------------------------------------------------------------
 function checkBCorp(companyName) {
-  if (!bcorpSet || !companyName) return false;
-
-  const key = normalise(companyName);
-  if (!key || key.length < 3) return false;
-
-  // Exact normalised match
-  if (bcorpSet.has(key)) return true;
-
-  // Partial match: shorter name contained in longer, with 60% length ratio
-  if (key.length >= 5) {
-    for (const bcKey of bcorpSet) {
-      if (bcKey.length >= 5) {
-        const shorter = key.length <= bcKey.length ? key : bcKey;
-        const longer = key.length > bcKey.length ? key : bcKey;
-        if (shorter.length / longer.length >= 0.6 && longer.includes(shorter)) {
-          return true;
-        }
-      }
-    }
-  }
+  return resolveBCorp(companyName).is_bcorp === 1;
+}
+
+/**
+ * Match a company against the B Corp directory. Returns { is_bcorp, match }
+ * where match is the stored form of the resolution (see company.js).
+ */
+function resolveBCorp(companyName) {
+  if (!directory || !companyName) return { is_bcorp: 0, match: null };
+  const resolution = resolveCompany(companyName, directory);
+  return { is_bcorp: resolution.match ? 1 : 0, match: describeResolution(resolution) };
+}
+
+function hasBCorp(key) {
+  return Boolean(directory && directory.entries.has(key));
+}
 
-  return false;
+/**
+ * Match jobs against the directory again. Returns one update per job for
+ * db.updateBCorpMatch, in the same order.
+ */
+function recheckJobs(jobs) {
+  return jobs.map((job) => {
+    const { is_bcorp, match } = resolveBCorp(job.company);
+    return { id: job.id, is_bcorp, bcorp_match: match ? JSON.stringify(match) : null };
+  });
 }
 
 async function ensureLoaded() {
-  if (!bcorpSet) {
+  if (!directory) {
     await loadBCorpDirectory();
   }
 }
 
-module.exports = { checkBCorp, ensureLoaded };
+module.exports = { checkBCorp, resolveBCorp, hasBCorp, recheckJobs, ensureLoaded };
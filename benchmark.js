@@ -0,0 +1,195 @@
+// ============================================================
+// Sponsor Lookup Benchmark
+// Times one refresh's worth of sponsor checks against the register
+// three ways: the original checkSponsor loop (exact key, then the
+// first entry containing or contained in the name), scoring every
+// register entry, and through the company.js token/trigram index.
+// Fails (exit 1) unless the index is faster than the original loop.
+// Also reports how often the index picks the same match and
+// candidates as the full scan: it skips entries that share only very
+// common words with a name, so a few lookups differ.
+//
+//   npm run benchmark -- [--jobs 300] [--synthetic] [--size 120000]
+//
+// Uses the stored register snapshot and the companies of jobs on the
+// board. Without a snapshot (or with --synthetic) it generates a
+// register of --size made-up sponsors and company names to look up.
+// ============================================================
+
+require("dotenv").config();
+const db = require("./db");
+const sponsor = require("./sponsor");
+const { createDirectory, serialiseIndex, resolveCompany, normalise, GENERIC_COMPANY_NAMES } = require("./company");
+
+function option(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  if (i === -1) return fallback;
+  const value = process.argv[i + 1];
+  return value && !value.startsWith("--") ? value : true;
+}
+
+const JOBS = parseInt(option("jobs")) || 300;
+const SIZE = parseInt(option("size")) || 120000;
+const SYNTHETIC = option("synthetic", false) === true;
+
+// ---------------------------------------------------------------------------
+// Synthetic register and names (seeded, so runs are comparable)
+// ---------------------------------------------------------------------------
+const WORDS = [
+  "green", "carbon", "climate", "energy", "care", "home", "services", "consulting", "partners", "solutions",
+  "global", "london", "north", "digital", "health", "capital", "management", "engineering", "systems", "trust",
+  "foods", "logistics", "property", "finance", "advisory", "nature", "water", "solar", "wind", "transport",
+  "recruitment", "education", "clinic", "retail", "design", "studio", "labs", "technology", "research", "estates",
+];
+const SYLLABLES = [
+  "ka", "lo", "mer", "tan", "vi", "sor", "bel", "dra", "quin", "ros", "fen", "ar", "zu", "pel", "nor", "ix",
+  "gal", "tem", "bri", "cas", "dun", "el", "hav", "jor", "lux", "mon", "ost", "pra", "rin", "sev", "tor", "vex",
+];
+const SUFFIXES = ["Ltd", "Limited", "LLP", "PLC", "Group Ltd", "UK Limited", ""];
+
+function random(seed) {
+  let t = seed;
+  return () => {
+    t = (t + 0x6d2b79f5) | 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function syntheticName(rand) {
+  const brand = Array.from({ length: 2 + Math.floor(rand() * 2) }, () => SYLLABLES[Math.floor(rand() * SYLLABLES.length)]).join("");
+  const words = Array.from({ length: Math.floor(rand() * 3) }, () => WORDS[Math.floor(rand() * WORDS.length)]);
+  const suffix = SUFFIXES[Math.floor(rand() * SUFFIXES.length)];
+  return [brand[0].toUpperCase() + brand.slice(1), ...words.map((w) => w[0].toUpperCase() + w.slice(1)), suffix].join(" ").trim();
+}
+
+function syntheticRegister(size) {
+  const rand = random(42);
+  const map = new Map();
+  while (map.size < size) {
+    const name = syntheticName(rand);
+    const key = normalise(name);
+    if (key && !map.has(key)) map.set(key, { name, rating: "A", routes: ["Skilled Worker"] });
+  }
+  return map;
+}
+
+// Names as listings spell them: exact, without suffix, with a word
+// dropped or added, respaced, or not on the register at all
+function syntheticCompanies(map, count) {
+  const rand = random(7);
+  const names = [...map.values()].map((e) => e.name);
+  const companies = [];
+  while (companies.length < count) {
+    const name = names[Math.floor(rand() * names.length)];
+    const words = name.split(" ");
+    switch (companies.length % 5) {
+      case 0: companies.push(name); break;
+      case 1: companies.push(words.slice(0, Math.max(1, words.length - 1)).join(" ")); break;
+      case 2: companies.push(`${words[0]} ${WORDS[Math.floor(rand() * WORDS.length)]}`); break;
+      case 3: companies.push(words[0].slice(0, 4) + " " + words[0].slice(4) + " " + words.slice(1).join(" ")); break;
+      default: companies.push(syntheticName(random(count + companies.length))); break;
+    }
+  }
+  return companies;
+}
+
+// ---------------------------------------------------------------------------
+
+function time(fn) {
+  const started = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+}
+
+// checkSponsor as it was before company.js: alias, exact key, then a
+// substring match against each register entry in turn
+function linearCheck(companyName, map) {
+  let key = normalise(companyName);
+  if (!key || GENERIC_COMPANY_NAMES.has(key)) return null;
+  if (sponsor.ALIASES[key]) key = normalise(sponsor.ALIASES[key]);
+  if (map.has(key)) return key;
+  if (key.length >= 5) {
+    for (const sponsorKey of map.keys()) {
+      if (sponsorKey.length < 5) continue;
+      const shorter = key.length <= sponsorKey.length ? key : sponsorKey;
+      const longer = key.length > sponsorKey.length ? key : sponsorKey;
+      if (shorter.length / longer.length >= 0.5 && longer.includes(shorter)) return sponsorKey;
+    }
+  }
+  return null;
+}
+
+function matchKey(resolution) {
+  return resolution.match && resolution.match.key;
+}
+
+function signature(resolution) {
+  return JSON.stringify([matchKey(resolution), resolution.candidates.map((c) => [c.key, c.confidence])]);
+}
+
+async function main() {
+  db.initialize();
+
+  let map;
+  let label;
+  if (!SYNTHETIC) {
+    await sponsor.ensureLoaded();
+    const directory = sponsor.getDirectory();
+    const snapshot = sponsor.getCurrentSnapshot();
+    if (directory && directory.entries.size) {
+      map = directory.entries;
+      label = `register of ${snapshot ? snapshot.published_on : "unknown date"}`;
+    }
+  }
+  if (!map) {
+    map = syntheticRegister(SIZE);
+    label = "synthetic register";
+  }
+
+  const companies = [...new Set(db.getJobsForCompanyCheck().map((j) => j.company).filter(Boolean))];
+  const sample = label.startsWith("synthetic") || !companies.length
+    ? syntheticCompanies(map, JOBS)
+    : Array.from({ length: JOBS }, (_, i) => companies[i % companies.length]);
+
+  console.log(`  [Benchmark] ${label}: ${map.size.toLocaleString()} sponsors, ${sample.length} company checks (one refresh)`);
+
+  const built = time(() => createDirectory("sponsor", map));
+  const saved = JSON.stringify(serialiseIndex(built.result));
+  const loaded = time(() => createDirectory("sponsor", map, undefined, { index: JSON.parse(saved) }));
+  console.log(`  [Benchmark] Index: built in ${built.ms.toFixed(0)}ms, saved index (${(saved.length / 1024 / 1024).toFixed(1)} MB) loads in ${loaded.ms.toFixed(0)}ms`);
+
+  const directory = loaded.result;
+  const options = { aliases: sponsor.ALIASES };
+  const linear = time(() => sample.map((name) => linearCheck(name, map)));
+  const scan = time(() => sample.map((name) => resolveCompany(name, directory, { ...options, scan: true })));
+  const indexed = time(() => sample.map((name) => resolveCompany(name, directory, options)));
+
+  const row = (name, ms) => `      ${name.padEnd(10)} ${ms.toFixed(0).padStart(8)}ms  ${(ms / sample.length).toFixed(3).padStart(8)}ms/check`;
+  console.log(`${row("linear", linear.ms)}  (before: substring match)`);
+  console.log(row("full scan", scan.ms));
+  console.log(`${row("indexed", indexed.ms)}  (${(linear.ms / indexed.ms).toFixed(1)}x the speed of linear, ${(scan.ms / indexed.ms).toFixed(0)}x full scan)`);
+
+  const matched = indexed.result.filter((r) => r.match).length;
+  const linearMatched = linear.result.filter(Boolean).length;
+  const sameMatch = sample.filter((_, i) => matchKey(scan.result[i]) === matchKey(indexed.result[i])).length;
+  const sameCandidates = sample.filter((_, i) => signature(scan.result[i]) === signature(indexed.result[i])).length;
+  console.log(`  [Benchmark] ${matched} of ${sample.length} checks matched a sponsor (linear matched ${linearMatched})`);
+  console.log(`  [Benchmark] Index and full scan pick the same match for ${sameMatch} of ${sample.length}, the same candidates for ${sameCandidates}`);
+  const differs = sample.filter((_, i) => matchKey(scan.result[i]) !== matchKey(indexed.result[i]));
+  for (const name of differs.slice(0, 10)) console.log(`      differs: ${name}`);
+
+  if (indexed.ms >= linear.ms) {
+    console.error("  [Benchmark] The index is not faster than the original linear lookup");
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("  [Benchmark] Failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,379 @@
+// ============================================================
+// Offline Checks
+// Exercises the pieces that talk to outside services against the
+// sample payloads in samples/, without touching the network:
+//   • employer ATS boards (Greenhouse, Lever, Ashby, Workable)
+//     served by a local stub through the *_API_BASE overrides
+//   • LinkedIn, Indeed and Guardian Jobs alert emails, read and
+//     imported (the sponsor register comes from the same stub)
+//   • full-description enrichment of snippet-only jobs from posting
+//     pages served by the stub (JSON-LD and plain HTML)
+//   • location parsing of UK exclusions and US places sharing a UK
+//     city's name
+//   • a full `npm run fetch` replayed from the committed fixtures/
+//
+//   npm test
+//
+// Runs against a throwaway DATA_DIR, so the real jobs.db is never
+// opened.
+// ============================================================
+
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const SAMPLES = path.join(__dirname, "samples");
+
+// Modules read their env when loaded, so set it before requiring them
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "esg-check-"));
+process.env.EMPLOYERS_FILE = path.join(SAMPLES, "employers.json");
+process.env.HTTP_MODE = "live";
+process.env.HTTP_MAX_RETRIES = "0";
+process.env.FULLTEXT_SOURCES = "Jooble,Adzuna";
+process.env.FULLTEXT_DOMAIN_RPM = "600";
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+// ---------------------------------------------------------------------------
+// Stub server — path -> [sample file, content type]
+// ---------------------------------------------------------------------------
+const ATS_KEYS = ["greenhouse", "lever", "ashby", "workable"];
+const REGISTER_CSV = "2026-10-01_-_Worker_and_Temporary_Worker.csv";
+
+const ROUTES = {
+  "/greenhouse/v1/boards/sample/jobs": ["ats/greenhouse.json", "application/json"],
+  "/lever/v0/postings/sample": ["ats/lever.json", "application/json"],
+  "/ashby/posting-api/job-board/sample": ["ats/ashby.json", "application/json"],
+  "/workable/api/v1/widget/accounts/sample": ["ats/workable.json", "application/json"],
+  "/sponsor/register": ["sponsor/register.html", "text/html"],
+  [`/sponsor/${REGISTER_CSV}`]: [`sponsor/${REGISTER_CSV}`, "text/csv"],
+  "/postings/json-ld": ["fulltext/json-ld.html", "text/html; charset=utf-8"],
+  "/postings/readability": ["fulltext/readability.html", "text/html; charset=utf-8"],
+};
+
+// Stub base URL, set once the server is listening
+let stubBase = null;
+
+function startStub() {
+  const server = http.createServer((req, res) => {
+    const route = ROUTES[new URL(req.url, "http://stub").pathname];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "content-type": route[1] });
+    res.end(fs.readFileSync(path.join(SAMPLES, route[0])));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+function sample(file) {
+  return fs.readFileSync(path.join(SAMPLES, file));
+}
+
+// ---------------------------------------------------------------------------
+// Employer ATS boards
+// ---------------------------------------------------------------------------
+function atsChecks() {
+  const { getEnabledSources } = require("./sources");
+  const { createSourceFetch } = require("./http");
+  require("./fetcher"); // registers the employer boards
+
+  const expected = {
+    Greenhouse: { id: "greenhouse-sample-4011001", title: "Sustainability Manager" },
+    Lever: { id: "lever-sample-5f2c1a7e-0001", title: "Climate Risk Analyst" },
+    Ashby: { id: "ashby-sample-a1b2c3d4-0001", title: "ESG Reporting Lead" },
+    Workable: { id: "workable-sample-a1b2c3d401", title: "Renewable Energy Project Manager" },
+  };
+
+  for (const [name, want] of Object.entries(expected)) {
+    check(`${name} board keeps the UK posting and drops Milwaukee`, async () => {
+      const source = getEnabledSources().find((s) => s.name === name);
+      assert.ok(source, `${name} is not registered`);
+
+      const queries = [];
+      const jobs = await source.fetch({}, {
+        fetch: createSourceFetch(name, source.rateLimit),
+        logQuery: (query, outcome) => queries.push({ query, ...outcome }),
+        reject: () => true,
+        queries: [],
+      });
+
+      assert.deepStrictEqual(queries.map((q) => q.error || null), [null]);
+      assert.strictEqual(queries[0].raw, 2);
+      assert.deepStrictEqual(jobs.map((j) => j.id), [want.id]);
+      assert.strictEqual(jobs[0].title, want.title);
+      assert.strictEqual(jobs[0].source, name);
+      assert.ok(jobs[0].url.startsWith("https://"), "posting has no apply URL");
+      assert.ok(jobs[0].esg_match, "posting has no ESG match");
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Email alerts
+// ---------------------------------------------------------------------------
+function alertChecks() {
+  const db = require("./db");
+  const { readAlerts } = require("./inbox");
+  const { importAlertJobs } = require("./fetcher");
+  const { fingerprint } = require("./dedupe");
+
+  const expected = {
+    "alerts/linkedin.eml": {
+      board: "LinkedIn",
+      messages: 1,
+      jobs: [
+        ["Sustainability Consultant", "Green Futures Ltd", "London, England, United Kingdom", "£45,000 - £55,000 / year", "https://www.linkedin.com/jobs/view/3912345678/"],
+        ["ESG Reporting Analyst", "Carbon Ledger", "Manchester, England, United Kingdom (Hybrid)", null, "https://www.linkedin.com/jobs/view/3912345999/"],
+      ],
+    },
+    "alerts/indeed.eml": {
+      board: "Indeed",
+      messages: 1,
+      jobs: [
+        ["Climate Risk Analyst", "Verde Capital", "London", "£50,000 - £60,000 a year", "https://uk.indeed.com/viewjob?jk=a1b2c3d4e5f60718"],
+        ["Net Zero Programme Manager", "Brightwater Energy", "Remote in United Kingdom", null, "https://uk.indeed.com/viewjob?jk=0f9e8d7c6b5a4321"],
+      ],
+    },
+    // Two alerts listing the same vacancy: it's read once
+    "alerts/guardian-jobs.mbox": {
+      board: "Guardian Jobs",
+      messages: 2,
+      jobs: [
+        ["Head of Sustainability", "Royal Botanic Trust", "London (Greater)", "£70,000 - £80,000", "https://jobs.theguardian.com/job/8812345/head-of-sustainability/"],
+        ["Climate Policy Officer", "Cleaner Air Alliance", "Bristol", "£36,000 pro rata", "https://jobs.theguardian.com/job/8812399/climate-policy-officer/"],
+      ],
+    },
+  };
+
+  for (const [file, want] of Object.entries(expected)) {
+    check(`${want.board} alert (${path.basename(file)}) is read`, () => {
+      const { messages, jobs } = readAlerts(sample(file));
+      assert.strictEqual(messages, want.messages);
+      assert.deepStrictEqual(jobs.map((j) => [j.title, j.company, j.location, j.salary, j.url]), want.jobs);
+      assert.ok(jobs.every((j) => j.board === want.board && j.received_at), "board or received_at missing");
+    });
+  }
+
+  check("Alert jobs are imported, and importing them again adds nothing", async () => {
+    db.initialize();
+    const { jobs } = readAlerts(sample("alerts/linkedin.eml"));
+    const first = await importAlertJobs(jobs);
+    assert.strictEqual(first.imported + first.quarantined, 2);
+
+    const again = await importAlertJobs(jobs);
+    assert.deepStrictEqual([again.imported, again.linked], [0, 0]);
+  });
+
+  check("An alert for a stored vacancy only adds its link to that job", async () => {
+    const [alert] = readAlerts(sample("alerts/indeed.eml")).jobs;
+    const stored = {
+      id: "greenhouse-verde-capital-7001",
+      title: alert.title,
+      company: alert.company,
+      location: alert.location,
+      description: "<p>Model physical and transition climate risk across the portfolio.</p>",
+      url: "https://boards.greenhouse.io/verdecapital/jobs/7001",
+      source: "Greenhouse",
+      tags: "Risk",
+      job_type: "",
+      remote: 0,
+      visa_sponsorship: 0,
+      salary: "£55,000 - £65,000",
+      company_logo: null,
+      match_score: 82,
+      posted_at: "2026-10-01T09:00:00.000Z",
+      fetched_at: new Date().toISOString(),
+    };
+    stored.fingerprint = fingerprint(stored);
+    db.upsertJobs([stored]);
+
+    const results = await importAlertJobs([alert]);
+    assert.deepStrictEqual([results.imported, results.linked], [0, 1]);
+
+    const row = db.getJobById(stored.id);
+    assert.strictEqual(row.source, "Greenhouse");
+    assert.strictEqual(row.url, stored.url);
+    assert.strictEqual(row.description, stored.description);
+    assert.strictEqual(row.salary, stored.salary);
+    assert.strictEqual(row.match_score, 82);
+    assert.deepStrictEqual(JSON.parse(row.also_listed), [{ source: "Email Alert", url: alert.url }]);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Full-description enrichment
+// ---------------------------------------------------------------------------
+function fulltextChecks() {
+  const db = require("./db");
+  const { enrichFullDescriptions, fetchPostingPage, extractJobPosting } = require("./fulltext");
+
+  const snippetJob = (source, page) => ({
+    id: `${source.toLowerCase()}-${page}`,
+    source,
+    title: "Sustainability Consultant",
+    description: "...support clients with net zero strategy, carbon accounting and ESG disclosures...",
+    url: `${stubBase}/postings/${page}`,
+  });
+
+  check("Snippet-only jobs from opted-in sources get the posting page's full description", async () => {
+    db.initialize();
+    const fromJsonLd = snippetJob("Jooble", "json-ld");
+    const fromPage = snippetJob("Adzuna", "readability");
+    const notOptedIn = snippetJob("Reed", "readability");
+
+    const stats = await enrichFullDescriptions([fromJsonLd, fromPage, notOptedIn]);
+    assert.deepStrictEqual(stats, { enriched: 2, fetched: 2, failed: 0 });
+
+    // JSON-LD: the JobPosting's description (entity-encoded HTML) as text
+    assert.ok(fromJsonLd.full_description.includes("build net zero transition plans"), fromJsonLd.full_description);
+    assert.ok(fromJsonLd.full_description.includes("• Hybrid: two days a week in our London office"));
+    assert.ok(!/[<>]|&lt;/.test(fromJsonLd.full_description), "markup left in the description");
+
+    // Plain page: the posting's block without the page chrome around it
+    assert.ok(fromPage.full_description.startsWith("Sustainability Consultant\n"), fromPage.full_description);
+    assert.ok(fromPage.full_description.includes("prepare ESG reports aligned with TCFD and the ISSB standards"));
+    assert.ok(fromPage.full_description.includes("• 12-month fixed term contract"));
+    assert.ok(!/cookies|ESG Analyst|registered in England/.test(fromPage.full_description), fromPage.full_description);
+
+    assert.strictEqual(notOptedIn.full_description, undefined);
+  });
+
+  check("A JobPosting page gives the posting's baseSalary as salary text", async () => {
+    const { html, status } = await fetchPostingPage(`${stubBase}/postings/json-ld`);
+    assert.strictEqual(status, "ok");
+    const posting = extractJobPosting(html);
+    assert.strictEqual(posting.salary, "GBP 45000 - 52000 per year");
+    assert.deepStrictEqual([posting.title, posting.company, posting.location], ["Sustainability Consultant - Net Zero", "Brightwater Energy", "London, GB"]);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Location parsing
+// ---------------------------------------------------------------------------
+function locationChecks() {
+  const { parseLocation, closedToUK } = require("./location");
+
+  check("Remote roles that rule out the UK are closed to UK residents", () => {
+    const closed = [
+      "Remote - excluding UK",
+      "Remote (not available in the UK)",
+      "Remote - UK residents not eligible",
+      "Remote, we cannot hire in the UK",
+      "Remote (UK-based applicants are not eligible)",
+    ];
+    const open = ["Remote (UK)", "Remote - not limited to the UK", "Outside IR35 - London UK"];
+    assert.deepStrictEqual(closed.filter((l) => !closedToUK(parseLocation(l))), []);
+    assert.deepStrictEqual(open.filter((l) => closedToUK(parseLocation(l))), []);
+  });
+
+  check("A US state or USA after a UK city's name places the role in the US", () => {
+    const place = (l) => {
+      const { city, region, country } = parseLocation(l);
+      return [city, region, country];
+    };
+    assert.deepStrictEqual(place("Cambridge, MA"), ["Cambridge", "MA", "United States"]);
+    assert.deepStrictEqual(place("Cambridge, MA 02139, USA"), ["Cambridge", "MA", "United States"]);
+    assert.deepStrictEqual(place("Birmingham, AL"), ["Birmingham", "AL", "United States"]);
+    assert.deepStrictEqual(place("Cambridge, USA"), ["Cambridge", null, "United States"]);
+    assert.deepStrictEqual(place("Cambridge, UK"), ["Cambridge", "England", "United Kingdom"]);
+    assert.deepStrictEqual(place("Cambridge"), ["Cambridge", "England", "United Kingdom"]);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Replayed fetch
+// ---------------------------------------------------------------------------
+const REPLAYED_SOURCES = ["Remotive", "Jobicy", "Arbeitnow", "Reed", "Adzuna", "Jooble", "The Muse", "GreenJobs"];
+
+function replayChecks() {
+  check("npm run fetch replays every source and the sponsor register from fixtures/", () => {
+    const dataDir = path.join(process.env.DATA_DIR, "replay");
+    fs.mkdirSync(dataDir);
+    // A clean environment: keys are placeholders (redacted like real ones)
+    // and nothing from .env or this process may reach the network
+    const run = spawnSync(process.execPath, [path.join(__dirname, "fetch.js")], {
+      cwd: __dirname,
+      encoding: "utf-8",
+      timeout: 120000,
+      env: {
+        PATH: process.env.PATH,
+        DATA_DIR: dataDir,
+        HTTP_MODE: "replay",
+        REED_API_KEY: "replay-key",
+        ADZUNA_APP_ID: "replay-key",
+        ADZUNA_APP_KEY: "replay-key",
+        JOOBLE_API_KEY: "replay-key",
+        MUSE_API_KEY: "",
+        ANTHROPIC_API_KEY: "",
+      },
+    });
+    assert.strictEqual(run.status, 0, `fetch exited with ${run.status}\n${run.stderr}`);
+
+    const Database = require("better-sqlite3");
+    const replayed = new Database(path.join(dataDir, "jobs.db"), { readonly: true });
+    try {
+      const logged = replayed.prepare("SELECT source, status FROM fetch_log").all();
+      assert.deepStrictEqual(
+        REPLAYED_SOURCES.map((source) => [source, (logged.find((l) => l.source === source) || {}).status]),
+        REPLAYED_SOURCES.map((source) => [source, "success"]),
+      );
+      const saved = replayed.prepare("SELECT DISTINCT source FROM jobs").all().map((r) => r.source);
+      assert.deepStrictEqual(REPLAYED_SOURCES.filter((source) => !saved.includes(source)), [], "sources with no saved jobs");
+      const snapshot = replayed.prepare("SELECT published_on, origin, sponsor_count FROM sponsor_snapshots").get();
+      assert.deepStrictEqual(snapshot, { published_on: "2026-10-01", origin: "publication_page", sponsor_count: 6 });
+      const sponsored = replayed.prepare("SELECT COUNT(*) AS n FROM jobs WHERE verified_sponsor = 1").get().n;
+      assert.ok(sponsored > 0, "no job matched the replayed sponsor register");
+    } finally {
+      replayed.close();
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const server = await startStub();
+  stubBase = `http://127.0.0.1:${server.address().port}`;
+  for (const ats of ATS_KEYS) process.env[`${ats.toUpperCase()}_API_BASE`] = `${stubBase}/${ats}`;
+  process.env.SPONSOR_PAGE_URL = `${stubBase}/sponsor/register`;
+
+  atsChecks();
+  alertChecks();
+  fulltextChecks();
+  locationChecks();
+  replayChecks();
+
+  let failed = 0;
+  try {
+    for (const { name, fn } of checks) {
+      try {
+        await fn();
+        console.log(`  [Check] ok    ${name}`);
+      } catch (err) {
+        failed++;
+        console.error(`  [Check] FAIL  ${name}\n        ${err.message}`);
+      }
+    }
+  } finally {
+    server.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  }
+
+  console.log(`  [Check] ${checks.length - failed} of ${checks.length} passed`);
+  return failed ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error("  [Check] Failed:", err);
+    process.exit(1);
+  });
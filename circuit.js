@@ -0,0 +1,43 @@
+// ============================================================
+// Per-source Circuit Breaker
+// Reads recent fetch_log history: after N consecutive failed
+// runs a source is skipped until a cooldown has passed, then
+// the next run is let through as a probe. A successful probe
+// closes the circuit; a failed one restarts the cooldown.
+// ============================================================
+
+const db = require("./db");
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 3;
+const COOLDOWN_MS = (parseFloat(process.env.CIRCUIT_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Work out whether a source's circuit is open.
+ * Returns { open, failures, lastError, retryAt }.
+ */
+function getCircuitState(source) {
+  // Skipped runs are neither failures nor successes — ignore them
+  const history = db.getRecentFetchLog(source, FAILURE_THRESHOLD * 2)
+    .filter((row) => !row.status.startsWith("skipped"));
+
+  let failures = 0;
+  for (const row of history) {
+    if (!row.status.startsWith("error")) break;
+    failures++;
+  }
+
+  if (failures < FAILURE_THRESHOLD) {
+    return { open: false, failures, lastError: null, retryAt: null };
+  }
+
+  const lastFailure = history[0];
+  const retryAt = new Date(Date.parse(lastFailure.fetched_at) + COOLDOWN_MS);
+  return {
+    open: Date.now() < retryAt.getTime(),
+    failures,
+    lastError: lastFailure.status,
+    retryAt: retryAt.toISOString(),
+  };
+}
+
+module.exports = { getCircuitState, FAILURE_THRESHOLD };
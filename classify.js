@@ -0,0 +1,141 @@
+// ============================================================
+// Seniority & Contract Classification
+// Derives two structured fields from a job's title, description
+// and the source's own job_type text (Reed's contractType,
+// Adzuna's contract_type/contract_time, The Muse's levels...):
+//
+//   seniority     — entry, associate, mid, senior, lead, director
+//   contract_type — permanent, fixed-term, contract, internship,
+//                   part-time
+//
+// Either is null when nothing in the listing says. The title is
+// the strongest signal; the description is only used for phrases
+// that can't be incidental ("maternity cover", "5+ years").
+// ============================================================
+
+const { englishTitle } = require("./language");
+
+const SENIORITY_LEVELS = ["entry", "associate", "mid", "senior", "lead", "director"];
+
+const SENIORITY_LABELS = {
+  entry: "Entry level", associate: "Associate", mid: "Mid level",
+  senior: "Senior", lead: "Lead", director: "Director",
+};
+
+const CONTRACT_LABELS = {
+  permanent: "Permanent", "fixed-term": "Fixed-term", contract: "Contract / interim",
+  internship: "Internship", "part-time": "Part-time",
+};
+
+// Title patterns, checked in order — the first match wins, so
+// "Senior Manager" is read as lead before "Manager" as senior.
+// "Partner" only counts as the title itself ("Managing Partner",
+// "Partner, Climate") — a "Partner Manager" manages partners.
+const TITLE_SENIORITY = [
+  ["director", /\b(director|head of|vice president|vp|chief|c[eofst]o)\b|^\s*((managing|senior|equity|salaried) )?partner\b(?!\s*[a-z])/],
+  ["lead", /\b(lead|principal|senior manager)\b/],
+  ["entry", /\b(intern(ship)?|graduate|grad|trainee|apprentice(ship)?|junior|jr|entry[- ]level|assistant|placement)\b/],
+  ["senior", /\b(senior|sr|snr|manager)\b/],
+  ["associate", /\b(associate|analyst|coordinator|co-ordinator)\b/],
+  ["mid", /\b(consultant|specialist|officer|advisor|adviser|executive|engineer|scientist|researcher)\b/],
+];
+
+// Level names in source fields (The Muse: "Entry Level", "Mid Level",
+// "Senior Level", "Management", "Internship")
+const SOURCE_SENIORITY = [
+  ["entry", /\b(internship|entry level)\b/],
+  ["mid", /\bmid(dle)?[- ]level\b/],
+  ["senior", /\bsenior level\b/],
+  ["lead", /\bmanagement\b/],
+];
+
+// Contract types, checked in order against the source fields and the title
+const CONTRACT_PATTERNS = [
+  ["internship", /\b(intern(ship)?|placement( year)?|work experience)\b/],
+  ["fixed-term", /\b(fixed[- _]term|ftc|maternity|mat leave|parental leave|temporary|temp|secondment)\b/],
+  ["contract", /\b(contract(or)?|interim|freelance|day rate|ir35)\b/],
+  ["part-time", /\bpart[- _]?time\b/],
+  ["permanent", /\b(permanent|perm)\b/],
+];
+// In a title "contract" has to name the terms ("(Contract)", "- 6 month
+// contract") — "Contract Manager" is a job, not a contract type
+const TITLE_CONTRACT = CONTRACT_PATTERNS.map(([type, pattern]) => [type, type !== "contract" ? pattern
+  : /\b(contractor|interim|freelance|day rate|ir35)\b|\(contract\b|-\s*contract\s*$|\bcontract (role|position|basis)\b|\b\d+[- ]months? contract\b/]);
+
+// Full-time says nothing about the term, so it only means permanent
+// when neither the source nor the description says otherwise
+const FULL_TIME = /\bfull[- _]?time\b/;
+
+// In a description, only phrases that describe the role itself count —
+// "contract" alone also means contract management, client contracts...
+const DESCRIPTION_CONTRACT = [
+  ["internship", /\b(this|the|a|our) (paid |summer |\d+[- ]month )*internship\b/],
+  ["fixed-term", /\bfixed[- ]term\b|\b(maternity|paternity|parental leave) cover\b|\bftc\b/],
+  ["contract", /\b(interim|freelance) (role|position|basis|assignment)\b|\b(outside|inside) ir35\b|\bcontract (role|position|basis)\b|\binitial \d+[- ]month contract\b/],
+  ["part-time", /\bpart[- ]time (role|position|basis)\b|\b[1-4](\.\d)? days (a|per) week\b.*\bpro[- ]?rata\b/],
+  ["permanent", /\bpermanent (role|position|contract|opportunity|basis)\b/],
+];
+
+// "5+ years' experience" -> level
+const YEARS_EXPERIENCE = /\b(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?'?\s*(?:of\s+)?(?:relevant\s+|professional\s+|post-qualification\s+|proven\s+)?(?:experience|exp)\b/;
+
+/**
+ * Classify a job. Reads title, description (or full_description) and
+ * job_type; returns { seniority, contract_type }.
+ */
+function classifyRole(job) {
+  const title = normalise(englishTitle(job.title));
+  const source = normalise(job.job_type);
+  const description = normalise(stripTags(job.full_description || job.description));
+
+  return {
+    seniority: classifySeniority(title, source, description),
+    contract_type: classifyContract(title, source, description),
+  };
+}
+
+function classifySeniority(title, source, description) {
+  const fromTitle = TITLE_SENIORITY.find(([, pattern]) => pattern.test(title));
+  // "Associate Director" is a step below director
+  if (fromTitle && fromTitle[0] === "director" && /\bassociate director\b/.test(title)) return "lead";
+  // Plain role titles ("Sustainability Consultant") give way to a stated level
+  if (fromTitle && fromTitle[0] !== "mid") return fromTitle[0];
+
+  const fromSource = SOURCE_SENIORITY.find(([, pattern]) => pattern.test(source));
+  if (fromSource) return fromSource[0];
+
+  const years = description.match(YEARS_EXPERIENCE);
+  if (years) return levelForYears(Number(years[1]));
+
+  return fromTitle ? fromTitle[0] : null;
+}
+
+function levelForYears(years) {
+  if (years < 1) return "entry";
+  if (years <= 2) return "associate";
+  if (years <= 5) return "mid";
+  if (years <= 9) return "senior";
+  return "lead";
+}
+
+function classifyContract(title, source, description) {
+  // The source's own contract field is the most reliable
+  const match = CONTRACT_PATTERNS.find(([, pattern]) => pattern.test(source))
+    || TITLE_CONTRACT.find(([, pattern]) => pattern.test(title))
+    || DESCRIPTION_CONTRACT.find(([, pattern]) => pattern.test(description));
+  if (match) return match[0];
+  return FULL_TIME.test(`${title} ${source}`) ? "permanent" : null;
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function normalise(text) {
+  return (text || "").toLowerCase().replace(/[–—]/g, "-").replace(/\s+/g, " ");
+}
+
+function stripTags(html) {
+  return (html || "").replace(/<[^>]*>/g, " ");
+}
+
+module.exports = { classifyRole, SENIORITY_LEVELS, SENIORITY_LABELS, CONTRACT_LABELS };
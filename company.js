@@ -0,0 +1,380 @@
+// ============================================================
+// Company Identity Resolution
+// Matches the employer name on a listing to an entry in a company
+// directory (the sponsor register, the B Corp list). Shared by
+// sponsor.js and bcorp.js so both match names the same way.
+//
+// A name the directory holds under the same normalised key matches
+// straight from the entry map. Any other name is split into tokens,
+// and directory entries are scored by token overlap weighted by how
+// rare each token is in that directory, so "Acme Green" matches
+// "Acme Green Energy" far better than "Green Energy Partners". A
+// lookup returns the top candidates with a 0-1 confidence and flags
+// ambiguous results: two close candidates, or a best guess below the
+// match threshold.
+//
+// Candidates come from an inverted index rather than a scan of the
+// whole directory: a token index, and a character-trigram index for
+// names spelt or spaced differently ("Pricewaterhouse Coopers").
+// Prefix filtering skips the postings of common tokens whenever they
+// can't lift an entry to CANDIDATE_MIN on their own, and postings
+// longer than MAX_POSTINGS are never walked: a candidate has to share
+// at least one rarer token or trigram with the name. A lookup so
+// touches a few hundred entries, not the ~100k in the sponsor
+// register, at the cost of missing entries that share only very
+// common words with the name. The index can be serialised and loaded back, so
+// sponsor.js builds it once per register snapshot.
+//
+// Manual overrides (company_overrides table) confirm a candidate or
+// reject one for a given company name, and win over the scoring on
+// every later fetch.
+// ============================================================
+
+const crypto = require("crypto");
+const db = require("./db");
+
+// Confidence at or above which the top candidate counts as a match
+const MATCH_THRESHOLD = parseFloat(process.env.COMPANY_MATCH_THRESHOLD) || 0.75;
+// Candidates scoring below this aren't worth showing
+const CANDIDATE_MIN = 0.4;
+// A runner-up this close to the top candidate makes the match ambiguous
+const AMBIGUOUS_MARGIN = 0.05;
+const MAX_CANDIDATES = 3;
+// Override target meaning "none of the entries"
+const ANY_ENTRY = "*";
+// Tokens and trigrams in more entries than this ("services", "ing") are
+// too common to pick a company out, so their postings aren't walked
+const MAX_POSTINGS = 500;
+// Bumped when the index layout or tokenising changes, so stale saved indexes are rebuilt
+const INDEX_VERSION = 2;
+
+// Generic/placeholder company names that should never match a directory
+const GENERIC_COMPANY_NAMES = new Set([
+  "unknown", "see listing", "confidential", "not disclosed",
+  "anonymous", "various", "multiple", "tbc", "tba",
+  "not specified", "undisclosed", "company", "employer",
+  "hiring company", "top company", "leading company",
+]);
+
+// Words that say nothing about which company it is
+const FILLER_TOKENS = new Set(["the", "and", "&", "of", "co", "company"]);
+
+let overrides = null; // Map: "directory|company key" -> { confirmed, rejected: Set }
+
+/**
+ * Normalise a company name for matching.
+ * Strips Ltd/Limited/LLP/PLC/Inc, lowercases, collapses whitespace.
+ */
+function normalise(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/["\u201C\u201D'\u2018\u2019]/g, "")
+    .replace(/\b(ltd|limited|llp|plc|inc|corp|corporation|gmbh|ag|group|holdings|uk)\b/gi, "")
+    .replace(/[^a-z0-9\s&]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function tokenise(key) {
+  return [...new Set(key.split(" ").filter((t) => t && !FILLER_TOKENS.has(t)))];
+}
+
+// Character trigrams of a key with the spaces taken out
+function trigrams(key) {
+  const compact = key.replace(/ /g, "");
+  if (compact.length <= 3) return compact ? [compact] : [];
+  const grams = new Set();
+  for (let i = 0; i + 3 <= compact.length; i++) grams.add(compact.slice(i, i + 3));
+  return [...grams];
+}
+
+/**
+ * Build a directory to resolve names against from [key, value] pairs
+ * keyed by normalise(name). `nameOf(value)` gives the display name.
+ * `index` is a saved index from serialiseIndex(); it's used when it was
+ * built for the same entries, otherwise the index is built here.
+ */
+function createDirectory(label, entries, nameOf = (value) => value.name, { index = null } = {}) {
+  const directory = {
+    label, nameOf,
+    entries: new Map(), keys: [], tokens: [], df: new Map(), weights: new Map(),
+    tokenIndex: new Map(), gramIndex: new Map(), gramCounts: [], indexLoaded: false,
+  };
+  for (const [key, value] of entries) {
+    if (directory.entries.has(key)) continue;
+    directory.entries.set(key, value);
+    directory.keys.push(key);
+    directory.tokens.push(tokenise(key));
+  }
+
+  if (index && index.version === INDEX_VERSION && index.size === directory.keys.length && index.keys === keysHash(directory)) {
+    directory.tokenIndex = new Map(index.tokens);
+    directory.gramIndex = new Map(index.grams);
+    directory.gramCounts = index.gramCounts;
+    directory.indexLoaded = true;
+  } else {
+    directory.tokens.forEach((tokens, pos) => {
+      for (const t of tokens) addPosting(directory.tokenIndex, t, pos);
+      const grams = trigrams(directory.keys[pos]);
+      for (const g of grams) addPosting(directory.gramIndex, g, pos);
+      directory.gramCounts.push(grams.length);
+    });
+  }
+  for (const [t, postings] of directory.tokenIndex) directory.df.set(t, postings.length);
+  return directory;
+}
+
+// Postings are positions in directory.keys, so a saved index only fits the same keys in the same order
+function keysHash(directory) {
+  const hash = crypto.createHash("sha1");
+  for (const key of directory.keys) hash.update(`${key}\n`);
+  return hash.digest("hex");
+}
+
+function addPosting(index, term, pos) {
+  const postings = index.get(term);
+  if (postings) postings.push(pos);
+  else index.set(term, [pos]);
+}
+
+/**
+ * The directory's index as plain JSON, for createDirectory({ index }).
+ */
+function serialiseIndex(directory) {
+  return {
+    version: INDEX_VERSION,
+    size: directory.keys.length,
+    keys: keysHash(directory),
+    tokens: [...directory.tokenIndex],
+    grams: [...directory.gramIndex],
+    gramCounts: directory.gramCounts,
+  };
+}
+
+// Rarer tokens count for more; tokens the directory has never seen count most
+function tokenWeight(directory, token) {
+  let weight = directory.weights.get(token);
+  if (weight === undefined) {
+    weight = Math.log((directory.entries.size + 1) / ((directory.df.get(token) || 0) + 0.5));
+    directory.weights.set(token, weight);
+  }
+  return weight;
+}
+
+/**
+ * Weighted overlap (Dice) between a name's tokens and an entry's, 0-1.
+ */
+function similarity(directory, tokens, entryTokens) {
+  let shared = 0;
+  let total = 0;
+  for (const t of tokens) {
+    const w = tokenWeight(directory, t);
+    total += w;
+    if (entryTokens.includes(t)) shared += w;
+  }
+  if (!shared) return 0;
+  for (const t of entryTokens) total += tokenWeight(directory, t);
+  return (2 * shared) / total;
+}
+
+/**
+ * Resolve a company name against a directory. Returns
+ *   { key, status, match, candidates, ambiguous, override }
+ * where key is the normalised company name, status is "matched",
+ * "ambiguous" or "none", match is the chosen { key, name, confidence }
+ * (null when nothing reaches the threshold), candidates are the top
+ * entries by confidence, and override is "confirmed", "rejected" or null.
+ * `aliases` maps normalised short names to official ones ("pwc").
+ * `scan` scores every entry instead of using the index (for benchmarks
+ * and checking the index agrees).
+ */
+function resolveCompany(companyName, directory, { aliases = {}, scan = false } = {}) {
+  const key = normalise(companyName);
+  const result = { key, status: "none", match: null, candidates: [], ambiguous: false, override: null };
+  if (!key || key.length < 2 || GENERIC_COMPANY_NAMES.has(key)) return result;
+
+  const override = getOverride(directory.label, key);
+  if (override && override.confirmed && directory.entries.has(override.confirmed)) {
+    const match = candidate(directory, override.confirmed, 1);
+    return { ...result, status: "matched", match, candidates: [match], override: "confirmed" };
+  }
+  const rejected = override ? override.rejected : new Set();
+  if (rejected.size) result.override = "rejected";
+  // Rejected outright: this company isn't in the directory under any name
+  if (rejected.has(ANY_ENTRY)) return result;
+
+  const lookup = aliases[key] ? normalise(aliases[key]) : key;
+  // The name as the directory spells it: that's the match, nothing to score
+  if (directory.entries.has(lookup) && !rejected.has(lookup)) {
+    const match = candidate(directory, lookup, 1);
+    return { ...result, status: "matched", match, candidates: [match] };
+  }
+
+  // Otherwise score the entries that come close
+  const scored = [];
+  const chosen = new Set();
+  const consider = (positions, score) => {
+    for (const pos of positions) {
+      const entryKey = directory.keys[pos];
+      if (chosen.has(entryKey) || rejected.has(entryKey)) continue;
+      const confidence = score(pos);
+      if (confidence < CANDIDATE_MIN) continue;
+      scored.push(candidate(directory, entryKey, confidence));
+      chosen.add(entryKey);
+    }
+  };
+  const everything = scan ? directory.keys.map((_, pos) => pos) : null;
+
+  const tokens = tokenise(lookup);
+  consider(everything || tokenCandidates(directory, tokens), (pos) => similarity(directory, tokens, directory.tokens[pos]));
+  // Nothing shares a token: try the name spelt or spaced differently
+  if (!scored.length) {
+    const grams = trigrams(lookup);
+    if (scan) {
+      consider(everything, (pos) => gramSimilarity(grams, trigrams(directory.keys[pos])));
+    } else {
+      const shared = gramCandidates(directory, grams);
+      consider(shared.keys(), (pos) => (2 * shared.get(pos)) / (grams.length + directory.gramCounts[pos]));
+    }
+  }
+
+  scored.sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+  result.candidates = scored.slice(0, MAX_CANDIDATES);
+
+  const [top, runnerUp] = result.candidates;
+  if (!top) return result;
+  const close = runnerUp && top.confidence < 1 && top.confidence - runnerUp.confidence < AMBIGUOUS_MARGIN;
+  if (top.confidence >= MATCH_THRESHOLD) {
+    result.match = top;
+    result.ambiguous = Boolean(close);
+    result.status = close ? "ambiguous" : "matched";
+  } else {
+    // A near miss is worth a look, but isn't a match
+    result.ambiguous = true;
+    result.status = "ambiguous";
+  }
+  return result;
+}
+
+/**
+ * Entries that could reach CANDIDATE_MIN on token overlap. Query tokens
+ * are taken rarest first; once the remaining (common) tokens are too
+ * light to reach the minimum by themselves, their postings are skipped —
+ * any entry worth scoring shares one of the rarer tokens too.
+ */
+function tokenCandidates(directory, tokens) {
+  const weighted = tokens.map((t) => [t, tokenWeight(directory, t)]).sort((a, b) => a[1] - b[1]);
+  const total = weighted.reduce((sum, [, w]) => sum + w, 0);
+  // Heaviest prefix of light tokens that can't reach the minimum alone
+  let light = 0;
+  let skip = 0;
+  while (skip < weighted.length && (2 * (light + weighted[skip][1])) / (total + light + weighted[skip][1]) < CANDIDATE_MIN) {
+    light += weighted[skip][1];
+    skip++;
+  }
+  const positions = new Set();
+  for (const [t] of weighted.slice(skip)) {
+    const postings = directory.tokenIndex.get(t) || [];
+    if (postings.length > MAX_POSTINGS) continue;
+    for (const pos of postings) positions.add(pos);
+  }
+  return [...positions];
+}
+
+/**
+ * Entries that could reach CANDIDATE_MIN on trigram overlap, mapped to
+ * the number of trigrams they share with the query. Entries come from
+ * the postings of the query's rarer trigrams; counting those postings,
+ * then checking each entry's key for the common trigrams, gives the
+ * overlap without building each entry's trigrams. Only entries sharing
+ * at least `need` are worth scoring
+ * (2s / (q + e) >= MIN with e >= s means s >= MIN * q / (2 - MIN)).
+ */
+function gramCandidates(directory, grams) {
+  if (!grams.length) return new Map();
+  const need = Math.max(1, Math.ceil((CANDIDATE_MIN * grams.length) / (2 - CANDIDATE_MIN) - 1e-9));
+  const common = [];
+  const shared = new Map();
+  for (const g of grams) {
+    const postings = directory.gramIndex.get(g) || [];
+    if (postings.length > MAX_POSTINGS) {
+      common.push(g);
+      continue;
+    }
+    for (const pos of postings) shared.set(pos, (shared.get(pos) || 0) + 1);
+  }
+  for (const [pos, count] of shared) {
+    if (count + common.length < need) {
+      shared.delete(pos);
+      continue;
+    }
+    const compact = directory.keys[pos].replace(/ /g, "");
+    const total = count + common.filter((g) => compact.includes(g)).length;
+    if (total < need) shared.delete(pos);
+    else shared.set(pos, total);
+  }
+  return shared;
+}
+
+function gramSimilarity(grams, entryGrams) {
+  const entrySet = new Set(entryGrams);
+  const shared = grams.filter((g) => entrySet.has(g)).length;
+  return shared ? (2 * shared) / (grams.length + entryGrams.length) : 0;
+}
+
+function candidate(directory, key, confidence) {
+  return { key, name: directory.nameOf(directory.entries.get(key)), confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * The stored form of a resolution, for the jobs table: the match and
+ * the candidates, without the directory entries themselves.
+ */
+function describeResolution(result) {
+  if (!result || (!result.match && !result.candidates.length && !result.override)) return null;
+  const { status, match, candidates, ambiguous, override } = result;
+  return { status, match, candidates, ambiguous, override };
+}
+
+// ---------------------------------------------------------------------------
+// Manual overrides
+// ---------------------------------------------------------------------------
+
+function loadOverrides() {
+  overrides = new Map();
+  for (const row of db.getCompanyOverrides()) {
+    const id = `${row.directory}|${row.company_key}`;
+    if (!overrides.has(id)) overrides.set(id, { confirmed: null, rejected: new Set() });
+    const entry = overrides.get(id);
+    if (row.decision === "confirm") entry.confirmed = row.target_key;
+    else entry.rejected.add(row.target_key);
+  }
+  return overrides;
+}
+
+function getOverride(label, companyKey) {
+  if (!overrides) loadOverrides();
+  return overrides.get(`${label}|${companyKey}`) || null;
+}
+
+/**
+ * Confirm or reject a directory entry for a company name. Confirming
+ * replaces any earlier confirmation for that name; rejecting without a
+ * target says the company isn't in the directory at all; "clear" removes
+ * every override for it.
+ */
+function setOverride(label, companyName, decision, targetKey = null) {
+  const companyKey = normalise(companyName);
+  if (decision === "clear") {
+    db.clearCompanyOverrides(label, companyKey);
+  } else {
+    db.saveCompanyOverride({ directory: label, company_key: companyKey, decision, target_key: targetKey || ANY_ENTRY });
+  }
+  loadOverrides();
+  return companyKey;
+}
+
+module.exports = {
+  normalise, createDirectory, serialiseIndex, resolveCompany, describeResolution, setOverride, loadOverrides,
+  GENERIC_COMPANY_NAMES, MATCH_THRESHOLD,
+};
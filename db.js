@@ -1,5 +1,9 @@
 const Database = require("better-sqlite3");
 const path = require("path");
+const { SHARED, getDefaultQueries } = require("./queries");
+const { parseLocation, UK_ELIGIBLE } = require("./location");
+const { classifyRole } = require("./classify");
+const { analyseLanguage, LANGUAGE_LABELS, CANDIDATE_LANGUAGES } = require("./language");
 
 // DATA_DIR allows Render (or other hosts) to point at a persistent disk
 const DATA_DIR = process.env.DATA_DIR || __dirname;
@@ -13,6 +17,7 @@ function getDb() {
 
 function initialize() {
   const db = getDb();
+  const hasQueryTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'search_queries'").get();
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS jobs (
@@ -51,8 +56,166 @@ function initialize() {
       job_count INTEGER NOT NULL,
       status TEXT NOT NULL
     );
+
+    CREATE INDEX IF NOT EXISTS idx_fetch_log_source ON fetch_log(source, fetched_at DESC);
+
+    CREATE TABLE IF NOT EXISTS fetch_runs (
+      id TEXT PRIMARY KEY,
+      trigger TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      status TEXT NOT NULL,
+      duration_ms INTEGER,
+      fetched INTEGER,
+      saved INTEGER,
+      new_jobs INTEGER,
+      updated_jobs INTEGER,
+      quarantined INTEGER,
+      closed INTEGER,
+      error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_fetch_runs_started ON fetch_runs(started_at DESC);
+
+    CREATE TABLE IF NOT EXISTS fetch_errors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      query TEXT NOT NULL,
+      fetched_at TEXT NOT NULL,
+      error TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS search_queries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      query TEXT NOT NULL,
+      location TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_search_queries_unique ON search_queries(source, query, IFNULL(location, ''));
+
+    CREATE TABLE IF NOT EXISTS query_yield (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      query_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      fetched_at TEXT NOT NULL,
+      raw INTEGER NOT NULL DEFAULT 0,
+      kept INTEGER NOT NULL DEFAULT 0,
+      scored INTEGER NOT NULL DEFAULT 0,
+      error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_query_yield_query ON query_yield(query_id, fetched_at DESC);
+
+    CREATE TABLE IF NOT EXISTS quarantine (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      title TEXT,
+      company TEXT,
+      location TEXT,
+      url TEXT,
+      stage TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      match_score INTEGER,
+      job TEXT NOT NULL,
+      first_seen_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      seen_count INTEGER NOT NULL DEFAULT 1,
+      promoted_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_quarantine_seen ON quarantine(last_seen_at DESC);
+
+    CREATE TABLE IF NOT EXISTS taxonomy_feedback (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      title TEXT,
+      tags TEXT,
+      excerpt TEXT,
+      stage TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      taxonomy_version INTEGER,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      currency TEXT PRIMARY KEY,
+      rate_to_gbp REAL NOT NULL,
+      source TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sponsor_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      published_on TEXT NOT NULL,
+      source_url TEXT NOT NULL UNIQUE,
+      origin TEXT NOT NULL,
+      row_count INTEGER NOT NULL,
+      sponsor_count INTEGER NOT NULL,
+      downloaded_at TEXT NOT NULL,
+      checked_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sponsor_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      snapshot_id INTEGER NOT NULL,
+      previous_snapshot_id INTEGER NOT NULL,
+      change TEXT NOT NULL,
+      sponsor_key TEXT NOT NULL,
+      name TEXT NOT NULL,
+      before TEXT,
+      after TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_sponsor_changes_snapshot ON sponsor_changes(snapshot_id, change);
+
+    CREATE TABLE IF NOT EXISTS sponsor_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id TEXT NOT NULL,
+      snapshot_id INTEGER NOT NULL,
+      change TEXT NOT NULL,
+      company TEXT,
+      sponsor_name TEXT,
+      message TEXT NOT NULL,
+      visa_before TEXT,
+      visa_after TEXT,
+      created_at TEXT NOT NULL,
+      dismissed_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS company_overrides (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      directory TEXT NOT NULL,
+      company_key TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      target_key TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE(directory, company_key, target_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS fulltext_cache (
+      url TEXT PRIMARY KEY,
+      description TEXT,
+      method TEXT,
+      status TEXT NOT NULL,
+      fetched_at TEXT NOT NULL
+    );
   `);
 
+  // Seed the editable search lists the first time the table is created.
+  // Later restarts leave them alone, even if every query has been deleted.
+  if (!hasQueryTable) {
+    const insert = db.prepare("INSERT INTO search_queries (source, query, location, position, created_at) VALUES (@source, @query, @location, @position, @created_at)");
+    const createdAt = new Date().toISOString();
+    db.transaction(() => {
+      for (const row of getDefaultQueries()) insert.run({ ...row, created_at: createdAt });
+    })();
+    console.log("  [DB] Seeded default search queries");
+  }
+
   // Migrate: add new columns if they don't exist yet (safe for existing DBs)
   const columns = db.prepare("PRAGMA table_info(jobs)").all().map(c => c.name);
   const migrations = [
@@ -65,11 +228,51 @@ function initialize() {
     ["status", "ALTER TABLE jobs ADD COLUMN status TEXT DEFAULT 'new'"],
     ["notes", "ALTER TABLE jobs ADD COLUMN notes TEXT"],
     ["soc_code", "ALTER TABLE jobs ADD COLUMN soc_code TEXT"],
+    // Annual GBP equivalent of the guaranteed minimum salary (see salary.js)
     ["salary_num", "ALTER TABLE jobs ADD COLUMN salary_num INTEGER"],
     ["visa_confidence", "ALTER TABLE jobs ADD COLUMN visa_confidence TEXT DEFAULT 'unknown'"],
     ["success_probability", "ALTER TABLE jobs ADD COLUMN success_probability INTEGER DEFAULT 0"],
     // V4.0 migrations
     ["is_bcorp", "ALTER TABLE jobs ADD COLUMN is_bcorp INTEGER DEFAULT 0"],
+    // Cross-source dedupe
+    ["fingerprint", "ALTER TABLE jobs ADD COLUMN fingerprint TEXT"],
+    ["also_listed", "ALTER TABLE jobs ADD COLUMN also_listed TEXT"],
+    // Closed/expired vacancy detection
+    ["last_seen_at", "ALTER TABLE jobs ADD COLUMN last_seen_at TEXT"],
+    ["missed_runs", "ALTER TABLE jobs ADD COLUMN missed_runs INTEGER DEFAULT 0"],
+    ["closed_at", "ALTER TABLE jobs ADD COLUMN closed_at TEXT"],
+    // ESG filter explanation (JSON: { filter, rule, terms, version })
+    ["esg_match", "ALTER TABLE jobs ADD COLUMN esg_match TEXT"],
+    // Posting body fetched from the listing page for snippet-only sources
+    ["full_description", "ALTER TABLE jobs ADD COLUMN full_description TEXT"],
+    // Structured location (see location.js)
+    ["city", "ALTER TABLE jobs ADD COLUMN city TEXT"],
+    ["region", "ALTER TABLE jobs ADD COLUMN region TEXT"],
+    ["country", "ALTER TABLE jobs ADD COLUMN country TEXT"],
+    ["work_arrangement", "ALTER TABLE jobs ADD COLUMN work_arrangement TEXT"],
+    ["hybrid_days", "ALTER TABLE jobs ADD COLUMN hybrid_days INTEGER"],
+    ["eligibility", "ALTER TABLE jobs ADD COLUMN eligibility TEXT"],
+    // Structured salary as stated, plus the annual GBP top of the range
+    ["salary_min", "ALTER TABLE jobs ADD COLUMN salary_min REAL"],
+    ["salary_max", "ALTER TABLE jobs ADD COLUMN salary_max REAL"],
+    ["salary_currency", "ALTER TABLE jobs ADD COLUMN salary_currency TEXT"],
+    ["salary_period", "ALTER TABLE jobs ADD COLUMN salary_period TEXT"],
+    ["salary_fte", "ALTER TABLE jobs ADD COLUMN salary_fte REAL"],
+    ["salary_confidence", "ALTER TABLE jobs ADD COLUMN salary_confidence TEXT"],
+    ["salary_annual_max", "ALTER TABLE jobs ADD COLUMN salary_annual_max INTEGER"],
+    // Role level and contract type (see classify.js)
+    ["seniority", "ALTER TABLE jobs ADD COLUMN seniority TEXT"],
+    ["contract_type", "ALTER TABLE jobs ADD COLUMN contract_type TEXT"],
+    // Description language and required languages (see language.js)
+    ["language", "ALTER TABLE jobs ADD COLUMN language TEXT"],
+    ["languages_required", "ALTER TABLE jobs ADD COLUMN languages_required TEXT"],
+    // Published date of the sponsor register snapshot the company was checked against
+    ["sponsor_register", "ALTER TABLE jobs ADD COLUMN sponsor_register TEXT"],
+    // How the company was matched to the sponsor register and B Corp list (JSON, see company.js)
+    ["sponsor_match", "ALTER TABLE jobs ADD COLUMN sponsor_match TEXT"],
+    ["bcorp_match", "ALTER TABLE jobs ADD COLUMN bcorp_match TEXT"],
+    // Every licence route the matched sponsor holds (JSON array)
+    ["sponsor_routes", "ALTER TABLE jobs ADD COLUMN sponsor_routes TEXT"],
   ];
   for (const [col, sql] of migrations) {
     if (!columns.includes(col)) {
@@ -78,10 +281,101 @@ function initialize() {
     }
   }
 
+  // Per-source run history: fetch_log gets one row per source per run
+  const logColumns = db.prepare("PRAGMA table_info(fetch_log)").all().map(c => c.name);
+  const logMigrations = [
+    ["run_id", "ALTER TABLE fetch_log ADD COLUMN run_id TEXT"],
+    ["duration_ms", "ALTER TABLE fetch_log ADD COLUMN duration_ms INTEGER"],
+    // Listings returned before the source's ESG filter (job_count is after it)
+    ["fetched", "ALTER TABLE fetch_log ADD COLUMN fetched INTEGER"],
+    // Filled in after scoring: jobs past the score gate, and how many were new
+    ["scored", "ALTER TABLE fetch_log ADD COLUMN scored INTEGER"],
+    ["new_jobs", "ALTER TABLE fetch_log ADD COLUMN new_jobs INTEGER"],
+    ["updated_jobs", "ALTER TABLE fetch_log ADD COLUMN updated_jobs INTEGER"],
+    ["error_count", "ALTER TABLE fetch_log ADD COLUMN error_count INTEGER DEFAULT 0"],
+  ];
+  for (const [col, sql] of logMigrations) {
+    if (!logColumns.includes(col)) {
+      db.exec(sql);
+      console.log(`  [DB] Migrated: added fetch_log column "${col}"`);
+    }
+  }
+  db.exec("CREATE INDEX IF NOT EXISTS idx_fetch_log_run ON fetch_log(run_id)");
+
+  // Parse the locations of jobs stored before structured locations existed
+  if (!columns.includes("work_arrangement")) {
+    const rows = db.prepare("SELECT id, location, remote, title, description FROM jobs").all();
+    const update = db.prepare(`
+      UPDATE jobs SET city = @city, region = @region, country = @country,
+        work_arrangement = @work_arrangement, hybrid_days = @hybrid_days, eligibility = @eligibility
+      WHERE id = @id
+    `);
+    db.transaction(() => {
+      for (const row of rows) update.run({ id: row.id, ...parseLocation(row.location, row) });
+    })();
+    if (rows.length) console.log(`  [DB] Parsed locations for ${rows.length} existing jobs`);
+  }
+
+  // Re-parse salaries stored as a single midpoint, and re-check visa
+  // confidence against the new guaranteed minimum
+  if (!columns.includes("salary_min")) {
+    // Required here: both modules depend on this one
+    const { parseSalary, loadFxRates } = require("./salary");
+    const { computeVisaConfidence } = require("./scorer");
+    loadFxRates();
+    const rows = db.prepare("SELECT id, salary, soc_code, verified_sponsor, sponsor_rating, visa_confidence FROM jobs WHERE salary IS NOT NULL").all();
+    const update = db.prepare(`
+      UPDATE jobs SET salary_num = @salary_num, salary_min = @min, salary_max = @max,
+        salary_currency = @currency, salary_period = @period, salary_fte = @fte,
+        salary_confidence = @confidence, salary_annual_max = @annual_max, visa_confidence = @visa_confidence
+      WHERE id = @id
+    `);
+    db.transaction(() => {
+      for (const row of rows) {
+        const parsed = parseSalary(row.salary) || {};
+        const salaryNum = parsed.annual_min ?? null;
+        update.run({
+          id: row.id,
+          salary_num: salaryNum,
+          min: parsed.min ?? null,
+          max: parsed.max ?? null,
+          currency: parsed.currency || null,
+          period: parsed.period || null,
+          fte: parsed.fte ?? null,
+          confidence: parsed.confidence || null,
+          annual_max: parsed.annual_max ?? null,
+          visa_confidence: row.visa_confidence ? computeVisaConfidence({ ...row, salary_num: salaryNum }).confidence : null,
+        });
+      }
+    })();
+    if (rows.length) console.log(`  [DB] Parsed salaries for ${rows.length} existing jobs`);
+  }
+
+  // Classify jobs stored before seniority and contract type existed
+  if (!columns.includes("seniority")) {
+    const rows = db.prepare("SELECT id, title, job_type, description, full_description FROM jobs").all();
+    const update = db.prepare("UPDATE jobs SET seniority = @seniority, contract_type = @contract_type WHERE id = @id");
+    db.transaction(() => {
+      for (const row of rows) update.run({ id: row.id, ...classifyRole(row) });
+    })();
+    if (rows.length) console.log(`  [DB] Classified seniority and contract type for ${rows.length} existing jobs`);
+  }
+
+  // Detect the language of jobs stored before it was recorded
+  if (!columns.includes("language")) {
+    const rows = db.prepare("SELECT id, title, description, full_description FROM jobs").all();
+    const update = db.prepare("UPDATE jobs SET language = @language, languages_required = @languages_required WHERE id = @id");
+    db.transaction(() => {
+      for (const row of rows) update.run({ id: row.id, ...analyseLanguage(row) });
+    })();
+    if (rows.length) console.log(`  [DB] Detected the language of ${rows.length} existing jobs`);
+  }
+
   // Ensure the score index exists
   try {
     db.exec("CREATE INDEX IF NOT EXISTS idx_jobs_score ON jobs(match_score DESC)");
   } catch (e) { /* already exists */ }
+  db.exec("CREATE INDEX IF NOT EXISTS idx_jobs_fingerprint ON jobs(fingerprint)");
 
   db.close();
 }
@@ -95,7 +389,11 @@ function upsertJobs(jobs) {
       posted_at, fetched_at, verified_sponsor, sponsor_rating,
       match_score, ai_summary, role_priority,
       status, notes, soc_code, salary_num, visa_confidence, success_probability,
-      is_bcorp
+      is_bcorp, fingerprint, also_listed, last_seen_at, esg_match, full_description,
+      city, region, country, work_arrangement, hybrid_days, eligibility,
+      salary_min, salary_max, salary_currency, salary_period, salary_fte, salary_confidence, salary_annual_max,
+      seniority, contract_type, language, languages_required, sponsor_register,
+      sponsor_match, bcorp_match, sponsor_routes
     ) VALUES (
       @id, @title, @company, @location, @description, @url, @source, @tags,
       @job_type, @remote, @visa_sponsorship, @salary, @company_logo,
@@ -104,12 +402,24 @@ function upsertJobs(jobs) {
       COALESCE((SELECT status FROM jobs WHERE id = @id), @status),
       COALESCE((SELECT notes FROM jobs WHERE id = @id), @notes),
       @soc_code, @salary_num, @visa_confidence, @success_probability,
-      @is_bcorp
+      @is_bcorp, @fingerprint, @also_listed, @fetched_at, @esg_match, @full_description,
+      @city, @region, @country, @work_arrangement, @hybrid_days, @eligibility,
+      @salary_min, @salary_max, @salary_currency, @salary_period, @salary_fte, @salary_confidence, @salary_annual_max,
+      @seniority, @contract_type, @language, @languages_required, @sponsor_register,
+      @sponsor_match, @bcorp_match, @sponsor_routes
     )
   `);
 
+  // Jobs added by hand belong to the user; a fetched listing of the same
+  // vacancy never replaces one
+  const isManual = db.prepare("SELECT 1 FROM jobs WHERE id = @id AND source = 'Manual'");
+  const storedListings = db.prepare("SELECT also_listed FROM jobs WHERE id = @id");
+
+  let written = 0;
   const tx = db.transaction((rows) => {
     for (const row of rows) {
+      if (row.source !== "Manual" && isManual.get({ id: row.id })) continue;
+      written++;
       stmt.run({
         id: row.id,
         title: row.title,
@@ -138,20 +448,129 @@ function upsertJobs(jobs) {
         visa_confidence: row.visa_confidence || "unknown",
         success_probability: row.success_probability || 0,
         is_bcorp: row.is_bcorp || 0,
+        fingerprint: row.fingerprint || null,
+        also_listed: mergeListings(storedListings.get({ id: row.id }), row),
+        esg_match: row.esg_match ? JSON.stringify(row.esg_match) : null,
+        full_description: row.full_description || null,
+        city: row.city || null,
+        region: row.region || null,
+        country: row.country || null,
+        work_arrangement: row.work_arrangement || null,
+        hybrid_days: row.hybrid_days || null,
+        eligibility: row.eligibility || null,
+        salary_min: row.salary_min ?? null,
+        salary_max: row.salary_max ?? null,
+        salary_currency: row.salary_currency || null,
+        salary_period: row.salary_period || null,
+        salary_fte: row.salary_fte || null,
+        salary_confidence: row.salary_confidence || null,
+        salary_annual_max: row.salary_annual_max || null,
+        seniority: row.seniority || null,
+        contract_type: row.contract_type || null,
+        language: row.language || null,
+        languages_required: row.languages_required || null,
+        sponsor_register: row.sponsor_register || null,
+        sponsor_match: row.sponsor_match ? JSON.stringify(row.sponsor_match) : null,
+        bcorp_match: row.bcorp_match ? JSON.stringify(row.bcorp_match) : null,
+        sponsor_routes: row.sponsor_routes ? JSON.stringify(row.sponsor_routes) : null,
       });
     }
   });
 
   tx(jobs);
   db.close();
-  return jobs.length;
+  return written;
+}
+
+/**
+ * Add links to other listings of stored vacancies ([{ id, source, url }])
+ * without touching the rest of the row. Returns the number of rows that
+ * gained a link.
+ */
+function addAlsoListed(links) {
+  const db = getDb();
+  const stored = db.prepare("SELECT url, also_listed FROM jobs WHERE id = @id");
+  const update = db.prepare("UPDATE jobs SET also_listed = @also_listed WHERE id = @id");
+
+  let changed = 0;
+  db.transaction(() => {
+    for (const { id, source, url } of links) {
+      const row = stored.get({ id });
+      if (!row) continue;
+      const alsoListed = mergeListings(row, { url: row.url, also_listed: [{ source, url }] });
+      if (alsoListed === row.also_listed) continue;
+      update.run({ id, also_listed: alsoListed });
+      changed++;
+    }
+  })();
+  db.close();
+  return changed;
+}
+
+/**
+ * The row's also-listed links plus any stored from earlier runs, so a run
+ * that only sees the vacancy on one source keeps the other links.
+ */
+function mergeListings(stored, row) {
+  const listings = Array.isArray(row.also_listed) ? [...row.also_listed] : [];
+  if (stored && stored.also_listed) {
+    try {
+      listings.push(...JSON.parse(stored.also_listed));
+    } catch (err) {
+      // Unreadable — keep this run's links
+    }
+  }
+  const seen = new Set([row.url]);
+  const merged = listings.filter((l) => l.url && !seen.has(l.url) && seen.add(l.url));
+  return merged.length ? JSON.stringify(merged) : null;
+}
+
+/**
+ * Look up existing job ids by dedupe fingerprint.
+ * Returns a Map: fingerprint -> id (first stored row wins).
+ */
+function getIdsByFingerprint(fingerprints) {
+  const db = getDb();
+  const stmt = db.prepare("SELECT id FROM jobs WHERE fingerprint = @fingerprint ORDER BY fetched_at ASC LIMIT 1");
+  const map = new Map();
+  for (const fingerprint of fingerprints) {
+    const row = stmt.get({ fingerprint });
+    if (row) map.set(fingerprint, row.id);
+  }
+  db.close();
+  return map;
+}
+
+/**
+ * Remove rows that have been merged into a canonical job, unless the user
+ * has already touched them (status, notes or bookmark) or added them.
+ */
+function deleteMergedDuplicates(ids) {
+  if (!ids.length) return 0;
+  const db = getDb();
+  const stmt = db.prepare("DELETE FROM jobs WHERE id = @id AND source != 'Manual' AND status = 'new' AND saved = 0 AND (notes IS NULL OR notes = '')");
+  let removed = 0;
+  const tx = db.transaction((list) => {
+    for (const id of list) removed += stmt.run({ id }).changes;
+  });
+  tx(ids);
+  db.close();
+  return removed;
 }
 
-function getJobs({ search, source, remote, saved, sponsorOnly, sort, page, limit, status, visaConfidence }) {
+function getJobs({
+  search, source, remote, saved, sponsorOnly, sort, page, limit, status, visaConfidence, includeClosed,
+  city, region, country, arrangement, eligibility, seniority, contract, language, spokenOnly,
+}) {
   const db = getDb();
   const conditions = [];
   const params = {};
 
+  // Closed postings stay visible (flagged) while they're in an active application
+  if (includeClosed !== "true") {
+    conditions.push(`(closed_at IS NULL OR status IN (${ACTIVE_STATUSES.map(s => `'${s}'`).join(", ")}))`);
+  }
+
   if (search) {
     conditions.push("(title LIKE @search OR company LIKE @search OR description LIKE @search OR tags LIKE @search)");
     params.search = `%${search}%`;
@@ -166,6 +585,42 @@ function getJobs({ search, source, remote, saved, sponsorOnly, sort, page, limit
     conditions.push("remote = 1");
   }
 
+  // Structured location: exact place names, case-insensitive
+  for (const [column, value] of [["city", city], ["region", region], ["country", country]]) {
+    if (value && value !== "all") {
+      conditions.push(`${column} = @${column} COLLATE NOCASE`);
+      params[column] = value;
+    }
+  }
+
+  if (arrangement && arrangement !== "all") {
+    conditions.push("work_arrangement = @arrangement");
+    params.arrangement = arrangement;
+  }
+
+  // "ukEligible" = any region a UK resident can apply from; otherwise one region
+  if (eligibility === "ukEligible") {
+    conditions.push(`eligibility IN (${UK_ELIGIBLE.map(e => `'${e}'`).join(", ")})`);
+  } else if (eligibility && eligibility !== "all") {
+    conditions.push("eligibility = @eligibility");
+    params.eligibility = eligibility;
+  }
+
+  // Seniority, contract type and language take one value or a comma-separated list ("mid,senior")
+  for (const [column, value] of [["seniority", seniority], ["contract_type", contract], ["language", language]]) {
+    if (!value || value === "all") continue;
+    const values = String(value).split(",").map((v) => v.trim()).filter(Boolean);
+    conditions.push(`${column} IN (${values.map((_, i) => `@${column}${i}`).join(", ")})`);
+    values.forEach((v, i) => { params[`${column}${i}`] = v; });
+  }
+
+  // Hide listings that require a language the candidate doesn't speak
+  if (spokenOnly === "true") {
+    for (const code of Object.keys(LANGUAGE_LABELS).filter((c) => !CANDIDATE_LANGUAGES.includes(c))) {
+      conditions.push(`(languages_required IS NULL OR ',' || languages_required || ',' NOT LIKE '%,${code},%')`);
+    }
+  }
+
   if (saved === "true") {
     conditions.push("saved = 1");
   }
@@ -225,7 +680,7 @@ function getTopNewJobs(n = 5) {
   const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
   const rows = db.prepare(`
     SELECT * FROM jobs
-    WHERE fetched_at >= @cutoff
+    WHERE fetched_at >= @cutoff AND closed_at IS NULL
     ORDER BY match_score DESC, posted_at DESC
     LIMIT @n
   `).all({ cutoff, n });
@@ -233,20 +688,736 @@ function getTopNewJobs(n = 5) {
   return rows;
 }
 
-function logFetch(source, jobCount, status) {
+/**
+ * Record one source's part of a run. `details` carries the run id, how
+ * long the source took, the listings it returned before filtering and
+ * how many of its queries failed.
+ */
+function logFetch(source, jobCount, status, { runId = null, durationMs = null, fetched = null, errorCount = 0 } = {}) {
   const db = getDb();
-  db.prepare("INSERT INTO fetch_log (source, fetched_at, job_count, status) VALUES (@source, @fetched_at, @job_count, @status)").run({
+  db.prepare(`
+    INSERT INTO fetch_log (source, fetched_at, job_count, status, run_id, duration_ms, fetched, error_count)
+    VALUES (@source, @fetched_at, @job_count, @status, @run_id, @duration_ms, @fetched, @error_count)
+  `).run({
     source,
     fetched_at: new Date().toISOString(),
     job_count: jobCount,
     status,
+    run_id: runId,
+    duration_ms: durationMs,
+    fetched,
+    error_count: errorCount,
   });
   db.close();
 }
 
+/**
+ * Fill in the post-scoring counts on a run's fetch_log rows.
+ * `yields` maps source -> { scored, new_jobs, updated_jobs }.
+ */
+function logFetchYield(runId, yields) {
+  const db = getDb();
+  const stmt = db.prepare(`
+    UPDATE fetch_log SET scored = @scored, new_jobs = @new_jobs, updated_jobs = @updated_jobs
+    WHERE run_id = @run_id AND source = @source
+  `);
+  db.transaction(() => {
+    for (const [source, counts] of Object.entries(yields)) {
+      stmt.run({ run_id: runId, source, ...counts });
+    }
+  })();
+  db.close();
+}
+
+function startFetchRun({ id, trigger, started_at }) {
+  const db = getDb();
+  db.prepare("INSERT INTO fetch_runs (id, trigger, started_at, status) VALUES (@id, @trigger, @started_at, 'running')")
+    .run({ id, trigger, started_at });
+  db.close();
+}
+
+/**
+ * Close out runs a crash or restart left "running" — refresh runs live
+ * in memory, so none of them can still be going when the server starts.
+ * Returns the number of runs marked interrupted.
+ */
+function markInterruptedRuns() {
+  const db = getDb();
+  const { changes } = db.prepare(`
+    UPDATE fetch_runs SET status = 'interrupted', finished_at = @finished_at, error = 'server restarted mid-run'
+    WHERE status = 'running'
+  `).run({ finished_at: new Date().toISOString() });
+  db.close();
+  return changes;
+}
+
+function finishFetchRun(id, { status, fetched = null, saved = null, new_jobs = null, updated_jobs = null, quarantined = null, closed = null, error = null }) {
+  const db = getDb();
+  const finishedAt = new Date().toISOString();
+  db.prepare(`
+    UPDATE fetch_runs SET finished_at = @finished_at, status = @status,
+      duration_ms = CAST((julianday(@finished_at) - julianday(started_at)) * 86400000 AS INTEGER),
+      fetched = @fetched, saved = @saved, new_jobs = @new_jobs, updated_jobs = @updated_jobs,
+      quarantined = @quarantined, closed = @closed, error = @error
+    WHERE id = @id
+  `).run({ id, finished_at: finishedAt, status, fetched, saved, new_jobs, updated_jobs, quarantined, closed, error });
+  db.close();
+}
+
+/**
+ * Most recent runs, newest first.
+ */
+function getFetchRuns(limit = 20) {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM fetch_runs ORDER BY started_at DESC LIMIT @limit").all({ limit });
+  db.close();
+  return rows;
+}
+
+/**
+ * fetch_log rows since `since` (ISO date), oldest first, for health trends.
+ */
+function getFetchLogSince(since) {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM fetch_log WHERE fetched_at >= @since ORDER BY fetched_at ASC, id ASC").all({ since });
+  db.close();
+  return rows;
+}
+
+/**
+ * Which of these job ids are already stored.
+ */
+function getExistingJobIds(ids) {
+  const db = getDb();
+  const stmt = db.prepare("SELECT 1 FROM jobs WHERE id = @id");
+  const existing = new Set(ids.filter((id) => stmt.get({ id })));
+  db.close();
+  return existing;
+}
+
+/**
+ * Most recent fetch_log rows for a source, newest first.
+ */
+function getRecentFetchLog(source, limit = 10) {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM fetch_log WHERE source = @source ORDER BY fetched_at DESC, id DESC LIMIT @limit").all({ source, limit });
+  db.close();
+  return rows;
+}
+
+/**
+ * Record individual query failures inside a source run
+ * (e.g. one Reed search returning HTTP 500 while the rest succeed).
+ */
+function logFetchErrors(source, errors) {
+  if (!errors.length) return;
+  const db = getDb();
+  const stmt = db.prepare("INSERT INTO fetch_errors (source, query, fetched_at, error) VALUES (@source, @query, @fetched_at, @error)");
+  const fetchedAt = new Date().toISOString();
+  const tx = db.transaction((list) => {
+    for (const { query, error } of list) {
+      stmt.run({ source, query, fetched_at: fetchedAt, error });
+    }
+  });
+  tx(errors);
+  db.close();
+}
+
+/**
+ * Record which jobs each successful source returned this run.
+ * Seen jobs get last_seen_at refreshed (and reopen if they were closed);
+ * jobs from those sources that weren't seen accumulate missed runs and are
+ * marked closed once they reach `closeAfter`. Sources that failed or only
+ * partially succeeded are left alone — a missing listing there proves nothing.
+ * Returns { closed, flagged } where flagged counts closures of jobs in an
+ * active application status.
+ */
+function recordSightings(sources, seenIds, closeAfter) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  const seen = new Set(seenIds);
+
+  const touch = db.prepare("UPDATE jobs SET last_seen_at = @now, missed_runs = 0, closed_at = NULL WHERE id = @id");
+  // Manual jobs aren't listed anywhere the fetcher looks, so never expire
+  const openForSource = db.prepare("SELECT id, missed_runs, status FROM jobs WHERE source = @source AND source != 'Manual' AND closed_at IS NULL");
+  const miss = db.prepare(`
+    UPDATE jobs SET missed_runs = @missed,
+      closed_at = CASE WHEN @missed >= @closeAfter THEN @now ELSE NULL END
+    WHERE id = @id
+  `);
+
+  let closed = 0;
+  let flagged = 0;
+  const tx = db.transaction(() => {
+    for (const id of seen) touch.run({ id, now });
+    for (const source of sources) {
+      for (const row of openForSource.all({ source })) {
+        if (seen.has(row.id)) continue;
+        const missed = (row.missed_runs || 0) + 1;
+        miss.run({ id: row.id, missed, closeAfter, now });
+        if (missed >= closeAfter) {
+          closed++;
+          if (ACTIVE_STATUSES.includes(row.status)) flagged++;
+        }
+      }
+    }
+  });
+  tx();
+  db.close();
+  return { closed, flagged };
+}
+
+// ---- Search Queries ----
+
+/**
+ * Every query row, shared list first, then per-source overrides.
+ */
+function listSearchQueries() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM search_queries ORDER BY source = @shared DESC, source, position, id").all({ shared: SHARED });
+  db.close();
+  return rows;
+}
+
+/**
+ * Enabled queries a source should run. A source with any rows of its
+ * own uses only those; otherwise it falls back to the shared list when
+ * `useShared` is set (The Muse searches categories, so it never does).
+ */
+function getSearchQueries(source, useShared = true) {
+  const db = getDb();
+  const stmt = db.prepare("SELECT * FROM search_queries WHERE source = @source ORDER BY position, id");
+  let rows = stmt.all({ source });
+  if (!rows.length && useShared) rows = stmt.all({ source: SHARED });
+  db.close();
+  return rows.filter((r) => r.enabled);
+}
+
+function getSearchQueryById(id) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM search_queries WHERE id = @id").get({ id });
+  db.close();
+  return row || null;
+}
+
+function addSearchQuery({ source, query, location = null }) {
+  const db = getDb();
+  try {
+    const position = db.prepare("SELECT IFNULL(MAX(position) + 1, 0) AS p FROM search_queries WHERE source = @source").get({ source }).p;
+    const info = db.prepare("INSERT INTO search_queries (source, query, location, position, created_at) VALUES (@source, @query, @location, @position, @created_at)").run({
+      source, query, location: location || null, position, created_at: new Date().toISOString(),
+    });
+    return db.prepare("SELECT * FROM search_queries WHERE id = ?").get(info.lastInsertRowid);
+  } finally {
+    db.close();
+  }
+}
+
+function updateSearchQuery(id, { query, location, enabled }) {
+  const db = getDb();
+  const current = db.prepare("SELECT * FROM search_queries WHERE id = @id").get({ id });
+  if (!current) {
+    db.close();
+    return null;
+  }
+  db.prepare("UPDATE search_queries SET query = @query, location = @location, enabled = @enabled WHERE id = @id").run({
+    id,
+    query: query !== undefined ? query : current.query,
+    location: location !== undefined ? (location || null) : current.location,
+    enabled: enabled !== undefined ? (enabled ? 1 : 0) : current.enabled,
+  });
+  const row = db.prepare("SELECT * FROM search_queries WHERE id = @id").get({ id });
+  db.close();
+  return row;
+}
+
+function deleteSearchQuery(id) {
+  const db = getDb();
+  db.prepare("DELETE FROM query_yield WHERE query_id = @id").run({ id });
+  const info = db.prepare("DELETE FROM search_queries WHERE id = @id").run({ id });
+  db.close();
+  return info.changes > 0;
+}
+
+/**
+ * Start a per-source override from a copy of the shared list.
+ */
+function customiseSearchQueries(source) {
+  const db = getDb();
+  const copy = db.prepare(`
+    INSERT OR IGNORE INTO search_queries (source, query, location, enabled, position, created_at)
+    SELECT @source, query, location, enabled, position, @created_at FROM search_queries WHERE source = @shared
+  `);
+  const info = copy.run({ source, shared: SHARED, created_at: new Date().toISOString() });
+  db.close();
+  return info.changes;
+}
+
+/**
+ * Drop a source's override so it goes back to the shared list.
+ */
+function resetSearchQueries(source) {
+  const db = getDb();
+  const tx = db.transaction(() => {
+    db.prepare("DELETE FROM query_yield WHERE query_id IN (SELECT id FROM search_queries WHERE source = @source)").run({ source });
+    return db.prepare("DELETE FROM search_queries WHERE source = @source").run({ source }).changes;
+  });
+  const removed = tx();
+  db.close();
+  return removed;
+}
+
+/**
+ * Record per-query results for one run: raw hits from the API, jobs the
+ * adapter kept after filtering, and jobs that survived scoring.
+ */
+function logQueryYield(rows) {
+  if (!rows.length) return;
+  const db = getDb();
+  const stmt = db.prepare("INSERT INTO query_yield (query_id, source, fetched_at, raw, kept, scored, error) VALUES (@query_id, @source, @fetched_at, @raw, @kept, @scored, @error)");
+  const fetchedAt = new Date().toISOString();
+  db.transaction(() => {
+    for (const row of rows) stmt.run({ error: null, ...row, fetched_at: fetchedAt });
+  })();
+  db.close();
+}
+
+/**
+ * Per-query yield totals over the last `days`, one row per (query, source)
+ * — a shared query is reported separately for each source that ran it.
+ */
+function getQueryYield(days = 30) {
+  const db = getDb();
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rows = db.prepare(`
+    SELECT query_id, source, COUNT(*) AS runs, SUM(raw) AS raw, SUM(kept) AS kept, SUM(scored) AS scored,
+      SUM(error IS NOT NULL) AS errors, MAX(fetched_at) AS last_run
+    FROM query_yield WHERE fetched_at >= @since
+    GROUP BY query_id, source
+  `).all({ since });
+  db.close();
+  return rows;
+}
+
+// ---- Quarantine (jobs dropped by the ESG filters or the score gate) ----
+
+/**
+ * Ids the user has promoted out of quarantine. The fetcher lets these
+ * through instead of quarantining them again.
+ */
+function getPromotedIds() {
+  const db = getDb();
+  const ids = db.prepare("SELECT id FROM quarantine WHERE promoted_at IS NOT NULL").all().map((r) => r.id);
+  db.close();
+  return new Set(ids);
+}
+
+/**
+ * Log rejected jobs: [{ job, stage: "filter" | "score", reason }].
+ * A job rejected again keeps its first_seen_at and bumps seen_count.
+ */
+function quarantineJobs(rows) {
+  if (!rows.length) return;
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO quarantine (id, source, title, company, location, url, stage, reason, match_score, job, first_seen_at, last_seen_at)
+    VALUES (@id, @source, @title, @company, @location, @url, @stage, @reason, @match_score, @job, @now, @now)
+    ON CONFLICT(id) DO UPDATE SET
+      source = excluded.source, title = excluded.title, company = excluded.company,
+      location = excluded.location, url = excluded.url, stage = excluded.stage,
+      reason = excluded.reason, match_score = excluded.match_score, job = excluded.job,
+      last_seen_at = excluded.last_seen_at, seen_count = seen_count + 1
+    WHERE promoted_at IS NULL
+  `);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const { job, stage, reason } of rows) {
+      stmt.run({
+        id: job.id,
+        source: job.source,
+        title: job.title || null,
+        company: job.company || null,
+        location: job.location || null,
+        url: job.url || null,
+        stage,
+        reason,
+        match_score: stage === "score" ? job.match_score : null,
+        job: JSON.stringify(job),
+        now,
+      });
+    }
+  })();
+  db.close();
+}
+
+/**
+ * Drop quarantine entries for jobs that made it onto the board this run
+ * (e.g. after a taxonomy change) and entries not seen for `days`.
+ * Promoted entries are kept — they're what lets a job back in.
+ */
+function pruneQuarantine(admittedIds, days) {
+  const db = getDb();
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const admitted = db.prepare("DELETE FROM quarantine WHERE id = @id AND promoted_at IS NULL");
+  let removed = 0;
+  db.transaction(() => {
+    for (const id of admittedIds) removed += admitted.run({ id }).changes;
+    removed += db.prepare("DELETE FROM quarantine WHERE last_seen_at < @cutoff AND promoted_at IS NULL").run({ cutoff }).changes;
+  })();
+  db.close();
+  return removed;
+}
+
+function getQuarantine({ source, stage, page = 1, limit = 50 } = {}) {
+  const db = getDb();
+  const conditions = ["promoted_at IS NULL"];
+  const params = {};
+  if (source && source !== "all") {
+    conditions.push("source = @source");
+    params.source = source;
+  }
+  if (stage && stage !== "all") {
+    conditions.push("stage = @stage");
+    params.stage = stage;
+  }
+  const where = `WHERE ${conditions.join(" AND ")}`;
+  const total = db.prepare(`SELECT COUNT(*) as c FROM quarantine ${where}`).get(params).c;
+  const jobs = db.prepare(`
+    SELECT id, source, title, company, location, url, stage, reason, match_score, first_seen_at, last_seen_at, seen_count
+    FROM quarantine ${where} ORDER BY last_seen_at DESC, title LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit, offset: (page - 1) * limit });
+  db.close();
+  return { jobs, total, page, limit };
+}
+
+function getQuarantinedJob(id) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM quarantine WHERE id = @id").get({ id });
+  db.close();
+  return row ? { ...row, job: JSON.parse(row.job) } : null;
+}
+
+/**
+ * Mark a quarantined job promoted and record it as a false-negative
+ * example for tuning the taxonomy.
+ */
+function promoteQuarantined(id, feedback) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("UPDATE quarantine SET promoted_at = @now WHERE id = @id").run({ id, now });
+    db.prepare(`
+      INSERT INTO taxonomy_feedback (job_id, source, title, tags, excerpt, stage, reason, taxonomy_version, created_at)
+      VALUES (@job_id, @source, @title, @tags, @excerpt, @stage, @reason, @taxonomy_version, @now)
+    `).run({ ...feedback, job_id: id, now });
+  })();
+  db.close();
+}
+
+function getTaxonomyFeedback() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM taxonomy_feedback ORDER BY created_at DESC").all();
+  db.close();
+  return rows;
+}
+
+// ---- FX rates (GBP per unit of each currency, for salary conversion) ----
+
+function getFxRates() {
+  const db = getDb();
+  const rows = db.prepare("SELECT currency, rate_to_gbp FROM fx_rates").all();
+  db.close();
+  return Object.fromEntries(rows.map((r) => [r.currency, r.rate_to_gbp]));
+}
+
+function listFxRates() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM fx_rates ORDER BY currency").all();
+  db.close();
+  return rows;
+}
+
+/**
+ * Upsert rates: { USD: 0.79, ... }. `source` records where they came from
+ * ("default", "api" or "manual").
+ */
+function setFxRates(rates, source) {
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO fx_rates (currency, rate_to_gbp, source, updated_at) VALUES (@currency, @rate, @source, @now)
+    ON CONFLICT(currency) DO UPDATE SET rate_to_gbp = excluded.rate_to_gbp, source = excluded.source, updated_at = excluded.updated_at
+  `);
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const [currency, rate] of Object.entries(rates)) stmt.run({ currency, rate, source, now });
+  })();
+  db.close();
+}
+
+// ---- Full-description cache (posting pages followed for snippet-only sources) ----
+
+/**
+ * Cached extraction results for these URLs. Returns a Map: url -> row.
+ */
+function getFulltextCache(urls) {
+  const db = getDb();
+  const stmt = db.prepare("SELECT * FROM fulltext_cache WHERE url = @url");
+  const map = new Map();
+  for (const url of new Set(urls)) {
+    const row = stmt.get({ url });
+    if (row) map.set(url, row);
+  }
+  db.close();
+  return map;
+}
+
+function saveFulltext({ url, description, method, status }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT OR REPLACE INTO fulltext_cache (url, description, method, status, fetched_at)
+    VALUES (@url, @description, @method, @status, @fetched_at)
+  `).run({ url, description, method, status, fetched_at: new Date().toISOString() });
+  db.close();
+}
+
+/**
+ * Drop cache entries past their use: extracted pages older than maxAgeMs,
+ * failures older than failedMaxAgeMs.
+ */
+function pruneFulltextCache(maxAgeMs, failedMaxAgeMs) {
+  const db = getDb();
+  const now = Date.now();
+  db.prepare(`
+    DELETE FROM fulltext_cache
+    WHERE (description IS NOT NULL AND fetched_at < @fresh) OR (description IS NULL AND fetched_at < @failed)
+  `).run({
+    fresh: new Date(now - maxAgeMs).toISOString(),
+    failed: new Date(now - failedMaxAgeMs).toISOString(),
+  });
+  db.close();
+}
+
+// ---- Sponsor register snapshots (one row per edition of the GOV.UK CSV) ----
+
+/**
+ * Record a downloaded register edition. Downloading the same URL again
+ * (record/replay runs) refreshes the existing row. Returns the row.
+ */
+function addSponsorSnapshot({ published_on, source_url, origin, row_count, sponsor_count }) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  db.prepare(`
+    INSERT INTO sponsor_snapshots (published_on, source_url, origin, row_count, sponsor_count, downloaded_at, checked_at)
+    VALUES (@published_on, @source_url, @origin, @row_count, @sponsor_count, @now, @now)
+    ON CONFLICT(source_url) DO UPDATE SET
+      origin = excluded.origin, row_count = excluded.row_count, sponsor_count = excluded.sponsor_count,
+      downloaded_at = excluded.downloaded_at, checked_at = excluded.checked_at
+  `).run({ published_on, source_url, origin, row_count, sponsor_count, now });
+  const row = db.prepare("SELECT * FROM sponsor_snapshots WHERE source_url = ?").get(source_url);
+  db.close();
+  return row;
+}
+
+function getLatestSponsorSnapshot() {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM sponsor_snapshots ORDER BY downloaded_at DESC, id DESC LIMIT 1").get();
+  db.close();
+  return row || null;
+}
+
+/**
+ * Mark a snapshot as confirmed current against the publication page.
+ * Returns the updated row.
+ */
+function touchSponsorSnapshot(id) {
+  const db = getDb();
+  db.prepare("UPDATE sponsor_snapshots SET checked_at = ? WHERE id = ?").run(new Date().toISOString(), id);
+  const row = db.prepare("SELECT * FROM sponsor_snapshots WHERE id = ?").get(id);
+  db.close();
+  return row;
+}
+
+function listSponsorSnapshots(limit = 50) {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM sponsor_snapshots ORDER BY downloaded_at DESC, id DESC LIMIT ?").all(limit);
+  db.close();
+  return rows;
+}
+
+/**
+ * Store the diff between two register editions (see sponsor.js diffRegisters).
+ * Re-storing a snapshot's diff replaces the old one.
+ */
+function saveSponsorChanges(snapshotId, previousSnapshotId, changes) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO sponsor_changes (snapshot_id, previous_snapshot_id, change, sponsor_key, name, before, after)
+    VALUES (@snapshot_id, @previous_snapshot_id, @change, @sponsor_key, @name, @before, @after)
+  `);
+  db.transaction(() => {
+    db.prepare("DELETE FROM sponsor_changes WHERE snapshot_id = ?").run(snapshotId);
+    for (const c of changes) {
+      insert.run({
+        snapshot_id: snapshotId,
+        previous_snapshot_id: previousSnapshotId,
+        change: c.change,
+        sponsor_key: c.sponsor_key,
+        name: c.name,
+        before: c.before ? JSON.stringify(c.before) : null,
+        after: c.after ? JSON.stringify(c.after) : null,
+      });
+    }
+  })();
+  db.close();
+}
+
+/**
+ * A snapshot's changes from the edition before it, with per-kind counts.
+ * `change` narrows the list to one kind (added, removed, rating, routes).
+ */
+function getSponsorChanges(snapshotId, { change, page = 1, limit = 100 } = {}) {
+  const db = getDb();
+  const counts = Object.fromEntries(
+    db.prepare("SELECT change, COUNT(*) as c FROM sponsor_changes WHERE snapshot_id = ? GROUP BY change").all(snapshotId)
+      .map((r) => [r.change, r.c])
+  );
+  const where = change ? "snapshot_id = @snapshotId AND change = @change" : "snapshot_id = @snapshotId";
+  const total = db.prepare(`SELECT COUNT(*) as c FROM sponsor_changes WHERE ${where}`).get({ snapshotId, change }).c;
+  const rows = db.prepare(`
+    SELECT * FROM sponsor_changes WHERE ${where}
+    ORDER BY CASE change WHEN 'removed' THEN 0 WHEN 'rating' THEN 1 WHEN 'routes' THEN 2 ELSE 3 END, name
+    LIMIT @limit OFFSET @offset
+  `).all({ snapshotId, change, limit, offset: (page - 1) * limit });
+  db.close();
+  const changes = rows.map((r) => ({
+    ...r,
+    before: r.before ? JSON.parse(r.before) : null,
+    after: r.after ? JSON.parse(r.after) : null,
+  }));
+  return { counts, total, page, limit, changes };
+}
+
+/**
+ * Fields needed to re-check a job's sponsor and B Corp status and visa confidence.
+ */
+function getJobsForCompanyCheck() {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT id, company, status, salary, salary_num, soc_code, match_score, visa_confidence,
+      verified_sponsor, sponsor_routes, sponsor_match, bcorp_match
+    FROM jobs WHERE company IS NOT NULL
+  `).all();
+  db.close();
+  return rows;
+}
+
+function updateSponsorVerification(rows) {
+  if (!rows.length) return;
+  const db = getDb();
+  const stmt = db.prepare(`
+    UPDATE jobs SET verified_sponsor = @verified_sponsor, sponsor_rating = @sponsor_rating,
+      sponsor_routes = @sponsor_routes, sponsor_register = @sponsor_register, sponsor_match = @sponsor_match,
+      visa_confidence = @visa_confidence, success_probability = @success_probability
+    WHERE id = @id
+  `);
+  db.transaction(() => {
+    for (const row of rows) stmt.run(row);
+  })();
+  db.close();
+}
+
+// ---- Sponsor alerts (register changes at employers mid-application) ----
+
+function addSponsorAlerts(alerts) {
+  if (!alerts.length) return;
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO sponsor_alerts (job_id, snapshot_id, change, company, sponsor_name, message, visa_before, visa_after, created_at)
+    VALUES (@job_id, @snapshot_id, @change, @company, @sponsor_name, @message, @visa_before, @visa_after, @created_at)
+  `);
+  const createdAt = new Date().toISOString();
+  db.transaction(() => {
+    for (const alert of alerts) stmt.run({ ...alert, created_at: createdAt });
+  })();
+  db.close();
+}
+
+/**
+ * Undismissed alerts, newest first, with the job's title and current status.
+ */
+function getSponsorAlerts() {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT a.*, j.title, j.status, s.published_on
+    FROM sponsor_alerts a
+    JOIN jobs j ON j.id = a.job_id
+    JOIN sponsor_snapshots s ON s.id = a.snapshot_id
+    WHERE a.dismissed_at IS NULL
+    ORDER BY a.created_at DESC, a.id DESC
+  `).all();
+  db.close();
+  return rows;
+}
+
+function dismissSponsorAlert(id) {
+  const db = getDb();
+  const result = db.prepare("UPDATE sponsor_alerts SET dismissed_at = ? WHERE id = ? AND dismissed_at IS NULL")
+    .run(new Date().toISOString(), id);
+  db.close();
+  return result.changes > 0;
+}
+
+// ---- Company match overrides (see company.js) ----
+
+function getCompanyOverrides() {
+  const db = getDb();
+  const rows = db.prepare("SELECT * FROM company_overrides ORDER BY id").all();
+  db.close();
+  return rows;
+}
+
+/**
+ * Store a confirm/reject decision. A company has at most one confirmed
+ * entry, and a decision on an entry replaces any earlier one on it.
+ */
+function saveCompanyOverride({ directory, company_key, decision, target_key }) {
+  const db = getDb();
+  db.transaction(() => {
+    const params = { directory, company_key, target_key };
+    if (decision === "confirm") {
+      db.prepare("DELETE FROM company_overrides WHERE directory = @directory AND company_key = @company_key AND (decision = 'confirm' OR target_key IN (@target_key, '*'))").run(params);
+    } else {
+      db.prepare("DELETE FROM company_overrides WHERE directory = @directory AND company_key = @company_key AND (target_key = @target_key OR @target_key = '*')").run(params);
+    }
+    db.prepare(`
+      INSERT INTO company_overrides (directory, company_key, decision, target_key, created_at)
+      VALUES (@directory, @company_key, @decision, @target_key, @created_at)
+    `).run({ ...params, decision, created_at: new Date().toISOString() });
+  })();
+  db.close();
+}
+
+function clearCompanyOverrides(directory, company_key) {
+  const db = getDb();
+  db.prepare("DELETE FROM company_overrides WHERE directory = ? AND company_key = ?").run(directory, company_key);
+  db.close();
+}
+
+function updateBCorpMatch(rows) {
+  if (!rows.length) return;
+  const db = getDb();
+  const stmt = db.prepare("UPDATE jobs SET is_bcorp = @is_bcorp, bcorp_match = @bcorp_match WHERE id = @id");
+  db.transaction(() => {
+    for (const row of rows) stmt.run(row);
+  })();
+  db.close();
+}
+
 // ---- V3.0: CRM Functions ----
 
 const VALID_STATUSES = ["new", "to_apply", "applied", "interviewing", "offer", "rejected", "archived"];
+// Statuses where the user is mid-application — these jobs are never silently hidden
+const ACTIVE_STATUSES = ["to_apply", "applied", "interviewing", "offer"];
 
 function updateStatus(jobId, status) {
   if (!VALID_STATUSES.includes(status)) {
@@ -276,9 +1447,11 @@ function getJobById(jobId) {
 
 function getStats() {
   const db = getDb();
-  const total = db.prepare("SELECT COUNT(*) as c FROM jobs").get().c;
-  const sources = db.prepare("SELECT source, COUNT(*) as c FROM jobs GROUP BY source").all();
-  const lastFetch = db.prepare("SELECT * FROM fetch_log ORDER BY fetched_at DESC LIMIT 1").get();
+  const total = db.prepare("SELECT COUNT(*) as c FROM jobs WHERE closed_at IS NULL").get().c;
+  const sources = db.prepare("SELECT source, COUNT(*) as c FROM jobs WHERE closed_at IS NULL GROUP BY source").all();
+  // The last finished run; older databases only have fetch_log
+  const lastFetch = db.prepare("SELECT id AS run_id, finished_at AS fetched_at, status, saved AS job_count FROM fetch_runs WHERE finished_at IS NOT NULL AND status != 'interrupted' ORDER BY started_at DESC LIMIT 1").get()
+    || db.prepare("SELECT * FROM fetch_log ORDER BY fetched_at DESC LIMIT 1").get();
   const verifiedCount = db.prepare("SELECT COUNT(*) as c FROM jobs WHERE verified_sponsor = 1").get().c;
   const avgScore = db.prepare("SELECT ROUND(AVG(match_score)) as avg FROM jobs WHERE match_score > 0").get().avg || 0;
   // V3.0 stats
@@ -288,12 +1461,28 @@ function getStats() {
   const visaRed = db.prepare("SELECT COUNT(*) as c FROM jobs WHERE visa_confidence = 'red'").get().c;
   // V4.0: B Corp stats
   const bcorpCount = db.prepare("SELECT COUNT(*) as c FROM jobs WHERE is_bcorp = 1").get().c;
-  const goldenCount = db.prepare("SELECT COUNT(*) as c FROM jobs WHERE is_bcorp = 1 AND verified_sponsor = 1").get().c;
+  // Golden needs a sponsor that can sponsor a Skilled Worker visa (routes unknown count)
+  const goldenCount = db.prepare(`SELECT COUNT(*) as c FROM jobs WHERE is_bcorp = 1 AND verified_sponsor = 1
+    AND (sponsor_routes IS NULL OR sponsor_routes = '[]' OR sponsor_routes LIKE '%"Skilled Worker"%')`).get().c;
+  const quarantined = db.prepare("SELECT COUNT(*) as c FROM quarantine WHERE promoted_at IS NULL").get().c;
+  const sponsorAlerts = db.prepare("SELECT COUNT(*) as c FROM sponsor_alerts WHERE dismissed_at IS NULL").get().c;
   db.close();
-  return { total, sources, lastFetch, verifiedCount, avgScore, statusCounts, visaGreen, visaYellow, visaRed, bcorpCount, goldenCount };
+  return { total, sources, lastFetch, verifiedCount, avgScore, statusCounts, visaGreen, visaYellow, visaRed, bcorpCount, goldenCount, quarantined, sponsorAlerts };
 }
 
 module.exports = {
-  initialize, upsertJobs, getJobs, toggleSave, getStats, getTopNewJobs, logFetch,
+  initialize, upsertJobs, addAlsoListed, getJobs, toggleSave, getStats, getTopNewJobs, logFetch,
   updateStatus, updateNotes, getJobById, VALID_STATUSES,
+  getIdsByFingerprint, deleteMergedDuplicates, getRecentFetchLog, logFetchErrors,
+  recordSightings, ACTIVE_STATUSES,
+  listSearchQueries, getSearchQueries, getSearchQueryById, addSearchQuery, updateSearchQuery,
+  deleteSearchQuery, customiseSearchQueries, resetSearchQueries, logQueryYield, getQueryYield,
+  getPromotedIds, quarantineJobs, pruneQuarantine, getQuarantine, getQuarantinedJob,
+  promoteQuarantined, getTaxonomyFeedback, getFulltextCache, saveFulltext, pruneFulltextCache,
+  getFxRates, listFxRates, setFxRates,
+  addSponsorSnapshot, getLatestSponsorSnapshot, touchSponsorSnapshot, listSponsorSnapshots,
+  saveSponsorChanges, getSponsorChanges, getJobsForCompanyCheck, updateSponsorVerification,
+  addSponsorAlerts, getSponsorAlerts, dismissSponsorAlert,
+  getCompanyOverrides, saveCompanyOverride, clearCompanyOverrides, updateBCorpMatch,
+  logFetchYield, startFetchRun, markInterruptedRuns, finishFetchRun, getFetchRuns, getFetchLogSince, getExistingJobIds,
 };
@@ -0,0 +1,175 @@
+// ============================================================
+// Cross-source Duplicate Detection
+// The same vacancy often arrives from Reed, Adzuna and Jooble
+// under different ids. We fingerprint each job by normalised
+// company + title + location, confirm with description overlap,
+// and merge duplicates into one canonical job that keeps every
+// source URL plus the richest description and salary.
+// ============================================================
+
+const { normalise } = require("./sponsor");
+
+// Description containment needed to merge when locations disagree
+const SIMILARITY_THRESHOLD = 0.6;
+// Below this many distinct words a description is a snippet — too short to compare
+const MIN_COMPARABLE_WORDS = 25;
+
+// Placeholder company names that can't anchor a match on their own
+const GENERIC_COMPANIES = new Set(["unknown", "see listing", "confidential", "not disclosed", "anonymous"]);
+
+/**
+ * Normalise a job title: lowercase, drop gender markers like "(m/f/d)",
+ * trailing location/arrangement suffixes and punctuation.
+ */
+function normaliseTitle(title) {
+  return (title || "")
+    .toLowerCase()
+    .replace(/\((?:m|f|w|d|x|all genders?)(?:\s*\/\s*(?:m|f|w|d|x))*\)/g, "")
+    .replace(/\s[-–|]\s*(?:london|remote|hybrid|uk|united kingdom)\b.*$/, "")
+    .replace(/[^a-z0-9\s&]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Reduce a location to its first meaningful part ("London, Greater London" → "london").
+ */
+function normaliseLocation(location) {
+  const loc = (location || "").toLowerCase();
+  if (loc.includes("london")) return "london";
+  if (loc.includes("remote") || loc.includes("anywhere") || loc.includes("worldwide")) return "remote";
+  return loc.split(/[,(]/)[0].replace(/[^a-z\s]/g, "").trim();
+}
+
+/**
+ * Stable fingerprint for a job, or null when the company is too generic
+ * to identify the vacancy.
+ */
+function fingerprint(job) {
+  const company = normalise(job.company || "");
+  const title = normaliseTitle(job.title);
+  if (!company || !title || GENERIC_COMPANIES.has(company)) return null;
+  return `${company}|${title}|${normaliseLocation(job.location)}`;
+}
+
+function wordSet(html) {
+  const text = (html || "").replace(/<[^>]*>/g, " ").toLowerCase();
+  return new Set(text.match(/[a-z]{3,}/g) || []);
+}
+
+/**
+ * Overlap coefficient of two descriptions (|A∩B| / min(|A|,|B|)).
+ * Returns null when either side is too short to compare.
+ */
+function descriptionSimilarity(a, b) {
+  const wa = wordSet(a);
+  const wb = wordSet(b);
+  if (wa.size < MIN_COMPARABLE_WORDS || wb.size < MIN_COMPARABLE_WORDS) return null;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / Math.min(wa.size, wb.size);
+}
+
+function isDuplicate(a, b) {
+  if (a.source === b.source) return false; // each adapter already de-dupes its own ids
+  const companyA = normalise(a.company || "");
+  const companyB = normalise(b.company || "");
+  if (normaliseTitle(a.title) !== normaliseTitle(b.title)) return false;
+
+  const similarity = descriptionSimilarity(a.description, b.description);
+  const genericCompany = GENERIC_COMPANIES.has(companyA) || GENERIC_COMPANIES.has(companyB);
+
+  // Without a real company name only a strong description match will do
+  if (genericCompany) return similarity !== null && similarity >= 0.8;
+  if (companyA !== companyB) return false;
+
+  if (normaliseLocation(a.location) === normaliseLocation(b.location)) {
+    // Same company/title/place — only a clearly different description splits them
+    return similarity === null || similarity >= 0.3;
+  }
+  return similarity !== null && similarity >= SIMILARITY_THRESHOLD;
+}
+
+function plainLength(html) {
+  return (html || "").replace(/<[^>]*>/g, "").trim().length;
+}
+
+// A salary with a range beats a single figure beats nothing
+function salaryRichness(salary) {
+  if (!salary) return 0;
+  const figures = salary.replace(/,/g, "").match(/\d{2,}/g) || [];
+  return 1 + Math.min(figures.length, 2);
+}
+
+/**
+ * Merge a group of duplicates into the first (canonical) job.
+ * `merged_fields` names the canonical job's fields a duplicate replaced,
+ * so the fetcher knows to parse them again.
+ */
+function mergeGroup(group) {
+  const [canonical, ...others] = group;
+  const merged = { ...canonical };
+
+  const listings = [];
+  const replaced = new Set();
+  const seenUrls = new Set([canonical.url]);
+  for (const job of others) {
+    if (job.url && !seenUrls.has(job.url)) {
+      seenUrls.add(job.url);
+      listings.push({ source: job.source, url: job.url });
+    }
+    if (plainLength(job.description) > plainLength(merged.description)) {
+      merged.description = job.description;
+      replaced.add("description");
+    }
+    if (salaryRichness(job.salary) > salaryRichness(merged.salary)) {
+      merged.salary = job.salary;
+      replaced.add("salary");
+    }
+    if (!merged.company_logo && job.company_logo) merged.company_logo = job.company_logo;
+    if (job.visa_sponsorship) merged.visa_sponsorship = 1;
+    if (job.posted_at && job.posted_at < merged.posted_at) merged.posted_at = job.posted_at;
+  }
+
+  merged.also_listed = listings;
+  merged.merged_ids = others.map((j) => j.id);
+  merged.merged_fields = [...replaced];
+  return merged;
+}
+
+/**
+ * Collapse cross-source duplicates. Input order decides the canonical job,
+ * so pass jobs in source-registry order for stable ids between runs.
+ */
+function dedupeJobs(jobs) {
+  // Bucket by normalised title first so we only compare plausible pairs
+  const buckets = new Map();
+  for (const job of jobs) {
+    const key = normaliseTitle(job.title);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(job);
+  }
+
+  const groups = [];
+  for (const bucket of buckets.values()) {
+    const bucketGroups = [];
+    for (const job of bucket) {
+      const group = bucketGroups.find((g) => g.every((other) => other.source !== job.source) && isDuplicate(g[0], job));
+      if (group) group.push(job);
+      else bucketGroups.push([job]);
+    }
+    groups.push(...bucketGroups);
+  }
+
+  // Preserve the original ordering of canonical jobs
+  const order = new Map(jobs.map((j, i) => [j, i]));
+  groups.sort((a, b) => order.get(a[0]) - order.get(b[0]));
+
+  return groups.map((group) => {
+    const job = group.length > 1 ? mergeGroup(group) : { ...group[0], also_listed: [], merged_ids: [], merged_fields: [] };
+    job.fingerprint = fingerprint(job);
+    return job;
+  });
+}
+
+module.exports = { dedupeJobs, fingerprint };
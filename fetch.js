@@ -0,0 +1,21 @@
+// ============================================================
+// One-off Fetch
+// Runs every enabled source once, outside the server, with the
+// API keys from the environment (or .env).
+//
+//   npm run fetch
+//   HTTP_MODE=replay npm run fetch   — offline, from fixtures/
+// ============================================================
+
+require("dotenv").config();
+const db = require("./db");
+const { fetchAllJobs } = require("./fetcher");
+const { configFromEnv } = require("./sources");
+
+db.initialize();
+fetchAllJobs(configFromEnv())
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("  [Fetch] Failed:", err);
+    process.exit(1);
+  });
@@ -1,106 +1,36 @@
-const fetch = require("node-fetch");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const RSSParser = require("rss-parser");
 const db = require("./db");
 const sponsor = require("./sponsor");
 const bcorp = require("./bcorp");
-const { scoreJobs } = require("./scorer");
+const { scoreJobs, stripHtml } = require("./scorer");
+const { registerSource, getEnabledSources } = require("./sources");
+const { dedupeJobs, fingerprint } = require("./dedupe");
+const { createSourceFetch } = require("./http");
+const { ATS } = require("./ats");
+const { getCircuitState } = require("./circuit");
+const { queryLabel } = require("./queries");
+const { enrichFullDescriptions, extractPosting, extractJobPosting, fetchPostingPage } = require("./fulltext");
+const { parseLocation, closedToUK, ELIGIBILITY_LABELS } = require("./location");
+const { parseSalary } = require("./salary");
+const { classifyRole } = require("./classify");
+const { analyseLanguage, englishTitle } = require("./language");
+const company = require("./company");
+const {
+  matchESG, matchESGStrict, matchESGSearch, matchESGQuery, explainUnfiltered, version: taxonomyVersion,
+} = require("./taxonomy");
 
 const NOW = () => new Date().toISOString();
-const rssParser = new RSSParser();
-
-// ---------------------------------------------------------------------------
-// ESG / sustainability keywords — tiered for precision filtering
-// ---------------------------------------------------------------------------
-
-// TIER 1: Strongly ESG-specific — a single match anywhere = ESG-relevant
-const ESG_STRONG = [
-  "esg", "sustainability", "sustainable development", "climate change",
-  "carbon", "net zero", "net-zero", "decarbonisation", "decarbonization",
-  "energy transition", "circular economy", "cleantech", "ghg", "emissions",
-  "sdg", "tcfd", "sfdr", "csrd", "gri reporting", "gri standards",
-  "scope 1", "scope 2", "scope 3", "double materiality", "taxonomy regulation",
-  "green bond", "green finance", "sustainable finance",
-  "climate risk", "climate consulting", "climate adaptation", "climate mitigation",
-  "esg consulting", "esg advisory", "esg analyst", "esg reporting",
-  "esg communications", "sustainability communications",
-  "sustainability consultant", "sustainability reporting",
-  "sustainability disclosure", "non-financial reporting", "integrated reporting",
-  "responsible investment", "impact investing",
-  "biodiversity", "nature-based", "just transition",
-  "csr", "corporate social responsibility",
-  "social impact", "impact assessment",
-  "b corp", "science-based targets", "sbti",
-];
-
-// TIER 2: Ambiguous — these appear in non-ESG contexts ("responsible for...", "business impact")
-// Only count if they appear in the TITLE, or if 3+ appear together in the description
-const ESG_WEAK = [
-  "impact", "responsible", "governance", "environmental",
-  "stewardship", "ethical", "purpose-driven", "stakeholder engagement",
-  "renewable", "dei", "diversity equity inclusion",
-  "corporate governance", "responsible business",
-  "non-profit", "nonprofit", "ngo", "charity", "social enterprise",
-  "ethical investment",
-];
-
-function isESGRelated(title, description, tags) {
-  const titleLower = (title || "").toLowerCase();
-  const allText = `${titleLower} ${(description || "").toLowerCase()} ${(tags || "").toLowerCase()}`;
-
-  // Rule 1: Any STRONG keyword anywhere → relevant
-  if (ESG_STRONG.some((kw) => allText.includes(kw))) return true;
-
-  // Rule 2: A WEAK keyword in the TITLE → relevant (title is intentional)
-  if (ESG_WEAK.some((kw) => titleLower.includes(kw))) return true;
-
-  // Rule 3: 3+ WEAK keywords in the full text → likely ESG context
-  const weakHits = ESG_WEAK.filter((kw) => allText.includes(kw));
-  if (weakHits.length >= 3) return true;
-
-  return false;
-}
-
-/**
- * Stricter ESG filter for The Muse — this source has high noise because broad
- * categories ("Business Operations", "Management") return many non-ESG roles.
- * Require at least one STRONG ESG keyword in title or tags, OR 2+ STRONG in description.
- */
-function isMuseESGRelevant(title, description, tags) {
-  const titleLower = (title || "").toLowerCase();
-  const tagsLower = (tags || "").toLowerCase();
-  const descLower = (description || "").toLowerCase();
-
-  // Title or tags contain a strong ESG keyword → pass
-  if (ESG_STRONG.some((kw) => titleLower.includes(kw) || tagsLower.includes(kw))) return true;
-
-  // Description has 2+ strong ESG keywords → pass (confirms ESG is core to the role)
-  const strongDescHits = ESG_STRONG.filter((kw) => descLower.includes(kw));
-  if (strongDescHits.length >= 2) return true;
-
-  return false;
-}
-
-/**
- * Search-based ESG filter — used for Jooble, Reed, Adzuna and other sources
- * where search queries are ESG-targeted but API snippets/descriptions may be
- * too short for the standard isESGRelated() check.
- * We trust the search context + verify the role title looks like a plausible
- * ESG/consulting/comms position.
- */
-// ESG-relevant role words — narrow to consulting/comms/ESG titles
-const ESG_ROLE_WORDS = /consultant|consult|advisor|advisory|analyst|communicat|report|strateg|sustainab|esg|climate|carbon|environment|csr|planner|engagement/i;
-
-function isSearchESGRelevant(title, snippet, searchKeywords) {
-  // Rule 1: Title or snippet has a strong ESG keyword → always pass
-  if (isESGRelated(title, snippet, "")) return true;
 
-  // Rule 2: The search was ESG-targeted AND the title contains an ESG-adjacent
-  // role word (consulting, analyst, communications, etc.) → trust the search
-  const searchHasESG = ESG_STRONG.some((kw) => searchKeywords.toLowerCase().includes(kw));
-  if (searchHasESG && ESG_ROLE_WORDS.test(title)) return true;
-
-  return false;
-}
+// A listing missing from its source for this many successful runs is marked closed
+const CLOSE_AFTER_MISSED_RUNS = parseInt(process.env.CLOSE_AFTER_MISSED_RUNS) || 3;
+// Rejected jobs stay in the quarantine log this long after they were last seen
+const QUARANTINE_DAYS = parseInt(process.env.QUARANTINE_DAYS) || 30;
+// Jobs scoring below this are quarantined rather than saved
+const MIN_SCORE = 3;
+const rssParser = new RSSParser();
 
 // ---------------------------------------------------------------------------
 // Role priority: higher = more relevant to Alexis's career goals
@@ -127,8 +57,9 @@ const ROLE_PRIORITY_PATTERNS = [
 ];
 
 function getRolePriority(title) {
+  const text = englishTitle(title);
   for (const { re, priority } of ROLE_PRIORITY_PATTERNS) {
-    if (re.test(title)) return priority;
+    if (re.test(text)) return priority;
   }
   return 0;
 }
@@ -141,18 +72,37 @@ function enrichJob(rawJob) {
   const sponsorResult = sponsor.checkSponsor(rawJob.company);
   rawJob.verified_sponsor = sponsorResult.verified ? 1 : 0;
   rawJob.sponsor_rating = sponsorResult.verified ? sponsorResult.rating : null;
+  rawJob.sponsor_routes = sponsorResult.verified ? sponsorResult.routes : null;
+  rawJob.sponsor_register = sponsorResult.register;
+  rawJob.sponsor_match = sponsorResult.match;
 
-  // If verified sponsor, also mark visa_sponsorship
-  if (sponsorResult.verified) {
+  // If verified sponsor, also mark visa_sponsorship — unless its licence
+  // is for other routes only
+  if (sponsorResult.verified && sponsorResult.skilledWorker !== false) {
     rawJob.visa_sponsorship = 1;
   }
 
   // B Corp check
-  rawJob.is_bcorp = bcorp.checkBCorp(rawJob.company) ? 1 : 0;
+  const bcorpResult = bcorp.resolveBCorp(rawJob.company);
+  rawJob.is_bcorp = bcorpResult.is_bcorp;
+  rawJob.bcorp_match = bcorpResult.match;
 
   // Role priority
   rawJob.role_priority = getRolePriority(rawJob.title);
 
+  // Structured location (city, country, work arrangement, eligibility)
+  applyLocation(rawJob, rawJob.description);
+
+  // Seniority level and contract type
+  Object.assign(rawJob, classifyRole(rawJob));
+
+  // Description language and the languages the role requires
+  Object.assign(rawJob, analyseLanguage(rawJob));
+
+  // Why the job got through — sources without a filter record what the
+  // standard rules would have said
+  rawJob.esg_match = rawJob.esg_match || explainUnfiltered(rawJob.title, rawJob.description, rawJob.tags);
+
   // Defaults for new fields (scoring happens later)
   rawJob.match_score = rawJob.match_score || 0;
   rawJob.ai_summary = rawJob.ai_summary || null;
@@ -160,31 +110,67 @@ function enrichJob(rawJob) {
   return rawJob;
 }
 
+/**
+ * Parse a job's location into its structured fields. A `country` already
+ * on the job (set by single-country sources) is the fallback when the
+ * location text doesn't name one. Keeps the remote flag in step.
+ */
+function applyLocation(job, description) {
+  Object.assign(job, parseLocation(job.location, {
+    remote: job.remote,
+    title: job.title,
+    description,
+    defaultCountry: job.country || null,
+  }));
+  if (job.work_arrangement) job.remote = job.work_arrangement === "remote" ? 1 : 0;
+}
+
+/**
+ * Parse a job's text fields again after they changed — a duplicate's
+ * richer description or salary merged in, or the full posting fetched —
+ * so location, classification and language describe the text it's
+ * stored with. Salary figures are parsed from `salary` at scoring time.
+ */
+function reparseJob(job) {
+  applyLocation(job, job.full_description || job.description);
+  Object.assign(job, classifyRole(job), analyseLanguage(job));
+}
+
+/**
+ * Apply an ESG filter result to a listing. A rejected listing goes to the
+ * quarantine log via `reject` — unless the user promoted that job earlier,
+ * in which case reject() returns false and the listing is let through.
+ * Snippet-only sources pass `retest`, (fullText) => match, so the fetcher
+ * can run the filter again once the posting page has been followed.
+ * Returns the esg_match explanation, or null to drop the listing.
+ */
+function screenESG(listing, match, filter, reject, retest = null) {
+  if (match) return match;
+  if (reject(listing, `${filter} ESG filter`, retest)) return null;
+  return { filter, rule: "promoted", terms: [], version: taxonomyVersion };
+}
+
 // ---------------------------------------------------------------------------
 // Source 1: Remotive (remote ESG / sustainability / consulting jobs)
 //   Rate limit: 2 requests per minute
 // ---------------------------------------------------------------------------
-async function fetchRemotive() {
-  // Prioritised search order: ESG-specific first, then broader
-  const searches = [
-    "sustainability consultant",
-    "esg analyst",
-    "esg",
-    "sustainability",
-    "climate",
-    "consulting",
-  ];
+async function fetchRemotive({ fetch, logQuery, queries, reject }) {
   const seen = new Set();
   const jobs = [];
 
-  for (const query of searches) {
+  for (const search of queries) {
+    const query = search.query;
     console.log(`  [Remotive] Searching "${query}"...`);
     const url = `https://remotive.com/api/remote-jobs?search=${encodeURIComponent(query)}&limit=50`;
 
     try {
       const res = await fetch(url);
-      if (!res.ok) continue;
+      if (!res.ok) {
+        logQuery(query, { error: `HTTP ${res.status}`, queryId: search.id });
+        continue;
+      }
       const data = await res.json();
+      logQuery(query, { raw: (data.jobs || []).length, queryId: search.id });
 
       for (const job of data.jobs || []) {
         if (seen.has(job.id)) continue;
@@ -196,10 +182,7 @@ async function fetchRemotive() {
 
         if (!isGlobal && !isUK) continue;
 
-        // For broad queries, require ESG relevance
-        if ((query === "consulting") && !isESGRelated(job.title, job.description || "", job.category || "")) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `remotive-${job.id}`,
           title: job.title,
           company: job.company_name,
@@ -207,6 +190,7 @@ async function fetchRemotive() {
           description: job.description || "",
           url: job.url,
           source: "Remotive",
+          search_query_id: search.id,
           tags: job.category || "",
           job_type: job.job_type || "",
           remote: 1,
@@ -215,13 +199,18 @@ async function fetchRemotive() {
           company_logo: job.company_logo || null,
           posted_at: job.publication_date || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        // For broad queries (no ESG keyword in the search itself), require ESG relevance
+        listing.esg_match = screenESG(listing, matchESGQuery(query) || matchESG(job.title, job.description || "", job.category || ""), "standard", reject);
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
     } catch (err) {
       console.error(`  [Remotive] Error searching "${query}":`, err.message);
+      logQuery(query, { error: err.message, queryId: search.id });
     }
-
-    await sleep(31000);
   }
 
   return jobs;
@@ -230,7 +219,7 @@ async function fetchRemotive() {
 // ---------------------------------------------------------------------------
 // Source 2: Jobicy (free API, no key needed, good UK coverage)
 // ---------------------------------------------------------------------------
-async function fetchJobicy() {
+async function fetchJobicy({ fetch, logQuery, reject }) {
   const jobs = [];
   const seen = new Set();
 
@@ -241,8 +230,12 @@ async function fetchJobicy() {
 
     try {
       const res = await fetch(url);
-      if (!res.ok) continue;
+      if (!res.ok) {
+        logQuery(`geo=${geo}`, { error: `HTTP ${res.status}` });
+        continue;
+      }
       const data = await res.json();
+      logQuery(`geo=${geo}`, { raw: (data.jobs || []).length });
 
       for (const job of data.jobs || []) {
         if (seen.has(job.id)) continue;
@@ -253,9 +246,7 @@ async function fetchJobicy() {
         const desc = job.jobDescription || "";
         const industry = job.jobIndustry ? job.jobIndustry.join(", ") : "";
 
-        if (!isESGRelated(title, desc, industry)) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `jobicy-${job.id}`,
           title,
           company,
@@ -271,13 +262,17 @@ async function fetchJobicy() {
           company_logo: job.companyLogo || null,
           posted_at: job.pubDate || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        listing.esg_match = screenESG(listing, matchESG(title, desc, industry), "standard", reject);
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
     } catch (err) {
       console.error(`  [Jobicy] Error fetching geo="${geo}":`, err.message);
+      logQuery(`geo=${geo}`, { error: err.message });
     }
-
-    await sleep(2000);
   }
 
   return jobs;
@@ -294,7 +289,7 @@ function formatJobicySalary(job) {
 // ---------------------------------------------------------------------------
 // Source 3: Arbeitnow (visa sponsorship filter)
 // ---------------------------------------------------------------------------
-async function fetchArbeitnow() {
+async function fetchArbeitnow({ fetch, logQuery }) {
   const jobs = [];
   let page = 1;
   const maxPages = 10;
@@ -305,8 +300,12 @@ async function fetchArbeitnow() {
 
     try {
       const res = await fetch(url);
-      if (!res.ok) break;
+      if (!res.ok) {
+        logQuery(`page ${page}`, { error: `HTTP ${res.status}` });
+        break;
+      }
       const data = await res.json();
+      logQuery(`page ${page}`, { raw: (data.data || []).length });
       if (!data.data || data.data.length === 0) break;
 
       for (const job of data.data) {
@@ -338,11 +337,11 @@ async function fetchArbeitnow() {
       }
     } catch (err) {
       console.error(`  [Arbeitnow] Page ${page} error:`, err.message);
+      logQuery(`page ${page}`, { error: err.message });
       break;
     }
 
     page++;
-    await sleep(1000);
   }
 
   return jobs;
@@ -351,28 +350,15 @@ async function fetchArbeitnow() {
 // ---------------------------------------------------------------------------
 // Source 4: Reed.co.uk (optional key)
 // ---------------------------------------------------------------------------
-async function fetchReed(apiKey) {
-  if (!apiKey) {
-    console.log("  [Reed] Skipped - no API key configured (get one free at reed.co.uk/developers)");
-    return [];
-  }
-
-  // Prioritised searches — ESG consulting + communications focus
-  const searches = [
-    "sustainability consultant", "esg analyst",
-    "esg consultant", "sustainability analyst",
-    "climate consulting", "environmental consultant",
-    "esg advisory", "sustainability manager",
-    "sustainability communications", "ESG communications",
-    "sustainability reporting", "CSR communications",
-    "carbon consultant", "net zero consultant",
-  ];
+async function fetchReed(apiKey, { fetch, logQuery, queries, reject }) {
   const seen = new Set();
   const jobs = [];
 
-  for (const query of searches) {
-    console.log(`  [Reed] Searching "${query}"...`);
-    const url = `https://www.reed.co.uk/api/1.0/search?keywords=${encodeURIComponent(query)}&locationName=London&distancefromlocation=15`;
+  for (const search of queries) {
+    const query = search.query;
+    const location = search.location || "London";
+    console.log(`  [Reed] Searching "${query}" in ${location}...`);
+    const url = `https://www.reed.co.uk/api/1.0/search?keywords=${encodeURIComponent(query)}&locationName=${encodeURIComponent(location)}&distancefromlocation=15`;
 
     try {
       const res = await fetch(url, {
@@ -380,9 +366,11 @@ async function fetchReed(apiKey) {
       });
       if (!res.ok) {
         console.error(`  [Reed] HTTP ${res.status} for "${query}"`);
+        logQuery(queryLabel(search), { error: `HTTP ${res.status}`, queryId: search.id });
         continue;
       }
       const data = await res.json();
+      logQuery(queryLabel(search), { raw: (data.results || []).length, queryId: search.id });
 
       for (const job of data.results || []) {
         if (seen.has(job.jobId)) continue;
@@ -391,35 +379,40 @@ async function fetchReed(apiKey) {
         const title = job.jobTitle || "";
         const desc = job.jobDescription || "";
 
-        // ESG relevance check — searches are targeted but Reed can return
-        // broad matches (e.g. "consultant" matching non-ESG consulting roles)
-        if (!isSearchESGRelevant(title, desc, query)) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `reed-${job.jobId}`,
           title,
           company: job.employerName,
-          location: job.locationName || "London",
+          location: job.locationName || location,
           description: desc,
           url: job.jobUrl,
           source: "Reed",
+          search_query_id: search.id,
           tags: "",
           job_type: job.contractType || "",
           remote: 0,
+          country: "United Kingdom", // UK-only API
           visa_sponsorship: 0,
           salary: job.minimumSalary ? `£${Number(job.minimumSalary).toLocaleString()} - £${Number(job.maximumSalary || 0).toLocaleString()}` : null,
           company_logo: null,
           posted_at: job.date || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        // ESG relevance check — searches are targeted but Reed can return
+        // broad matches (e.g. "consultant" matching non-ESG consulting roles)
+        listing.esg_match = screenESG(listing, matchESGSearch(title, desc, query), "search", reject,
+          (fullText) => matchESGSearch(title, fullText, query));
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
 
       console.log(`  [Reed] "${query}": ${(data.results || []).length} raw → ${jobs.length} total kept`);
     } catch (err) {
       console.error(`  [Reed] Error for "${query}":`, err.message);
+      logQuery(queryLabel(search), { error: err.message, queryId: search.id });
     }
-
-    await sleep(2000);
   }
 
   return jobs;
@@ -428,35 +421,25 @@ async function fetchReed(apiKey) {
 // ---------------------------------------------------------------------------
 // Source 5: Adzuna (optional keys)
 // ---------------------------------------------------------------------------
-async function fetchAdzuna(appId, appKey) {
-  if (!appId || !appKey) {
-    console.log("  [Adzuna] Skipped - no API keys configured (get free keys at developer.adzuna.com)");
-    return [];
-  }
-
-  // Prioritised searches — ESG consulting + communications focus
-  const searches = [
-    "sustainability consultant", "esg analyst",
-    "esg consultant", "sustainability analyst",
-    "esg", "climate consulting", "environmental consultant",
-    "sustainability communications", "ESG communications",
-    "sustainability reporting", "carbon consultant",
-    "CSR consultant", "net zero",
-  ];
+async function fetchAdzuna(appId, appKey, { fetch, logQuery, queries, reject }) {
   const seen = new Set();
   const jobs = [];
 
-  for (const query of searches) {
-    console.log(`  [Adzuna] Searching "${query}"...`);
-    const url = `https://api.adzuna.com/v1/api/jobs/gb/search/1?app_id=${appId}&app_key=${appKey}&results_per_page=50&what=${encodeURIComponent(query)}&where=london&content-type=application/json`;
+  for (const search of queries) {
+    const query = search.query;
+    const location = search.location || "London";
+    console.log(`  [Adzuna] Searching "${query}" in ${location}...`);
+    const url = `https://api.adzuna.com/v1/api/jobs/gb/search/1?app_id=${appId}&app_key=${appKey}&results_per_page=50&what=${encodeURIComponent(query)}&where=${encodeURIComponent(location.toLowerCase())}&content-type=application/json`;
 
     try {
       const res = await fetch(url);
       if (!res.ok) {
         console.error(`  [Adzuna] HTTP ${res.status} for "${query}"`);
+        logQuery(queryLabel(search), { error: `HTTP ${res.status}`, queryId: search.id });
         continue;
       }
       const data = await res.json();
+      logQuery(queryLabel(search), { raw: (data.results || []).length, queryId: search.id });
 
       for (const job of data.results || []) {
         if (seen.has(job.id)) continue;
@@ -466,82 +449,168 @@ async function fetchAdzuna(appId, appKey) {
         const desc = job.description || "";
         const catLabel = job.category ? job.category.label : "";
 
-        // ESG relevance check — searches are targeted but Adzuna can return
-        // broad matches. Use same trust filter as Jooble/Reed.
-        if (!isSearchESGRelevant(title, desc + " " + catLabel, query)) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `adzuna-${job.id}`,
           title,
           company: (job.company && job.company.display_name) || "Unknown",
-          location: (job.location && job.location.display_name) || "London",
+          location: (job.location && job.location.display_name) || location,
           description: desc,
           url: job.redirect_url,
           source: "Adzuna",
+          search_query_id: search.id,
           tags: catLabel,
-          job_type: job.contract_time || "",
+          job_type: [job.contract_type, job.contract_time].filter(Boolean).join(", "),
           remote: 0,
+          country: "United Kingdom", // the /gb/ endpoint only lists UK jobs
           visa_sponsorship: 0,
           salary: job.salary_min ? `£${Math.round(job.salary_min).toLocaleString()} - £${Math.round(job.salary_max || 0).toLocaleString()}` : null,
           company_logo: null,
           posted_at: job.created || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        // ESG relevance check — searches are targeted but Adzuna can return
+        // broad matches. Use same trust filter as Jooble/Reed.
+        listing.esg_match = screenESG(listing, matchESGSearch(title, desc + " " + catLabel, query), "search", reject,
+          (fullText) => matchESGSearch(title, fullText + " " + catLabel, query));
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
 
       console.log(`  [Adzuna] "${query}": ${(data.results || []).length} raw → ${jobs.length} total kept`);
     } catch (err) {
       console.error(`  [Adzuna] Error for "${query}":`, err.message);
+      logQuery(queryLabel(search), { error: err.message, queryId: search.id });
     }
-
-    await sleep(1500);
   }
 
   return jobs;
 }
 
 // ---------------------------------------------------------------------------
-// Source 6: GreenJobs.co.uk RSS feed
+// Source 6: RSS / Atom feeds (GreenJobs.co.uk + any niche ESG board)
+//   Feeds are listed in feeds.json (or FEEDS_FILE). Each entry:
+//     name            — source name shown in the UI
+//     url             — RSS or Atom feed URL
+//     idPrefix        — job id prefix (default: lowercased name)
+//     company         — how to find the employer:
+//                         { "from": "description" }  "…at Acme Ltd, …" (default)
+//                         { "from": "title", "pattern": " at (.+)$" }
+//                         { "from": "field", "field": "creator" }
+//                         { "from": "fixed", "value": "Acme" }
+//     defaultLocation — used when the item text names neither London nor remote
+//     esgFilter       — "off" (board is already ESG-only), "standard", "strict"
+//     tags            — tags stored on every job from this feed
+//     enabled         — false to register the feed without running it
 // ---------------------------------------------------------------------------
-async function fetchGreenJobsRSS() {
-  console.log("  [GreenJobs] Fetching RSS feed...");
+const FEEDS_FILE = process.env.FEEDS_FILE || path.join(__dirname, "feeds.json");
+
+// Names a feed can't take: the built-in adapters, and the sources of
+// jobs that don't come from an adapter
+const RESERVED_SOURCE_NAMES = [
+  "Jobicy", "Arbeitnow", "Jooble", "The Muse", "Remotive", "Reed", "Adzuna", "Manual", "Email Alert",
+];
+
+function loadFeeds() {
+  try {
+    const feeds = JSON.parse(fs.readFileSync(FEEDS_FILE, "utf-8"));
+    const taken = new Set([...RESERVED_SOURCE_NAMES, ...Object.values(ATS).map((a) => a.name)].map((n) => n.toLowerCase()));
+    return feeds.filter((feed) => {
+      if (!feed.name || !feed.url) {
+        console.error(`  [Feeds] Ignoring feed without name/url in ${FEEDS_FILE}`);
+        return false;
+      }
+      // registerSource throws on a duplicate name
+      if (taken.has(feed.name.toLowerCase())) {
+        console.error(`  [Feeds] Ignoring feed "${feed.name}": that source name is already in use`);
+        return false;
+      }
+      taken.add(feed.name.toLowerCase());
+      return true;
+    });
+  } catch (err) {
+    console.error(`  [Feeds] Could not read ${FEEDS_FILE}:`, err.message);
+    return [];
+  }
+}
+
+function extractFeedCompany(feed, item, title, desc) {
+  const rule = feed.company || { from: "description" };
+  let text;
+  if (rule.from === "fixed") return rule.value || "See listing";
+  if (rule.from === "field") text = item[rule.field] || "";
+  else if (rule.from === "title") text = title;
+  else text = desc;
+
+  if (rule.pattern) {
+    const match = text.match(new RegExp(rule.pattern, "i"));
+    return match && match[1] ? match[1].trim() : "See listing";
+  }
+  return rule.from === "description" ? extractCompanyFromDesc(text) : (text.trim() || "See listing");
+}
+
+/**
+ * ESG filter strictness shared by feeds and employer boards:
+ * "strict" (Muse rules), "standard" (matchESG) or "off".
+ * Returns the match explanation, or null to reject.
+ */
+function matchESGFilter(mode, title, desc, tags) {
+  if (mode === "strict") return matchESGStrict(title, desc, tags);
+  if (mode === "standard") return matchESG(title, desc, tags);
+  return explainUnfiltered(title, desc, tags);
+}
+
+async function fetchFeed(feed, { fetch, logQuery, reject }) {
+  console.log(`  [${feed.name}] Fetching feed...`);
   const jobs = [];
+  const idPrefix = feed.idPrefix || feed.name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
 
   try {
-    const res = await fetch("https://www.greenjobs.co.uk/jobboard/xmlfeeds/jobfeed.asp?type=RSS", {
+    const res = await fetch(feed.url, {
       headers: { "User-Agent": "Mozilla/5.0 (compatible; ESGJobBoard/1.0)" },
     });
     if (!res.ok) throw new Error(`Status code ${res.status}`);
     const xml = await res.text();
-    const feed = await rssParser.parseString(xml);
+    const parsed = await rssParser.parseString(xml);
+    logQuery("feed", { raw: (parsed.items || []).length });
 
-    for (const item of feed.items || []) {
+    for (const item of parsed.items || []) {
       const title = item.title || "";
-      const desc = item.contentSnippet || item.content || "";
+      const desc = item.contentSnippet || item.content || item.summary || "";
+      const tags = feed.tags || (item.categories || []).join(", ");
+
       const loc = (desc + " " + title).toLowerCase();
       const isLondon = loc.includes("london");
       const isRemote = loc.includes("remote");
+      const published = item.isoDate || item.pubDate;
 
-      jobs.push(enrichJob({
-        id: `greenjobs-${hashString(item.link || item.title)}`,
+      const listing = {
+        id: `${idPrefix}-${hashString(item.link || item.id || item.title)}`,
         title,
-        company: extractCompanyFromDesc(desc),
-        location: isLondon ? "London" : isRemote ? "Remote" : "United Kingdom",
+        company: extractFeedCompany(feed, item, title, desc),
+        location: isLondon ? "London" : isRemote ? "Remote" : (feed.defaultLocation || "United Kingdom"),
         description: item.content || desc,
         url: item.link || "",
-        source: "GreenJobs",
-        tags: "ESG, Sustainability, Environment",
+        source: feed.name,
+        tags,
         job_type: "",
         remote: isRemote ? 1 : 0,
         visa_sponsorship: 0,
         salary: null,
         company_logo: null,
-        posted_at: item.pubDate ? new Date(item.pubDate).toISOString() : NOW(),
+        posted_at: published ? new Date(published).toISOString() : NOW(),
         fetched_at: NOW(),
-      }));
+      };
+
+      listing.esg_match = screenESG(listing, matchESGFilter(feed.esgFilter, title, desc, tags), feed.esgFilter, reject);
+      if (!listing.esg_match) continue;
+
+      jobs.push(enrichJob(listing));
     }
   } catch (err) {
-    console.error("  [GreenJobs] RSS error:", err.message);
+    console.error(`  [${feed.name}] Feed error:`, err.message);
+    logQuery("feed", { error: err.message });
   }
 
   return jobs;
@@ -551,32 +620,13 @@ async function fetchGreenJobsRSS() {
 // Source 7: Jooble (aggregator — indexes LinkedIn, Indeed, Glassdoor & 70+ boards)
 //   Requires free API key from https://jooble.org/api/about
 // ---------------------------------------------------------------------------
-async function fetchJooble(apiKey) {
-  if (!apiKey) {
-    console.log("  [Jooble] Skipped - no API key configured (get one free at jooble.org/api/about)");
-    return [];
-  }
-
-  const searches = [
-    { keywords: "sustainability consultant", location: "London" },
-    { keywords: "ESG analyst", location: "London" },
-    { keywords: "ESG consultant", location: "London" },
-    { keywords: "sustainability analyst", location: "London" },
-    { keywords: "climate consulting", location: "London" },
-    { keywords: "environmental consultant", location: "London" },
-    { keywords: "sustainability communications", location: "London" },
-    { keywords: "ESG communications", location: "London" },
-    { keywords: "sustainability reporting", location: "London" },
-    { keywords: "sustainability manager", location: "United Kingdom" },
-    { keywords: "ESG advisory", location: "United Kingdom" },
-    { keywords: "CSR communications", location: "United Kingdom" },
-  ];
-
+async function fetchJooble(apiKey, { fetch, logQuery, queries, reject }) {
   const seen = new Set();
   const jobs = [];
 
-  for (const search of searches) {
-    console.log(`  [Jooble] Searching "${search.keywords}" in ${search.location}...`);
+  for (const search of queries) {
+    const location = search.location || "London";
+    console.log(`  [Jooble] Searching "${search.query}" in ${location}...`);
     const url = `https://jooble.org/api/${apiKey}`;
 
     try {
@@ -584,19 +634,21 @@ async function fetchJooble(apiKey) {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          keywords: search.keywords,
-          location: search.location,
+          keywords: search.query,
+          location,
           page: 1,
           ResultOnPage: 50,
         }),
       });
 
       if (!res.ok) {
-        console.error(`  [Jooble] HTTP ${res.status} for "${search.keywords}"`);
+        console.error(`  [Jooble] HTTP ${res.status} for "${search.query}"`);
+        logQuery(queryLabel(search), { error: `HTTP ${res.status}`, queryId: search.id });
         continue;
       }
 
       const data = await res.json();
+      logQuery(queryLabel(search), { raw: (data.jobs || []).length, queryId: search.id });
 
       for (const job of data.jobs || []) {
         const jobKey = job.id || hashString(job.link || job.title + job.company);
@@ -614,18 +666,15 @@ async function fetchJooble(apiKey) {
         const title = (job.title || "").replace(/<[^>]*>/g, "").trim();
         const snippet = (job.snippet || "").replace(/<[^>]*>/g, "").trim();
 
-        // Jooble-specific ESG check: snippets are short so we combine
-        // standard ESG check with search-keyword trust for relevant role titles
-        if (!isSearchESGRelevant(title, snippet, search.keywords)) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `jooble-${jobKey}`,
           title,
           company: job.company || "See listing",
-          location: job.location || search.location,
+          location: job.location || location,
           description: snippet,
           url: job.link || "",
           source: "Jooble",
+          search_query_id: search.id,
           tags: "",
           job_type: job.type || "",
           remote: isRemote ? 1 : 0,
@@ -634,15 +683,22 @@ async function fetchJooble(apiKey) {
           company_logo: null,
           posted_at: job.updated || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        // Jooble-specific ESG check: snippets are short so we combine
+        // standard ESG check with search-keyword trust for relevant role titles
+        listing.esg_match = screenESG(listing, matchESGSearch(title, snippet, search.query), "search", reject,
+          (fullText) => matchESGSearch(title, fullText, search.query));
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
 
-      console.log(`  [Jooble] "${search.keywords}": ${(data.jobs || []).length} raw → ${jobs.length} total kept`);
+      console.log(`  [Jooble] "${search.query}": ${(data.jobs || []).length} raw → ${jobs.length} total kept`);
     } catch (err) {
-      console.error(`  [Jooble] Error for "${search.keywords}":`, err.message);
+      console.error(`  [Jooble] Error for "${search.query}":`, err.message);
+      logQuery(queryLabel(search), { error: err.message, queryId: search.id });
     }
-
-    await sleep(1500);
   }
 
   return jobs;
@@ -652,43 +708,37 @@ async function fetchJooble(apiKey) {
 // Source 8: The Muse (professional/consulting roles, strong brand coverage)
 //   Free API — no key required (500 req/hr), optional key for 3600 req/hr
 // ---------------------------------------------------------------------------
-async function fetchMuse(apiKey) {
+async function fetchMuse(apiKey, { fetch, logQuery, queries, reject }) {
   // The Muse has no ESG/sustainability category, so we fetch from relevant
-  // categories in London, then keyword-filter for ESG relevance.
-  // We use a STRICT title check for broad categories to avoid noise.
-  const categories = [
-    "Business Operations",
-    "Science and Engineering",
-    "Data and Analytics",
-    "Management",
-    "Corporate",
-    "Project Management",
-    "Communications",
-    "Marketing and PR",
-  ];
-
+  // categories (each query is a category + Muse location, e.g. "London,
+  // United Kingdom" or "Flexible / Remote"), then keyword-filter for ESG
+  // relevance. We use a STRICT title check for broad categories to avoid noise.
   const seen = new Set();
   const jobs = [];
 
-  // Strategy 1: Fetch London jobs from each category
-  for (const category of categories) {
+  for (const search of queries) {
+    const category = search.query;
+    const location = search.location || "London, United Kingdom";
+    const isRemoteSearch = location.toLowerCase().includes("remote");
     const params = new URLSearchParams({
       page: "0",
-      location: "London, United Kingdom",
-      category: category,
+      location,
+      category,
     });
     if (apiKey) params.set("api_key", apiKey);
 
-    console.log(`  [Muse] Fetching "${category}" in London...`);
+    console.log(`  [Muse] Fetching "${category}" in ${location}...`);
     const url = `https://www.themuse.com/api/public/jobs?${params}`;
 
     try {
       const res = await fetch(url);
       if (!res.ok) {
         console.error(`  [Muse] HTTP ${res.status} for "${category}"`);
+        logQuery(queryLabel(search), { error: `HTTP ${res.status}`, queryId: search.id });
         continue;
       }
       const data = await res.json();
+      logQuery(queryLabel(search), { raw: (data.results || []).length, queryId: search.id });
 
       for (const job of data.results || []) {
         if (seen.has(job.id)) continue;
@@ -700,166 +750,754 @@ async function fetchMuse(apiKey) {
         const catNames = (job.categories || []).map(c => c.name).join(", ");
         const locations = (job.locations || []).map(l => l.name).join(", ");
 
-        // Strict ESG relevance for The Muse — require title-level signal
-        // or strong ESG match (not just weak desc keywords like "impact")
-        if (!isMuseESGRelevant(title, desc, catNames)) continue;
-
-        jobs.push(enrichJob({
+        const listing = {
           id: `muse-${job.id}`,
           title,
           company,
-          location: locations || "London, United Kingdom",
+          location: locations || (isRemoteSearch ? "Remote" : location),
           description: desc,
           url: (job.refs && job.refs.landing_page) || "",
           source: "The Muse",
+          search_query_id: search.id,
           tags: catNames,
           job_type: (job.levels || []).map(l => l.name).join(", "),
-          remote: locations.toLowerCase().includes("remote") ? 1 : 0,
+          remote: isRemoteSearch || locations.toLowerCase().includes("remote") ? 1 : 0,
           visa_sponsorship: 0,
           salary: null,
           company_logo: null,
           posted_at: job.publication_date || NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        // Strict ESG relevance for The Muse — require title-level signal
+        // or strong ESG match (not just weak desc keywords like "impact")
+        listing.esg_match = screenESG(listing, matchESGStrict(title, desc, catNames), "strict", reject);
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
     } catch (err) {
       console.error(`  [Muse] Error for "${category}":`, err.message);
+      logQuery(queryLabel(search), { error: err.message, queryId: search.id });
     }
-
-    await sleep(1200);
   }
 
-  // Strategy 2: Also fetch "Flexible / Remote" location for broader reach
-  for (const category of ["Business Operations", "Science and Engineering", "Management", "Communications"]) {
-    const params = new URLSearchParams({
-      page: "0",
-      location: "Flexible / Remote",
-      category: category,
-    });
-    if (apiKey) params.set("api_key", apiKey);
-
-    console.log(`  [Muse] Fetching "${category}" remote...`);
-    const url = `https://www.themuse.com/api/public/jobs?${params}`;
+  return jobs;
+}
 
-    try {
-      const res = await fetch(url);
-      if (!res.ok) continue;
-      const data = await res.json();
+// ---------------------------------------------------------------------------
+// Source 9: Employer ATS boards (Greenhouse, Lever, Ashby, Workable)
+//   Employers are listed in employers.json (or EMPLOYERS_FILE). Each entry:
+//     company   — employer name as it appears in bcorp.js / the sponsor register
+//     ats       — "greenhouse", "lever", "ashby" or "workable"
+//     slug      — the employer's board slug on that ATS
+//     esgFilter — "standard" (default), "strict" or "off"
+//     enabled   — false to skip the employer
+//   Each ATS runs as one source; each employer board counts as one query.
+// ---------------------------------------------------------------------------
+const EMPLOYERS_FILE = process.env.EMPLOYERS_FILE || path.join(__dirname, "employers.json");
 
-      for (const job of data.results || []) {
-        if (seen.has(job.id)) continue;
-        seen.add(job.id);
+function loadEmployers() {
+  try {
+    const employers = JSON.parse(fs.readFileSync(EMPLOYERS_FILE, "utf-8"));
+    return employers.filter((employer) => {
+      if (!employer.company || !employer.slug || !ATS[employer.ats]) {
+        console.error(`  [ATS] Ignoring employer without company/slug/known ats in ${EMPLOYERS_FILE}`);
+        return false;
+      }
+      return employer.enabled !== false;
+    });
+  } catch (err) {
+    console.error(`  [ATS] Could not read ${EMPLOYERS_FILE}:`, err.message);
+    return [];
+  }
+}
 
-        const title = job.name || "";
-        const desc = job.contents || "";
-        const company = job.company ? job.company.name : "Unknown";
-        const catNames = (job.categories || []).map(c => c.name).join(", ");
-        const locations = (job.locations || []).map(l => l.name).join(", ");
+async function fetchATSBoards(atsKey, employers, { fetch, logQuery, reject }) {
+  const ats = ATS[atsKey];
+  const jobs = [];
 
-        if (!isMuseESGRelevant(title, desc, catNames)) continue;
+  for (const employer of employers) {
+    console.log(`  [${ats.name}] Fetching ${employer.company} board...`);
 
-        jobs.push(enrichJob({
-          id: `muse-${job.id}`,
-          title,
-          company,
-          location: locations || "Remote",
-          description: desc,
-          url: (job.refs && job.refs.landing_page) || "",
-          source: "The Muse",
-          tags: catNames,
-          job_type: (job.levels || []).map(l => l.name).join(", "),
-          remote: 1,
+    try {
+      const res = await fetch(ats.boardUrl(employer.slug));
+      if (!res.ok) {
+        logQuery(employer.company, { error: `HTTP ${res.status}` });
+        continue;
+      }
+      const postings = ats.parse(await res.json());
+      logQuery(employer.company, { raw: postings.length });
+
+      for (const posting of postings) {
+        // Match on the parsed country, not substrings — "uk" is in "Milwaukee"
+        const place = parseLocation(posting.location, { remote: posting.remote ? 1 : 0, title: posting.title });
+        if (place.country !== "United Kingdom" && !posting.remote) continue;
+
+        const listing = {
+          id: `${atsKey}-${employer.slug}-${posting.id}`.toLowerCase(),
+          title: posting.title,
+          company: employer.company,
+          location: posting.location || (posting.remote ? "Remote" : "Unknown"),
+          description: posting.description,
+          url: posting.url,
+          source: ats.name,
+          tags: posting.department,
+          job_type: posting.job_type,
+          remote: posting.remote ? 1 : 0,
           visa_sponsorship: 0,
-          salary: null,
+          salary: posting.salary,
           company_logo: null,
-          posted_at: job.publication_date || NOW(),
+          posted_at: posting.posted_at ? new Date(posting.posted_at).toISOString() : NOW(),
           fetched_at: NOW(),
-        }));
+        };
+
+        const esgFilter = employer.esgFilter || "standard";
+        listing.esg_match = screenESG(listing, matchESGFilter(esgFilter, posting.title, posting.description, posting.department), esgFilter, reject);
+        if (!listing.esg_match) continue;
+
+        jobs.push(enrichJob(listing));
       }
     } catch (err) {
-      console.error(`  [Muse] Error remote "${category}":`, err.message);
+      console.error(`  [${ats.name}] ${employer.company} error:`, err.message);
+      logQuery(employer.company, { error: err.message });
     }
-
-    await sleep(1200);
   }
 
   return jobs;
 }
 
 // ---------------------------------------------------------------------------
-// Master fetch - runs all sources, then scores
+// Source registry — default run order. Override with JOB_SOURCES /
+// JOB_SOURCES_DISABLED (see sources.js). Adapters listing requiredConfig
+// are skipped until those keys are set.
+// ---------------------------------------------------------------------------
+// Employer boards go first: when dedupe merges a vacancy they carry the
+// employer's own apply URL, so their copy should be the canonical one
+const employers = loadEmployers();
+for (const atsKey of Object.keys(ATS)) {
+  const boards = employers.filter((e) => e.ats === atsKey);
+  if (!boards.length) continue;
+  registerSource({
+    name: ATS[atsKey].name,
+    rateLimit: { requestsPerMinute: 30, burst: 2 },
+    fetch: (config, ctx) => fetchATSBoards(atsKey, boards, ctx),
+  });
+}
+registerSource({
+  name: "Jobicy",
+  rateLimit: { requestsPerMinute: 30, burst: 1 },
+  fetch: (config, ctx) => fetchJobicy(ctx),
+});
+registerSource({
+  name: "Arbeitnow",
+  rateLimit: { requestsPerMinute: 60, burst: 1 },
+  fetch: (config, ctx) => fetchArbeitnow(ctx),
+});
+for (const feed of loadFeeds()) {
+  registerSource({
+    name: feed.name,
+    rateLimit: { requestsPerMinute: 10, burst: 1 },
+    enabledByDefault: feed.enabled !== false,
+    fetch: (config, ctx) => fetchFeed(feed, ctx),
+  });
+}
+registerSource({
+  name: "Jooble",
+  requiredConfig: ["joobleApiKey"],
+  signupUrl: "jooble.org/api/about",
+  rateLimit: { requestsPerMinute: 40, burst: 2 },
+  queryMode: "shared",
+  fetch: (config, ctx) => fetchJooble(config.joobleApiKey, ctx),
+});
+registerSource({
+  name: "The Muse",
+  // 500 req/hr without a key — stay well under it
+  rateLimit: { requestsPerMinute: 50, burst: 2 },
+  queryMode: "own",
+  fetch: (config, ctx) => fetchMuse(config.museApiKey, ctx),
+});
+registerSource({
+  name: "Remotive",
+  rateLimit: { requestsPerMinute: 2, burst: 1 },
+  queryMode: "shared",
+  fetch: (config, ctx) => fetchRemotive(ctx),
+});
+registerSource({
+  name: "Reed",
+  requiredConfig: ["reedApiKey"],
+  signupUrl: "reed.co.uk/developers",
+  rateLimit: { requestsPerMinute: 30, burst: 2 },
+  queryMode: "shared",
+  fetch: (config, ctx) => fetchReed(config.reedApiKey, ctx),
+});
+registerSource({
+  name: "Adzuna",
+  requiredConfig: ["adzunaAppId", "adzunaAppKey"],
+  signupUrl: "developer.adzuna.com",
+  rateLimit: { requestsPerMinute: 40, burst: 2 },
+  queryMode: "shared",
+  fetch: (config, ctx) => fetchAdzuna(config.adzunaAppId, config.adzunaAppKey, ctx),
+});
+
+// ---------------------------------------------------------------------------
+// Master fetch - runs all enabled sources, then scores
 // ---------------------------------------------------------------------------
-async function fetchAllJobs(config = {}) {
+/**
+ * Run every enabled source, then dedupe, enrich, score and save. The run
+ * is recorded in fetch_runs (and per source in fetch_log) under `runId`,
+ * or a fresh id. `onProgress(event)` receives progress events as it goes:
+ *   { type: "source", source, status: "started" | "done" | "failed" | "skipped", jobs?, error?, reason? }
+ *   { type: "scoring", done, total }
+ *   { type: "saved", saved, quarantined, closed }
+ */
+async function fetchAllJobs(config = {}, { onProgress = () => {}, runId = null, trigger = "cli" } = {}) {
+  const run = { id: runId || crypto.randomUUID(), trigger, started_at: new Date().toISOString() };
+  db.startFetchRun(run);
+  try {
+    const results = await runFetch(config, run, onProgress);
+    db.finishFetchRun(run.id, {
+      status: "success",
+      fetched: results.fetched,
+      saved: results.total,
+      new_jobs: results.new,
+      updated_jobs: results.updated,
+      quarantined: results.quarantined,
+      closed: results.closed,
+    });
+    return results;
+  } catch (err) {
+    db.finishFetchRun(run.id, { status: "failed", error: err.message });
+    throw err;
+  }
+}
+
+async function runFetch(config, run, onProgress) {
   console.log("\n=== Starting job fetch ===\n");
 
   // Step 1: Load the UK sponsor register + B Corp directory
   await sponsor.ensureLoaded();
   await bcorp.ensureLoaded();
 
-  const results = { total: 0, sources: {} };
-  let allJobs = [];
-
-  // Step 2: Fetch from all sources
-  const sources = [
-    { name: "Jobicy", fn: () => fetchJobicy() },
-    { name: "Arbeitnow", fn: () => fetchArbeitnow() },
-    { name: "GreenJobs", fn: () => fetchGreenJobsRSS() },
-    { name: "Jooble", fn: () => fetchJooble(config.joobleApiKey) },
-    { name: "The Muse", fn: () => fetchMuse(config.museApiKey) },
-    { name: "Remotive", fn: () => fetchRemotive() },
-    { name: "Reed", fn: () => fetchReed(config.reedApiKey) },
-    { name: "Adzuna", fn: () => fetchAdzuna(config.adzunaAppId, config.adzunaAppKey) },
-  ];
-
-  for (const source of sources) {
+  const results = { runId: run.id, total: 0, fetched: 0, new: 0, updated: 0, sources: {} };
+  // Sources whose full result set we trust for closed-listing detection
+  const completeSources = [];
+
+  // Step 2: Fetch from all enabled sources concurrently. Each adapter's
+  // requests are paced by its own rate-limit budget, so total time is set
+  // by the slowest source rather than the sum of all of them.
+  const runnable = getEnabledSources().filter((source) => {
+    const missing = source.requiredConfig.filter((key) => !config[key]);
+    if (missing.length) {
+      const hint = source.signupUrl ? ` (get a free key at ${source.signupUrl})` : "";
+      console.log(`  [${source.name}] Skipped - no API key configured: ${missing.join(", ")}${hint}`);
+      onProgress({ type: "source", source: source.name, status: "skipped", reason: `missing config: ${missing.join(", ")}${hint}` });
+      return false;
+    }
+
+    // Circuit breaker: skip sources that keep failing until the cooldown passes
+    const circuit = getCircuitState(source.name);
+    if (circuit.open) {
+      console.log(`  [${source.name}] Skipped - circuit open after ${circuit.failures} consecutive failures (next probe after ${circuit.retryAt})`);
+      db.logFetch(source.name, 0, `skipped: circuit open until ${circuit.retryAt}`, { runId: run.id });
+      onProgress({ type: "source", source: source.name, status: "skipped", reason: `circuit open until ${circuit.retryAt}` });
+      return false;
+    }
+    if (circuit.failures > 0) {
+      console.log(`  [${source.name}] Probing after ${circuit.failures} consecutive failures`);
+    }
+    return true;
+  });
+
+  // Per-query yield for editable searches; `scored` is filled in after scoring
+  const queryYield = [];
+
+  // Jobs dropped by the ESG filters or the score gate, kept for review.
+  // Jobs the user promoted out of quarantine are let through instead.
+  const promotedIds = db.getPromotedIds();
+  const quarantined = [];
+
+  const fetched = await Promise.all(runnable.map(async (source) => {
+    // Per-query outcomes reported by the adapter
+    const queries = [];
+    const logQuery = (query, { raw = 0, error = null, queryId = null } = {}) => queries.push({ query, raw, error, queryId });
+    let rejected = 0;
+    const reject = (job, reason, retest = null) => {
+      rejected++;
+      if (promotedIds.has(job.id)) return false;
+      quarantined.push({ job, stage: "filter", reason, retest });
+      return true;
+    };
+
+    onProgress({ type: "source", source: source.name, status: "started" });
+    const startedAt = Date.now();
     try {
-      const jobs = await source.fn();
-      allJobs = allJobs.concat(jobs);
+      const jobs = await source.fetch(config, {
+        fetch: createSourceFetch(source.name, source.rateLimit),
+        logQuery,
+        reject,
+        queries: source.queryMode ? db.getSearchQueries(source.name, source.queryMode === "shared") : [],
+      });
+
+      for (const q of queries) {
+        if (q.queryId === null) continue;
+        queryYield.push({
+          query_id: q.queryId,
+          source: source.name,
+          raw: q.raw,
+          kept: jobs.filter((j) => j.search_query_id === q.queryId).length,
+          scored: 0,
+          error: q.error,
+        });
+      }
+
+      const errors = queries.filter((q) => q.error);
+      if (errors.length && errors.length === queries.length) {
+        throw new Error(`all ${queries.length} queries failed (last: ${errors[errors.length - 1].error})`);
+      }
+
+      const status = errors.length ? `partial: ${errors.length}/${queries.length} queries failed` : "success";
+      // An empty result from a working source is more likely breakage than
+      // every listing closing at once, so don't let it expire anything
+      if (!errors.length && jobs.length > 0) completeSources.push(source.name);
       results.sources[source.name] = jobs.length;
-      db.logFetch(source.name, jobs.length, "success");
-      console.log(`  [${source.name}] Found ${jobs.length} jobs\n`);
+      // Listings before the ESG filter; adapters without per-query counts only report rejects
+      const fetchedCount = Math.max(queries.reduce((sum, q) => sum + q.raw, 0), jobs.length + rejected);
+      results.fetched += fetchedCount;
+      db.logFetch(source.name, jobs.length, status, {
+        runId: run.id,
+        durationMs: Date.now() - startedAt,
+        fetched: fetchedCount,
+        errorCount: errors.length,
+      });
+      console.log(`  [${source.name}] Found ${jobs.length} jobs${errors.length ? ` (${status})` : ""}`);
+      onProgress({ type: "source", source: source.name, status: "done", jobs: jobs.length, error: errors.length ? status : null });
+      return jobs;
     } catch (err) {
       console.error(`  [${source.name}] Failed:`, err.message);
-      db.logFetch(source.name, 0, `error: ${err.message}`);
+      db.logFetch(source.name, 0, `error: ${err.message}`, {
+        runId: run.id,
+        durationMs: Date.now() - startedAt,
+        errorCount: Math.max(queries.filter((q) => q.error).length, 1),
+      });
+      onProgress({ type: "source", source: source.name, status: "failed", error: err.message });
+      return [];
+    } finally {
+      db.logFetchErrors(source.name, queries.filter((q) => q.error));
+    }
+  }));
+
+  // Concatenate in registry order so dedupe picks the same canonical job each run
+  let allJobs = fetched.flat();
+
+  // Step 2a: A snippet can leave out every term the ESG filter looks for, so
+  // follow the posting page of snippet-only rejects and filter them again on
+  // the full text
+  const retests = quarantined.filter((q) => q.retest);
+  if (retests.length) {
+    await enrichFullDescriptions(retests.map((q) => q.job));
+    let readmitted = 0;
+    for (const q of retests) {
+      const match = q.job.full_description && q.retest(q.job.full_description);
+      if (!match) continue;
+      q.job.esg_match = match;
+      allJobs.push(enrichJob(q.job));
+      quarantined.splice(quarantined.indexOf(q), 1);
+      readmitted++;
     }
+    if (readmitted) console.log(`  [Fulltext] ${readmitted} ESG filter rejects matched on their full text`);
+  }
+
+  // Step 2b: Merge the same vacancy listed by several sources
+  const fetchedCount = allJobs.length;
+  allJobs = dedupeJobs(allJobs);
+  if (allJobs.length < fetchedCount) {
+    console.log(`  [Dedupe] Merged ${fetchedCount - allJobs.length} cross-source duplicates`);
+  }
+
+  // Keep the id a vacancy was first stored under, so status/notes survive
+  // when a different source becomes canonical on a later run
+  const existingIds = db.getIdsByFingerprint(allJobs.map(j => j.fingerprint).filter(Boolean));
+  const claimedIds = new Set();
+  let mergedIds = [];
+  for (const job of allJobs) {
+    const existingId = existingIds.get(job.fingerprint);
+    if (existingId && existingId !== job.id && !claimedIds.has(existingId)) {
+      mergedIds.push(job.id);
+      job.id = existingId;
+    }
+    claimedIds.add(job.id);
+    mergedIds.push(...job.merged_ids);
+  }
+  mergedIds = mergedIds.filter(id => !claimedIds.has(id));
+
+  // Step 2c: Follow snippet-only listings to their posting page for the full text
+  await enrichFullDescriptions(allJobs);
+  // The full text, or a duplicate's fuller listing, often says what the
+  // snippet didn't ("hybrid, 3 days in the office", "12-month maternity cover")
+  for (const job of allJobs) {
+    if (job.full_description || job.merged_fields.length) reparseJob(job);
   }
 
+  // Step 2d: Remote roles UK residents can't take (US-only, EU-only...) are quarantined
+  allJobs = allJobs.filter((job) => {
+    if (!closedToUK(job) || promotedIds.has(job.id)) return true;
+    quarantined.push({ job, stage: "location", reason: `remote role restricted to ${ELIGIBILITY_LABELS[job.eligibility]}` });
+    return false;
+  });
+
+  // Jobs that make it onto the board this run
+  let admitted = [];
+  // Per-source scored/new/updated counts for the run history
+  const yields = {};
+  for (const source of Object.keys(results.sources)) yields[source] = { scored: 0, new_jobs: 0, updated_jobs: 0 };
+
   // Step 3: Score all jobs (heuristic or AI)
   if (allJobs.length > 0) {
     console.log(`  [Scorer] Scoring ${allJobs.length} jobs...`);
-    const scoredJobs = await scoreJobs(allJobs, config.anthropicKey);
+    const scoredJobs = await scoreJobs(allJobs, config.anthropicKey, (done, total) => {
+      onProgress({ type: "scoring", done, total });
+    });
 
-    // Step 3b: Quality gate — drop jobs with zero relevance score
+    // Step 3b: Quality gate — quarantine jobs with zero relevance score
     // These passed the keyword filter but scored 0 on the heuristic (no ESG
     // title match, no ESG depth terms, no consulting context). Keeping them
     // would dilute the board with noise.
-    const MIN_SCORE = 3;
-    const qualityJobs = scoredJobs.filter(j => j.match_score >= MIN_SCORE);
+    const qualityJobs = [];
+    for (const job of scoredJobs) {
+      if (job.match_score >= MIN_SCORE || promotedIds.has(job.id)) {
+        qualityJobs.push(job);
+      } else {
+        quarantined.push({ job, stage: "score", reason: `score ${job.match_score} below ${MIN_SCORE}` });
+      }
+    }
+    admitted = qualityJobs;
     const dropped = scoredJobs.length - qualityJobs.length;
     if (dropped > 0) {
-      console.log(`  [Quality] Dropped ${dropped} jobs scoring below ${MIN_SCORE} (not ESG-relevant)`);
+      console.log(`  [Quality] Quarantined ${dropped} jobs scoring below ${MIN_SCORE} (not ESG-relevant)`);
+    }
+
+    for (const row of queryYield) {
+      row.scored = qualityJobs.filter((j) => j.source === row.source && j.search_query_id === row.query_id).length;
+    }
+
+    // Step 4: Save to database, noting which jobs are new for the run history
+    const existing = db.getExistingJobIds(qualityJobs.map((j) => j.id));
+    for (const job of qualityJobs) {
+      const counts = yields[job.source] || (yields[job.source] = { scored: 0, new_jobs: 0, updated_jobs: 0 });
+      counts.scored++;
+      counts[existing.has(job.id) ? "updated_jobs" : "new_jobs"]++;
     }
+    results.new = qualityJobs.length - existing.size;
+    results.updated = existing.size;
 
-    // Step 4: Save to database
     const count = db.upsertJobs(qualityJobs);
     results.total = count;
     console.log(`  [DB] Saved ${count} scored jobs`);
 
+    const removed = db.deleteMergedDuplicates(mergedIds);
+    if (removed > 0) console.log(`  [Dedupe] Removed ${removed} stored duplicates now merged into canonical jobs`);
+
     const verified = qualityJobs.filter(j => j.verified_sponsor === 1).length;
     console.log(`  [Sponsor] ${verified} jobs from verified UK visa sponsors`);
   }
 
+  db.logQueryYield(queryYield);
+  db.logFetchYield(run.id, yields);
+
+  // Step 4b: Keep the rejects for review in the "Filtered out" view
+  db.quarantineJobs(quarantined);
+  db.pruneQuarantine(admitted.map(j => j.id), QUARANTINE_DAYS);
+  if (quarantined.length > 0) {
+    console.log(`  [Quarantine] ${quarantined.length} jobs filtered out (${quarantined.filter(q => q.stage === "filter").length} by ESG filters)`);
+  }
+  results.quarantined = quarantined.length;
+
+  // Step 5: Mark listings that have disappeared from their source as closed
+  const { closed, flagged } = db.recordSightings(completeSources, allJobs.map(j => j.id), CLOSE_AFTER_MISSED_RUNS);
+  if (closed > 0) {
+    console.log(`  [Closed] ${closed} listings no longer on their source${flagged ? ` (${flagged} in an active application — flagged)` : ""}`);
+  }
+  results.closed = closed;
+  onProgress({ type: "saved", saved: results.total, quarantined: results.quarantined, closed });
+
   console.log(`\n=== Fetch complete: ${results.total} total jobs ===\n`);
   return results;
 }
 
 // ---------------------------------------------------------------------------
-// Helpers
+// Promote a quarantined job onto the board
+// ---------------------------------------------------------------------------
+/**
+ * Score a job from the quarantine log and save it to the main board,
+ * bypassing the filter that dropped it. The job is recorded as a
+ * false-negative example for tuning the taxonomy, and later fetches let
+ * it through. Returns the saved job, or null if it isn't quarantined.
+ */
+async function promoteJob(id, config = {}) {
+  const entry = db.getQuarantinedJob(id);
+  if (!entry || entry.promoted_at) return null;
+
+  await sponsor.ensureLoaded();
+  await bcorp.ensureLoaded();
+
+  const job = enrichJob({
+    ...entry.job,
+    esg_match: entry.stage === "filter"
+      ? { filter: entry.reason.replace(/ ESG filter$/, ""), rule: "promoted", terms: [], version: taxonomyVersion }
+      : entry.job.esg_match,
+  });
+  job.fingerprint = fingerprint(job);
+  const [scored] = await scoreJobs([job], config.anthropicKey);
+  db.upsertJobs([scored]);
+
+  db.promoteQuarantined(id, {
+    source: job.source,
+    title: job.title,
+    tags: job.tags || null,
+    excerpt: stripHtml(job.description || "").slice(0, 2000),
+    stage: entry.stage,
+    reason: entry.reason,
+    taxonomy_version: taxonomyVersion,
+  });
+  console.log(`  [Quarantine] Promoted "${job.title}" (${job.source}) — was: ${entry.reason}`);
+  return db.getJobById(scored.id);
+}
+
+// ---------------------------------------------------------------------------
+// Manually added jobs
+// ---------------------------------------------------------------------------
+/**
+ * Add a job the user found themselves, from its URL and/or pasted text.
+ * Fields come from the form first, then the posting's JSON-LD JobPosting
+ * (fetched from the URL, or in pasted page source), then a guess from the
+ * text (title from its first line, salary and location from the lines
+ * that state them). The job is verified, scored and saved with source "Manual", which
+ * the fetcher never overwrites or closes. Returns { job }, { existing }
+ * when the vacancy is already on the board, or { missing } listing the
+ * fields that couldn't be found.
+ */
+async function addManualJob({ url = null, text = "", title, company, location, salary } = {}, config = {}) {
+  // Pasted text may be the page's source rather than the posting's text
+  const pastedHtml = /<[a-z][\s\S]*>/i.test(text);
+  let html = pastedHtml ? text : null;
+  let fetchStatus = null;
+  if (url) {
+    const page = await fetchPostingPage(url);
+    fetchStatus = page.status;
+    if (page.html) html = page.html;
+  }
+
+  const posting = (html && extractJobPosting(html)) || {};
+  const pasted = pastedHtml ? null : text.trim();
+  const description = pasted || posting.description || (html && (extractPosting(html) || {}).description) || "";
+  const firstLine = (pasted || "").split("\n").map((l) => l.trim()).find(Boolean);
+
+  const fields = {
+    title: clean(title) || posting.title || (firstLine && firstLine.length <= 120 ? firstLine : null),
+    company: clean(company) || posting.company,
+  };
+  const missing = Object.keys(fields).filter((key) => !fields[key]);
+  if (missing.length) return { missing, fetchStatus };
+
+  const id = `manual-${hashString(url || `${fields.title}|${fields.company}`)}`;
+  const listing = {
+    id,
+    title: fields.title,
+    company: fields.company,
+    location: clean(location) || posting.location || locationFromText(description) || "",
+    description,
+    url: url || "",
+    source: "Manual",
+    tags: "",
+    job_type: posting.job_type || "",
+    remote: posting.remote ? 1 : 0,
+    visa_sponsorship: 0,
+    salary: clean(salary) || posting.salary || salaryFromText(description),
+    company_logo: null,
+    posted_at: posting.posted_at || NOW(),
+    fetched_at: NOW(),
+  };
+  listing.fingerprint = fingerprint(listing);
+
+  const existingId = db.getJobById(id) ? id : db.getIdsByFingerprint([listing.fingerprint]).get(listing.fingerprint);
+  if (existingId) return { existing: db.getJobById(existingId) };
+
+  await sponsor.ensureLoaded();
+  await bcorp.ensureLoaded();
+  const [scored] = await scoreJobs([enrichJob(listing)], config.anthropicKey);
+  db.upsertJobs([scored]);
+  console.log(`  [Manual] Added "${scored.title}" at ${scored.company} (score ${scored.match_score})`);
+  return { job: db.getJobById(id), fetchStatus };
+}
+
+function clean(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+// Labels pasted postings put before a field ("Salary: £45,000", "Location – London")
+const SALARY_LABEL = /^(?:salary|pay|compensation|remuneration|rate)\s*[:\-–]\s*/i;
+const LOCATION_LABEL = /^(?:location|based in|office|work location|job location)\s*[:\-–]\s*/i;
+const MONEY = /[£$€]\s?\d|\b\d{2,3}k\b/i;
+
+/**
+ * The first short line of pasted text that states a salary, with any
+ * "Salary:" label dropped, or null.
+ */
+function salaryFromText(text) {
+  for (const line of textLines(text)) {
+    const value = line.replace(SALARY_LABEL, "");
+    if (value.length > 150 || !MONEY.test(value)) continue;
+    const parsed = parseSalary(value);
+    if (parsed && (parsed.annual_min || parsed.annual_max)) return value;
+  }
+  return null;
+}
+
+/**
+ * Where pasted text says the job is: a "Location:" line as written, else
+ * the first short line near the top that names a place, e.g. "London,
+ * United Kingdom (Hybrid)". Null when it doesn't say.
+ */
+function locationFromText(text) {
+  const lines = textLines(text);
+  const labelled = lines.find((line) => LOCATION_LABEL.test(line) && line.length <= 120);
+  if (labelled) return labelled.replace(LOCATION_LABEL, "");
+
+  for (const line of lines.slice(0, 15)) {
+    if (line.length > 100) continue;
+    const place = parseLocation(line);
+    if (!place.city && !place.country) continue;
+    const arrangement = { remote: " (Remote)", hybrid: " (Hybrid)" }[place.work_arrangement] || "";
+    return `${[place.city, place.country].filter(Boolean).join(", ")}${arrangement}`;
+  }
+  return null;
+}
+
+function textLines(text) {
+  return (text || "").split("\n").map((line) => line.trim()).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// Email Alert import (LinkedIn, Indeed, Guardian Jobs alert emails)
 // ---------------------------------------------------------------------------
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Enrich, score and save jobs read from alert emails by inbox.js
+ * ({ title, company, location, salary, url, board, received_at }). The
+ * alerts are the user's own searches, so there's no ESG filter, but the
+ * score gate still applies. Vacancies already stored only gain the alert's
+ * link. Returns { parsed, imported, new, linked, quarantined }.
+ */
+async function importAlertJobs(alerts, config = {}) {
+  await sponsor.ensureLoaded();
+  await bcorp.ensureLoaded();
+  const startedAt = Date.now();
+
+  let jobs = alerts.map((alert) => enrichJob({
+    id: `email-${hashString(alert.url)}`,
+    title: alert.title,
+    company: alert.company,
+    location: alert.location || "",
+    // Alerts carry no description; the card is all there is until fulltext fills it in
+    description: [`${alert.title} at ${alert.company}`, alert.location, alert.salary].filter(Boolean).join(". "),
+    url: alert.url,
+    source: "Email Alert",
+    tags: alert.board,
+    job_type: "",
+    remote: /\bremote\b/i.test(alert.location || "") ? 1 : 0,
+    visa_sponsorship: 0,
+    salary: alert.salary || null,
+    company_logo: null,
+    posted_at: alert.received_at || NOW(),
+    fetched_at: NOW(),
+  }));
+  // The same vacancy in a LinkedIn and an Indeed alert is imported once
+  const seen = new Set();
+  jobs = jobs.filter((job) => {
+    job.fingerprint = fingerprint(job);
+    if (seen.has(job.fingerprint)) return false;
+    seen.add(job.fingerprint);
+    return true;
+  });
+
+  // A vacancy already on the board keeps its row: an alert only has the
+  // card, so it adds its link there instead of replacing the listing
+  const existingIds = db.getIdsByFingerprint([...seen]);
+  const storedIds = db.getExistingJobIds(jobs.map((job) => job.id));
+  const known = jobs.filter((job) => existingIds.has(job.fingerprint) || storedIds.has(job.id));
+  const linked = db.addAlsoListed(known.map((job) => ({
+    id: existingIds.get(job.fingerprint) || job.id,
+    source: "Email Alert",
+    url: job.url,
+  })));
+  jobs = jobs.filter((job) => !known.includes(job));
+
+  await enrichFullDescriptions(jobs);
+  for (const job of jobs) {
+    if (job.full_description) reparseJob(job);
+  }
+
+  const promotedIds = db.getPromotedIds();
+  const quarantined = [];
+  const admitted = [];
+  for (const job of jobs.length ? await scoreJobs(jobs, config.anthropicKey) : []) {
+    if (closedToUK(job) && !promotedIds.has(job.id)) {
+      quarantined.push({ job, stage: "location", reason: `remote role restricted to ${ELIGIBILITY_LABELS[job.eligibility]}` });
+    } else if (job.match_score < MIN_SCORE && !promotedIds.has(job.id)) {
+      quarantined.push({ job, stage: "score", reason: `score ${job.match_score} below ${MIN_SCORE}` });
+    } else {
+      admitted.push(job);
+    }
+  }
+
+  const saved = admitted.length ? db.upsertJobs(admitted) : 0;
+  db.quarantineJobs(quarantined);
+  db.logFetch("Email Alert", jobs.length, "success", { durationMs: Date.now() - startedAt, fetched: alerts.length });
+
+  const results = {
+    parsed: alerts.length,
+    imported: saved,
+    new: saved,
+    linked,
+    quarantined: quarantined.length,
+  };
+  console.log(`  [Email Alert] Imported ${results.imported} of ${results.parsed} alert jobs (${results.new} new, ${results.linked} linked to stored jobs, ${results.quarantined} quarantined)`);
+  return results;
 }
 
+// ---------------------------------------------------------------------------
+// Manual company-match overrides
+//   directory — "sponsor" (the register) or "bcorp"
+//   decision  — "confirm" a candidate, "reject" one (or, with no target,
+//               say the company isn't in the directory), or "clear"
+//   Applies to every job at the same normalised company name, now and on
+//   later fetches. Returns { invalid } or { job, updated }.
+// ---------------------------------------------------------------------------
+const MATCH_DIRECTORIES = {
+  sponsor: { module: sponsor, has: (key) => sponsor.hasSponsor(key), recheck: (jobs) => db.updateSponsorVerification(sponsor.reverifyJobs(jobs)) },
+  bcorp: { module: bcorp, has: (key) => bcorp.hasBCorp(key), recheck: (jobs) => db.updateBCorpMatch(bcorp.recheckJobs(jobs)) },
+};
+
+async function setCompanyMatch(jobId, { directory, decision, target_key: targetKey = null }) {
+  const job = db.getJobById(jobId);
+  if (!job) return null;
+  const dir = MATCH_DIRECTORIES[directory];
+  if (!dir) return { invalid: "directory must be sponsor or bcorp" };
+  if (!["confirm", "reject", "clear"].includes(decision)) return { invalid: "decision must be confirm, reject or clear" };
+
+  await dir.module.ensureLoaded();
+  if (decision === "confirm" && !dir.has(targetKey)) return { invalid: "target_key isn't in that directory" };
+
+  const key = company.setOverride(directory, job.company, decision, decision === "clear" ? null : targetKey);
+  const jobs = db.getJobsForCompanyCheck().filter((j) => company.normalise(j.company) === key);
+  dir.recheck(jobs);
+  console.log(`  [Company] ${decision} ${directory} match for "${job.company}"${targetKey ? ` → ${targetKey}` : ""} (${jobs.length} jobs re-checked)`);
+  return { job: db.getJobById(jobId), updated: jobs.length };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
 function hashString(str) {
   let hash = 0;
   for (let i = 0; i < str.length; i++) {
@@ -885,4 +1523,4 @@ function extractCompanyFromDesc(desc) {
   return match ? match[1].trim() : "See listing";
 }
 
-module.exports = { fetchAllJobs };
+module.exports = { fetchAllJobs, promoteJob, addManualJob, importAlertJobs, setCompanyMatch };
@@ -0,0 +1,377 @@
+// ============================================================
+// Full-Description Enrichment
+// Jooble and Adzuna only return a snippet of each posting, which
+// starves the heuristic scorer and the AI prompt of ESG depth
+// terms. This follows a listing's URL to the posting page and
+// extracts the body: from a schema.org JobPosting JSON-LD block
+// when the page has one, otherwise the densest block of text
+// (readability-style). The result is stored as full_description.
+//
+// Opt-in per source (FULLTEXT_SOURCES). In live mode results are
+// cached per URL; record and replay runs always go through the
+// fixtures. Each domain gets its own rate limit.
+//
+// Jobs added by hand reuse the page fetch and take their title,
+// company, location and salary from the JobPosting as well.
+// ============================================================
+
+const db = require("./db");
+const { createSourceFetch, HTTP_MODE } = require("./http");
+const { stripHtml } = require("./scorer");
+
+const FULLTEXT_SOURCES = new Set((process.env.FULLTEXT_SOURCES || "").split(",").map((s) => s.trim()).filter(Boolean));
+const MAX_PER_RUN = parseInt(process.env.FULLTEXT_MAX_PER_RUN) || 50;
+const DOMAIN_RPM = parseInt(process.env.FULLTEXT_DOMAIN_RPM) || 6;
+const CACHE_DAYS = parseInt(process.env.FULLTEXT_CACHE_DAYS) || 30;
+const RETRY_FAILED_MS = 24 * 60 * 60 * 1000; // pages that failed are retried after a day
+// Failures worth remembering for RETRY_FAILED_MS; anything else (network
+// errors, 429, 5xx) is retried on the next run
+const LASTING_FAILURE = /^(HTTP (404|410)|not html|no posting found)/;
+
+// Descriptions at least this long are taken to be complete already
+const SNIPPET_MAX_CHARS = 1000;
+// Extracted text shorter than this is a cookie banner or an error page, not a posting
+const MIN_POSTING_CHARS = 200;
+const MAX_POSTING_CHARS = 20000;
+
+const USER_AGENT = "Mozilla/5.0 (compatible; ESGJobBoard/1.0)";
+
+// One rate-limited fetch per domain, shared across runs
+const domainFetches = new Map();
+
+function fetchForDomain(host) {
+  if (!domainFetches.has(host)) {
+    domainFetches.set(host, createSourceFetch(`Fulltext ${host}`, { requestsPerMinute: DOMAIN_RPM, burst: 1 }));
+  }
+  return domainFetches.get(host);
+}
+
+// ---------------------------------------------------------------------------
+// Enrichment step (called by the fetcher before scoring)
+// ---------------------------------------------------------------------------
+
+/**
+ * Set `full_description` on snippet-only jobs from the enabled sources,
+ * using the per-URL cache where it's fresh and fetching the rest (at most
+ * MAX_PER_RUN pages per run). Domains are fetched concurrently, pages on
+ * the same domain one at a time. Returns { enriched, fetched, failed }.
+ */
+async function enrichFullDescriptions(jobs) {
+  const stats = { enriched: 0, fetched: 0, failed: 0 };
+  if (!FULLTEXT_SOURCES.size) return stats;
+
+  const candidates = jobs.filter((job) =>
+    FULLTEXT_SOURCES.has(job.source) && job.url && !job.full_description &&
+    stripHtml(job.description || "").length < SNIPPET_MAX_CHARS
+  );
+  if (!candidates.length) return stats;
+
+  // The cache is the live network's; fixtures stand in for it otherwise
+  const useCache = HTTP_MODE === "live";
+  if (useCache) db.pruneFulltextCache(CACHE_DAYS * 24 * 60 * 60 * 1000, RETRY_FAILED_MS);
+  const cached = useCache ? db.getFulltextCache(candidates.map((job) => job.url)) : new Map();
+  const byDomain = new Map(); // host -> jobs to fetch
+
+  for (const job of candidates) {
+    const entry = cached.get(job.url);
+    if (entry && isFresh(entry)) {
+      if (entry.description) {
+        job.full_description = entry.description;
+        stats.enriched++;
+      }
+      continue;
+    }
+    if (stats.fetched >= MAX_PER_RUN) continue;
+
+    let host;
+    try {
+      host = new URL(job.url).host;
+    } catch {
+      continue;
+    }
+    if (!byDomain.has(host)) byDomain.set(host, []);
+    byDomain.get(host).push(job);
+    stats.fetched++;
+  }
+
+  await Promise.all([...byDomain].map(async ([host, domainJobs]) => {
+    const fetch = fetchForDomain(host);
+    for (const job of domainJobs) {
+      const result = await fetchPosting(fetch, job.url);
+      if (useCache && (result.description || LASTING_FAILURE.test(result.status))) {
+        db.saveFulltext({ url: job.url, ...result });
+      }
+      if (result.description) {
+        job.full_description = result.description;
+        stats.enriched++;
+      } else {
+        stats.failed++;
+      }
+    }
+  }));
+
+  console.log(`  [Fulltext] ${stats.enriched}/${candidates.length} snippet jobs have a full description (${stats.fetched} pages fetched, ${stats.failed} failed)`);
+  return stats;
+}
+
+function isFresh(entry) {
+  const age = Date.now() - Date.parse(entry.fetched_at);
+  return entry.description ? age < CACHE_DAYS * 24 * 60 * 60 * 1000 : age < RETRY_FAILED_MS;
+}
+
+/**
+ * Fetch one posting page. Returns { description, method, status }, where
+ * description is null when nothing usable was found.
+ */
+async function fetchPosting(fetch, url) {
+  const { html, status } = await fetchHtml(fetch, url);
+  if (!html) return { description: null, method: null, status };
+
+  const posting = extractPosting(html);
+  return posting
+    ? { ...posting, status: "ok" }
+    : { description: null, method: null, status: "no posting found" };
+}
+
+/**
+ * Fetch a posting page's HTML through its domain's rate limit, for jobs
+ * added by hand. Returns { html, status }; html is null on failure.
+ */
+async function fetchPostingPage(url) {
+  return fetchHtml(fetchForDomain(new URL(url).host), url);
+}
+
+async function fetchHtml(fetch, url) {
+  try {
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT, Accept: "text/html" }, timeout: 20000 });
+    if (!res.ok) return { html: null, status: `HTTP ${res.status}` };
+
+    const contentType = res.headers.get("content-type") || "";
+    if (contentType && !contentType.includes("html")) {
+      return { html: null, status: `not html (${contentType.split(";")[0]})` };
+    }
+    return { html: await res.text(), status: "ok" };
+  } catch (err) {
+    console.error(`  [Fulltext] ${url}: ${err.message}`);
+    return { html: null, status: `error: ${err.message}` };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Extraction
+// ---------------------------------------------------------------------------
+
+/**
+ * Pull the posting body out of a page as plain text with paragraph breaks.
+ * Returns { description, method: "json-ld" | "readability" } or null.
+ */
+function extractPosting(html) {
+  const fromJsonLd = jsonLdDescription(html);
+  if (fromJsonLd) return { description: fromJsonLd, method: "json-ld" };
+
+  const fromContent = densestBlock(html);
+  if (fromContent) return { description: fromContent, method: "readability" };
+
+  return null;
+}
+
+/**
+ * Description of the first JobPosting in the page's JSON-LD blocks,
+ * including ones nested in an @graph or an array.
+ */
+function jsonLdDescription(html) {
+  const blocks = html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, json] of blocks) {
+    let data;
+    try {
+      data = JSON.parse(json.trim());
+    } catch {
+      continue; // malformed blocks are common; try the next one
+    }
+
+    const posting = findJobPosting(data);
+    if (posting && typeof posting.description === "string") {
+      // The description is usually HTML, sometimes entity-encoded once more
+      const text = htmlToText(decodeEntities(posting.description));
+      if (text.length >= MIN_POSTING_CHARS) return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * The structured fields of the first JobPosting in the page's JSON-LD:
+ * { title, company, location, remote, salary, job_type, posted_at,
+ * description }, each null when the posting doesn't give it. Returns
+ * null when the page has no JobPosting.
+ */
+function extractJobPosting(html) {
+  const blocks = html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+  for (const [, json] of blocks) {
+    let posting;
+    try {
+      posting = findJobPosting(JSON.parse(json.trim()));
+    } catch {
+      continue;
+    }
+    if (!posting) continue;
+
+    const places = [].concat(posting.jobLocation || []).map((place) => {
+      const address = (place && place.address) || {};
+      if (typeof address === "string") return address;
+      return [address.addressLocality, address.addressRegion, address.addressCountry && (address.addressCountry.name || address.addressCountry)]
+        .filter((part) => typeof part === "string" && part).join(", ");
+    }).filter(Boolean);
+    const posted = posting.datePosted ? new Date(posting.datePosted) : null;
+
+    return {
+      title: text(posting.title),
+      company: text(posting.hiringOrganization && (posting.hiringOrganization.name || posting.hiringOrganization)),
+      location: places.join("; ") || null,
+      remote: posting.jobLocationType === "TELECOMMUTE",
+      salary: describeBaseSalary(posting.baseSalary),
+      job_type: [].concat(posting.employmentType || []).join(", ") || null,
+      posted_at: posted && !isNaN(posted) ? posted.toISOString() : null,
+      description: typeof posting.description === "string" ? htmlToText(decodeEntities(posting.description)) : null,
+    };
+  }
+  return null;
+}
+
+// baseSalary -> "GBP 45000 - 55000 per YEAR", which salary.js parses
+function describeBaseSalary(baseSalary) {
+  if (!baseSalary || typeof baseSalary !== "object") return text(baseSalary);
+  const value = baseSalary.value;
+  const amount = value && typeof value === "object"
+    ? [value.minValue, value.maxValue].filter((v) => v != null).join(" - ") || value.value
+    : value;
+  if (amount == null || amount === "") return null;
+  const unit = (value && value.unitText) || baseSalary.unitText;
+  return [baseSalary.currency, amount, unit && `per ${unit.toLowerCase()}`].filter(Boolean).join(" ");
+}
+
+function text(value) {
+  return typeof value === "string" && value.trim() ? decodeEntities(value).trim() : null;
+}
+
+function findJobPosting(node) {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJobPosting(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  const type = node["@type"];
+  if (type === "JobPosting" || (Array.isArray(type) && type.includes("JobPosting"))) return node;
+  return findJobPosting(node["@graph"]);
+}
+
+// Containers worth scoring, and class/id hints for and against them
+const CANDIDATE_TAGS = /<(article|main|section|div)\b([^>]*)>/gi;
+const POSITIVE_HINT = /job|description|posting|vacancy|advert|content|details|body|main/i;
+const NEGATIVE_HINT = /comment|footer|header|nav|sidebar|related|similar|recommend|cookie|consent|share|social|menu|breadcrumb|banner|modal/i;
+const MAX_CANDIDATES = 300;
+
+/**
+ * Readability-style fallback: score every likely container by its
+ * paragraph text (less the text inside links), then take the smallest
+ * container that still holds most of the best score, so page chrome
+ * around the posting is left out.
+ */
+function densestBlock(html) {
+  const body = html
+    .replace(/<(script|style|noscript|svg|template|iframe)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<(nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ");
+
+  const candidates = [];
+  for (const match of body.matchAll(CANDIDATE_TAGS)) {
+    if (candidates.length >= MAX_CANDIDATES) break;
+    const [open, tag, attrs] = match;
+    const structural = tag.toLowerCase() === "article" || tag.toLowerCase() === "main";
+    if (NEGATIVE_HINT.test(attrs) || (!structural && !POSITIVE_HINT.test(attrs))) continue;
+
+    const start = match.index + open.length;
+    const inner = body.slice(start, closingTagIndex(body, start, tag));
+    const score = contentScore(inner);
+    if (score > 0) candidates.push({ inner, score });
+  }
+
+  if (!candidates.length) {
+    // No hinted container — score the whole body as one block
+    const inner = (body.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, body])[1];
+    candidates.push({ inner, score: contentScore(inner) });
+  }
+
+  const best = Math.max(...candidates.map((c) => c.score));
+  const chosen = candidates
+    .filter((c) => c.score >= best * 0.8)
+    .sort((a, b) => a.inner.length - b.inner.length)[0];
+
+  const text = htmlToText(chosen.inner);
+  return text.length >= MIN_POSTING_CHARS ? text : null;
+}
+
+/**
+ * Index where the element opened just before `start` closes, counting
+ * nested elements of the same tag. Unclosed elements run to the end.
+ */
+function closingTagIndex(html, start, tag) {
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+  re.lastIndex = start;
+  let depth = 1;
+  let match;
+  while ((match = re.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return match.index;
+  }
+  return html.length;
+}
+
+function contentScore(html) {
+  const paragraphs = [...html.matchAll(/<(p|li)\b[^>]*>([\s\S]*?)<\/\1>/gi)].map((m) => stripHtml(m[2]));
+  const text = paragraphs.join(" ");
+  const linkText = [...html.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)].map((m) => stripHtml(m[1])).join(" ");
+  const linkDensity = text.length ? Math.min(linkText.length / text.length, 1) : 1;
+  return text.length * (1 - linkDensity);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * HTML to plain text, keeping paragraph and list structure as line breaks.
+ * The result is stored and shown as text, never as markup.
+ */
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li\b[^>]*>/gi, "\n• ")
+      .replace(/<\/(p|div|ul|ol|h[1-6]|tr|section|article|blockquote)>/gi, "\n")
+      .replace(/<[^>]*>/g, " ")
+  )
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_POSTING_CHARS);
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+module.exports = { enrichFullDescriptions, extractPosting, extractJobPosting, fetchPostingPage };
@@ -0,0 +1,101 @@
+// ============================================================
+// Source Health
+// Summarises the per-source run history in fetch_log: yield per
+// day, the latest run's numbers, and flags for sources that need
+// a look — failing, circuit open, or yield dropped to zero (the
+// usual sign of a revoked API key or an upstream schema change,
+// which otherwise fail silently as "success, 0 jobs").
+// ============================================================
+
+const db = require("./db");
+const { getCircuitState } = require("./circuit");
+
+const HEALTH_DAYS = parseInt(process.env.HEALTH_DAYS) || 14;
+
+/**
+ * Health of each registered source (from listSources) over the last
+ * `days` days, plus the recent runs. Flags per source:
+ *   failing        — the latest run errored
+ *   circuit_open   — skipped by the circuit breaker
+ *   zero_yield     — the latest run returned nothing after earlier runs did
+ *   no_yield       — every run in the window returned nothing
+ *   partial        — some of the latest run's queries failed
+ *   not_configured — missing an API key, so it never runs
+ */
+function getSourceHealth(sources, { days = HEALTH_DAYS } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const rows = db.getFetchLogSince(since);
+
+  const health = sources.filter((s) => s.enabled).map((source) => {
+    const history = rows.filter((r) => r.source === source.name);
+    // Skipped runs say nothing about the source itself
+    const ran = history.filter((r) => !r.status.startsWith("skipped"));
+    const latest = ran[ran.length - 1] || null;
+    const circuit = getCircuitState(source.name);
+
+    const flags = [];
+    if (!source.configured) flags.push("not_configured");
+    if (circuit.open) flags.push("circuit_open");
+    if (latest && latest.status.startsWith("error")) {
+      flags.push("failing");
+    } else if (latest && latest.job_count === 0) {
+      flags.push(ran.some((r) => r.job_count > 0) ? "zero_yield" : "no_yield");
+    }
+    if (latest && latest.status.startsWith("partial")) flags.push("partial");
+
+    const lastSuccess = [...ran].reverse().find((r) => !r.status.startsWith("error"));
+    const lastError = [...ran].reverse().find((r) => r.status.startsWith("error") || r.error_count > 0);
+
+    return {
+      source: source.name,
+      configured: source.configured,
+      flags,
+      runs: ran.length,
+      latest: latest && describeRow(latest),
+      last_success_at: lastSuccess ? lastSuccess.fetched_at : null,
+      last_error: lastError ? { at: lastError.fetched_at, status: lastError.status } : null,
+      trend: dailyTrend(ran, days),
+    };
+  });
+
+  return { days, sources: health, runs: db.getFetchRuns() };
+}
+
+function describeRow(row) {
+  return {
+    run_id: row.run_id,
+    at: row.fetched_at,
+    status: row.status,
+    duration_ms: row.duration_ms,
+    fetched: row.fetched,
+    passed_filter: row.job_count,
+    scored: row.scored,
+    new_jobs: row.new_jobs,
+    updated_jobs: row.updated_jobs,
+    errors: row.error_count || 0,
+  };
+}
+
+/**
+ * One entry per day in the window, oldest first: jobs that passed the
+ * source's filter and jobs that were scored onto the board. Days without
+ * a run have runs: 0 so gaps show as gaps rather than zero yield.
+ */
+function dailyTrend(rows, days) {
+  const byDay = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    byDay.set(day, { day, runs: 0, passed_filter: 0, scored: 0, errors: 0 });
+  }
+  for (const row of rows) {
+    const entry = byDay.get(row.fetched_at.slice(0, 10));
+    if (!entry) continue;
+    entry.runs++;
+    entry.passed_filter += row.job_count;
+    entry.scored += row.scored || 0;
+    if (row.status.startsWith("error")) entry.errors++;
+  }
+  return [...byDay.values()];
+}
+
+module.exports = { getSourceHealth };
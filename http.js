@@ -0,0 +1,184 @@
+// ============================================================
+// HTTP layer for job-source adapters
+// Every adapter request goes through a per-source fetch that
+// waits on that source's shared rate-limit budget and retries
+// transient failures (network errors, 429, 5xx) with
+// exponential backoff.
+//
+// HTTP_MODE switches the transport underneath:
+//   live   — talk to the network (default)
+//   record — talk to the network and save every response as a
+//            fixture, under fixtures/recorded/ (git-ignored) unless
+//            HTTP_FIXTURES_DIR says otherwise
+//   replay — answer from the saved fixtures only, never the
+//            network, so a fetch runs offline and deterministically;
+//            reads the committed fixtures/ unless HTTP_FIXTURES_DIR
+//            says otherwise
+// Secrets (API keys in URLs, bodies and env) are redacted before
+// anything is written or looked up. Responses are saved as they
+// came back, so a recording is looked over before it's moved into
+// fixtures/ and committed.
+// ============================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { getLimiter } = require("./ratelimit");
+
+// Used when an adapter doesn't declare its own budget
+const DEFAULT_RATE_LIMIT = { requestsPerMinute: 30, burst: 2 };
+
+const MAX_RETRIES = envInt("HTTP_MAX_RETRIES", 3);
+const BASE_BACKOFF_MS = envInt("HTTP_BACKOFF_MS", 1000);
+const MAX_BACKOFF_MS = 60000;
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const HTTP_MODE = (process.env.HTTP_MODE || "live").toLowerCase();
+// Recordings land in a git-ignored folder; replay reads the committed fixtures
+const FIXTURES_DIR = process.env.HTTP_FIXTURES_DIR || path.join(__dirname, "fixtures", HTTP_MODE === "record" ? "recorded" : "");
+if (!["live", "record", "replay"].includes(HTTP_MODE)) {
+  throw new Error(`HTTP_MODE must be live, record or replay (got "${HTTP_MODE}")`);
+}
+if (HTTP_MODE !== "live") console.log(`  [HTTP] ${HTTP_MODE} mode — fixtures in ${FIXTURES_DIR}`);
+
+// Query parameters that carry credentials
+const SECRET_PARAMS = /^(app_id|app_key|api_key|apikey|key|token|access_token|client_secret)$/i;
+// Env vars whose values are credentials wherever they appear (e.g. Jooble's key is a URL path segment)
+const SECRET_ENV = /(_KEY|_TOKEN|_SECRET|_PASS|_APP_ID)$/;
+
+/**
+ * Delay before retry `attempt` (0-based). Honours a Retry-After header
+ * when the server sends one, otherwise doubles from BASE_BACKOFF_MS
+ * with a little jitter so concurrent sources don't retry in lockstep.
+ */
+function backoffDelay(attempt, res) {
+  const retryAfter = res && res.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms > 0) return Math.min(ms, MAX_BACKOFF_MS);
+  }
+  const exp = BASE_BACKOFF_MS * 2 ** attempt;
+  return Math.min(exp + Math.random() * BASE_BACKOFF_MS, MAX_BACKOFF_MS);
+}
+
+/**
+ * Build the fetch function handed to a source adapter.
+ * Same signature as node-fetch. Each attempt takes a token from the
+ * source's limiter; retryable failures back off and try again up to
+ * MAX_RETRIES times. A final non-OK response is returned as-is for
+ * the adapter to handle; a final network error is thrown.
+ */
+function createSourceFetch(sourceName, rateLimit = DEFAULT_RATE_LIMIT) {
+  const limiter = getLimiter(`source:${sourceName}`, rateLimit);
+
+  return async (url, options) => {
+    // Fixtures answer instantly and never fail transiently
+    if (HTTP_MODE === "replay") return replay(sourceName, url, options);
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+      let res;
+      try {
+        res = HTTP_MODE === "record" ? await record(sourceName, url, options) : await fetch(url, options);
+      } catch (err) {
+        if (attempt >= MAX_RETRIES) throw err;
+        const delay = backoffDelay(attempt);
+        console.error(`  [${sourceName}] ${err.message} — retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.has(res.status) || attempt >= MAX_RETRIES) return res;
+
+      // Drain the unused body so its socket goes back to the pool
+      if (res.body && typeof res.body.resume === "function") res.body.resume();
+      const delay = backoffDelay(attempt, res);
+      console.error(`  [${sourceName}] HTTP ${res.status} — retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fixtures — one JSON file per request:
+//   <HTTP_FIXTURES_DIR>/<source>/<hash of method + redacted url + body>.json
+// ---------------------------------------------------------------------------
+
+/**
+ * Strip credentials from a URL or request body: secret query parameters
+ * and the values of any credential env vars.
+ */
+function redact(text) {
+  if (!text) return text;
+  let out = String(text);
+  for (const [name, value] of Object.entries(process.env)) {
+    if (SECRET_ENV.test(name) && value && value.length >= 4) out = out.split(value).join("REDACTED");
+  }
+  try {
+    const url = new URL(out);
+    for (const key of [...url.searchParams.keys()]) {
+      if (SECRET_PARAMS.test(key)) url.searchParams.set(key, "REDACTED");
+    }
+    return url.toString();
+  } catch {
+    return out; // not a URL (a request body)
+  }
+}
+
+function fixturePath(sourceName, url, options = {}) {
+  const method = (options.method || "GET").toUpperCase();
+  const body = typeof options.body === "string" ? redact(options.body) : "";
+  const hash = crypto.createHash("sha1").update(`${method} ${redact(url)}\n${body}`).digest("hex").slice(0, 16);
+  const dir = sourceName.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return { file: path.join(FIXTURES_DIR, dir, `${hash}.json`), method, body };
+}
+
+async function record(sourceName, url, options) {
+  const res = await fetch(url, options);
+  const text = await res.text();
+  const { file, method, body } = fixturePath(sourceName, url, options);
+
+  const headers = {};
+  res.headers.forEach((value, name) => {
+    // The saved body is already decoded, and cookies aren't fixture material
+    if (!["set-cookie", "content-encoding", "content-length", "transfer-encoding"].includes(name)) headers[name] = value;
+  });
+  const fixture = {
+    request: { method, url: redact(url), body: body || undefined },
+    response: { status: res.status, statusText: res.statusText, headers, body: text },
+    recordedAt: new Date().toISOString(),
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+
+  // The body has been read, so hand back a fresh response over the saved text
+  return new fetch.Response(text, { status: res.status, statusText: res.statusText, headers, url: res.url });
+}
+
+function replay(sourceName, url, options) {
+  const { file, method } = fixturePath(sourceName, url, options);
+  if (!fs.existsSync(file)) {
+    throw new Error(`no fixture for ${method} ${redact(url)} (${path.relative(FIXTURES_DIR, file)})`);
+  }
+  const { response } = JSON.parse(fs.readFileSync(file, "utf-8"));
+  return new fetch.Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    url,
+  });
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name]);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { createSourceFetch, DEFAULT_RATE_LIMIT, HTTP_MODE };
@@ -0,0 +1,389 @@
+// ============================================================
+// Email Alert Import
+// Many boards (LinkedIn, Indeed, Guardian Jobs) have no public
+// API but send job alert emails. This reads saved alerts — .eml
+// files or an mbox export — and pulls out each listed job's
+// title, company, location and link. The fetcher's
+// importAlertJobs() then enriches and scores them as the
+// "Email Alert" source.
+//
+// Includes a small MIME reader (multipart, base64, quoted-
+// printable, encoded-word headers, forwarded message/rfc822
+// parts) so no mail library is needed.
+//
+// CLI: npm run import-alerts -- <file or directory> ...
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+
+// Alert formats. `link` matches a job link (after unwrapping tracking
+// redirects) and `canonical` rebuilds it without tracking parameters.
+const ALERT_BOARDS = [
+  {
+    board: "LinkedIn",
+    from: /linkedin\.com/i,
+    link: /linkedin\.com\/(?:comm\/)?jobs\/view\/(?:[^/?"'\s]*-)?(\d{6,})/i,
+    canonical: (m) => `https://www.linkedin.com/jobs/view/${m[1]}/`,
+  },
+  {
+    board: "Indeed",
+    from: /indeed\.(com|co\.uk)/i,
+    link: /indeed\.[a-z.]+\/(?:rc\/clk|viewjob|m\/viewjob|pagead\/clk|applystart)[^"'\s]*?[?&]jk=([0-9a-f]{8,})/i,
+    canonical: (m) => `https://uk.indeed.com/viewjob?jk=${m[1]}`,
+  },
+  {
+    board: "Guardian Jobs",
+    from: /theguardian\.com|guardianjobs/i,
+    link: /jobs\.theguardian\.com\/job\/(\d+)(?:\/([a-z0-9-]+))?/i,
+    canonical: (m) => `https://jobs.theguardian.com/job/${m[1]}/${m[2] ? `${m[2]}/` : ""}`,
+  },
+];
+
+// Lines in an alert card that aren't company, location or salary
+const NOISE_LINE = /^(promoted|new|easy apply|actively recruiting|be an early applicant|view job|apply now|apply|just posted|today|save|see (all|more) jobs|\d+\s+(minutes?|hours?|days?|weeks?)\s+ago|\d+ (school )?alumni|\d+ connections?|responsive employer|urgently hiring|hiring multiple candidates)\b/i;
+const SALARY_LINE = /[£$€]\s?\d|\b\d+k\b|per (annum|year|day|hour)/i;
+
+// ---------------------------------------------------------------------------
+// Mailbox and MIME reading
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a file's contents into raw messages: an mbox holds several,
+ * separated by "From " lines; anything else is one .eml message.
+ * Takes a Buffer; text is handled as binary until each part's charset
+ * is known.
+ */
+function splitMailbox(buffer) {
+  const raw = buffer.toString("latin1");
+  if (!/^From \S+/.test(raw)) return [raw];
+  return raw
+    .split(/^From \S+.*\r?\n/m)
+    .filter((msg) => msg.trim())
+    .map((msg) => msg.replace(/^>(>*From )/gm, "$1")); // mboxrd escaping
+}
+
+/**
+ * Parse one raw message. Returns { subject, from, date, html, text, attached },
+ * where `attached` holds forwarded messages found inside it.
+ */
+function parseMessage(raw) {
+  const { headers, body } = splitHeaders(raw);
+  const message = {
+    subject: decodeHeader(headers.subject || ""),
+    from: decodeHeader(headers.from || ""),
+    date: headers.date ? new Date(headers.date) : null,
+    html: "",
+    text: "",
+    attached: [],
+  };
+  if (message.date && isNaN(message.date)) message.date = null;
+  collectParts(headers, body, message);
+  return message;
+}
+
+function splitHeaders(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : "";
+
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon < 1) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return { headers, body };
+}
+
+// Walk the MIME tree, keeping the first HTML and plain-text bodies
+function collectParts(headers, body, message) {
+  const contentType = (headers["content-type"] || "text/plain").toLowerCase();
+  const type = contentType.split(";")[0].trim();
+
+  if (type.startsWith("multipart/")) {
+    const boundary = headerParam(headers["content-type"], "boundary");
+    if (!boundary) return;
+    const parts = body.split(new RegExp(`^--${escapeRegExp(boundary)}(?:--)?[ \\t]*\\r?$`, "m")).slice(1, -1);
+    for (const part of parts) {
+      const parsed = splitHeaders(part.replace(/^\r?\n/, ""));
+      collectParts(parsed.headers, parsed.body, message);
+    }
+    return;
+  }
+
+  if (type === "message/rfc822") {
+    message.attached.push(parseMessage(decodeBody(body, headers["content-transfer-encoding"]).toString("latin1")));
+    return;
+  }
+
+  if (/^attachment/i.test(headers["content-disposition"] || "")) return;
+  if (type !== "text/html" && type !== "text/plain") return;
+
+  const bytes = decodeBody(body, headers["content-transfer-encoding"]);
+  const text = decodeCharset(bytes, headerParam(headers["content-type"], "charset") || "utf-8");
+  if (type === "text/html" && !message.html) message.html = text;
+  if (type === "text/plain" && !message.text) message.text = text;
+}
+
+function decodeBody(body, encoding = "") {
+  encoding = encoding.toLowerCase();
+  if (encoding === "base64") return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ""), "base64");
+  if (encoding === "quoted-printable") {
+    const binary = body
+      .replace(/=\r?\n/g, "")
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(binary, "latin1");
+  }
+  return Buffer.from(body, "latin1");
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes); // unknown charset label
+  }
+}
+
+// RFC 2047 encoded words: =?utf-8?B?...?= and =?utf-8?Q?...?=
+function decodeHeader(value) {
+  return value
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (_, charset, enc, data) => {
+      const bytes = enc.toLowerCase() === "b"
+        ? Buffer.from(data, "base64")
+        : decodeBody(data.replace(/_/g, " "), "quoted-printable");
+      return decodeCharset(bytes, charset);
+    })
+    .replace(/[\u0080-ÿ]{2,}/g, (s) => decodeCharset(Buffer.from(s, "latin1"), "utf-8")); // raw UTF-8 headers
+}
+
+function headerParam(header, name) {
+  const match = (header || "").match(new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, "i"));
+  return match ? match[1] || match[2] : null;
+}
+
+// ---------------------------------------------------------------------------
+// Alert parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Jobs listed in one parsed alert email (and any alerts forwarded inside
+ * it). Returns [{ title, company, location, salary, url, board, received_at }].
+ */
+function extractAlertJobs(message) {
+  const jobs = [];
+  const board = ALERT_BOARDS.find((b) => b.from.test(message.from))
+    || ALERT_BOARDS.find((b) => b.link.test(unwrapLinks(message.html || message.text)));
+
+  if (board) {
+    const cards = message.html
+      ? cardsFromTokens(htmlTokens(message.html), board)
+      : cardsFromTokens(textTokens(message.text), board, { urlAfterCard: true });
+    for (const job of cards) {
+      jobs.push({ ...job, board: board.board, received_at: message.date ? message.date.toISOString() : null });
+    }
+  }
+  // Forwarded alerts often lose their Date header; the forward's date is close enough
+  for (const attached of message.attached) jobs.push(...extractAlertJobs({ ...attached, date: attached.date || message.date }));
+  return jobs;
+}
+
+/**
+ * Walk the alert as a sequence of text lines and links. Each job link
+ * with text starts a card: the link text is the title (or, for cards
+ * wrapped in one big link, its first line), and the lines after it up to
+ * the next job link hold company, location and salary. In plain-text
+ * alerts the URL follows the card, so the lines before it (back to a
+ * blank line) are used.
+ */
+function cardsFromTokens(tokens, board, { urlAfterCard = false } = {}) {
+  const cards = new Map(); // canonical url -> card
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== "link") continue;
+    const match = unwrapLinks(token.href).match(board.link);
+    if (!match) continue;
+    const url = board.canonical(match);
+    if (cards.has(url)) continue; // image link and title link to the same job
+
+    let lines;
+    if (urlAfterCard) {
+      // "Title / Company / Location / View job: <url>"
+      lines = [];
+      for (let j = i - 1; j >= 0 && tokens[j].type === "text" && lines.length < 5; j--) lines.unshift(tokens[j].text);
+    } else if (token.lines.length) {
+      lines = [...token.lines];
+      for (let j = i + 1; j < tokens.length && lines.length < 8; j++) {
+        if (tokens[j].type === "link" && board.link.test(unwrapLinks(tokens[j].href))) break;
+        lines.push(...(tokens[j].type === "text" ? [tokens[j].text] : tokens[j].lines));
+      }
+    } else {
+      continue; // image-only link; the titled link follows
+    }
+
+    const card = parseCard(lines.filter((line) => !NOISE_LINE.test(line)));
+    if (card) cards.set(url, { ...card, url });
+  }
+  return [...cards.values()];
+}
+
+function parseCard(lines) {
+  const [title, ...rest] = lines.map((l) => l.replace(/^view job:?\s*/i, "").trim()).filter(Boolean);
+  if (!title || title.length > 150) return null;
+
+  let salary = null;
+  const details = [];
+  for (const line of rest) {
+    if (!salary && SALARY_LINE.test(line)) salary = line;
+    else details.push(line);
+  }
+  // LinkedIn: "Company · Location"
+  let [company, location] = details;
+  if (company && company.includes(" · ")) [company, location] = company.split(" · ").map((s) => s.trim());
+
+  return {
+    title,
+    company: company && company.length <= 100 ? company : "Unknown",
+    location: location && location.length <= 100 ? location : "",
+    salary,
+  };
+}
+
+// HTML as a flat list of { type: "text", text } and { type: "link", href, lines }
+function htmlTokens(html) {
+  const body = html
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<br\s*\/?>|<\/(p|div|td|tr|li|h[1-6]|table|span)>/gi, "\n");
+
+  const tokens = [];
+  const pushText = (html) => {
+    for (const line of toLines(html)) tokens.push({ type: "text", text: line });
+  };
+
+  let last = 0;
+  for (const match of body.matchAll(/<a\b[^>]*?href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+    pushText(body.slice(last, match.index));
+    tokens.push({ type: "link", href: decodeEntities(match[1]), lines: toLines(match[2]) });
+    last = match.index + match[0].length;
+  }
+  pushText(body.slice(last));
+  return tokens;
+}
+
+function textTokens(text) {
+  const tokens = [];
+  for (const line of (text || "").split(/\r?\n/).map((l) => l.trim())) {
+    if (!line) {
+      tokens.push({ type: "break" });
+      continue;
+    }
+    const url = line.match(/https?:\/\/\S+/);
+    const before = url ? line.slice(0, url.index).replace(/[:\s-]+$/, "").trim() : line;
+    if (before && !/^view job$/i.test(before)) tokens.push({ type: "text", text: before });
+    if (url) tokens.push({ type: "link", href: url[0].replace(/[>)\]]+$/, ""), lines: [] });
+  }
+  return tokens;
+}
+
+function toLines(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, " "))
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+// Tracking redirects carry the real URL percent-encoded in a parameter
+function unwrapLinks(str) {
+  let decoded = str || "";
+  for (let i = 0; i < 2 && /%2F/i.test(decoded); i++) {
+    try {
+      decoded = decodeURIComponent(decoded);
+    } catch {
+      break;
+    }
+  }
+  return decoded;
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&nbsp;/g, " ")
+    .replace(/&middot;/g, "·")
+    .replace(/&pound;/g, "£")
+    .replace(/&euro;/g, "€")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// ---------------------------------------------------------------------------
+// Entry points
+// ---------------------------------------------------------------------------
+
+/**
+ * Jobs from a mailbox file's contents (Buffer): one .eml or an mbox.
+ * Returns { messages, jobs }, jobs de-duplicated by URL.
+ */
+function readAlerts(buffer) {
+  const messages = splitMailbox(buffer).map(parseMessage);
+  const byUrl = new Map();
+  for (const message of messages) {
+    for (const job of extractAlertJobs(message)) {
+      if (!byUrl.has(job.url)) byUrl.set(job.url, job);
+    }
+  }
+  return { messages: messages.length, jobs: [...byUrl.values()] };
+}
+
+/**
+ * Expand the CLI's arguments: files as given, directories to the
+ * .eml/.mbox files inside them.
+ */
+function listMailFiles(paths) {
+  return paths.flatMap((p) => fs.statSync(p).isDirectory()
+    ? fs.readdirSync(p).filter((f) => /\.(eml|mbox)$/i.test(f)).sort().map((f) => path.join(p, f))
+    : [p]);
+}
+
+module.exports = { readAlerts, parseMessage, extractAlertJobs, listMailFiles, ALERT_BOARDS };
+
+// CLI: import alert emails straight into the board
+if (require.main === module) {
+  require("dotenv").config();
+  const db = require("./db");
+  const { importAlertJobs } = require("./fetcher");
+
+  const files = listMailFiles(process.argv.slice(2));
+  if (!files.length) {
+    console.error("Usage: npm run import-alerts -- <file.eml | mailbox.mbox | directory> ...");
+    process.exit(1);
+  }
+
+  db.initialize();
+  const alerts = [];
+  for (const file of files) {
+    const { messages, jobs } = readAlerts(fs.readFileSync(file));
+    console.log(`  [Email Alert] ${path.basename(file)}: ${jobs.length} jobs in ${messages} message${messages === 1 ? "" : "s"}`);
+    alerts.push(...jobs);
+  }
+
+  importAlertJobs(alerts, { anthropicKey: process.env.ANTHROPIC_API_KEY || null })
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error("  [Email Alert] Import failed:", err);
+      process.exit(1);
+    });
+}
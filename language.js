@@ -0,0 +1,173 @@
+// ============================================================
+// Listing Language
+// Arbeitnow and the European feeds return many listings written
+// in German, French or Dutch, which the English keyword lists
+// would otherwise read as irrelevant. This works out:
+//
+//   language           — the description's language (en, de, fr,
+//                        nl, es, it), from stopword frequency;
+//                        null when the text is too short to tell
+//   languages_required — languages the role asks for ("fluent
+//                        German", "Französischkenntnisse"), plus
+//                        the listing's own language when it isn't
+//                        English
+//
+// englishTitle() glosses common German, French and Dutch title
+// words into English so the English title patterns in the scorer
+// and classifier apply. Translated ESG terms for the relevance
+// filters live in taxonomy.json.
+// ============================================================
+
+const LANGUAGE_LABELS = {
+  en: "English", de: "German", fr: "French", nl: "Dutch", es: "Spanish", it: "Italian",
+};
+
+// Languages the candidate can work in; listings requiring others can be hidden
+const CANDIDATE_LANGUAGES = (process.env.CANDIDATE_LANGUAGES || "en")
+  .split(",").map((s) => s.trim().toLowerCase()).filter((s) => LANGUAGE_LABELS[s]);
+
+// Short, frequent words that are distinctive for each language
+const STOPWORDS = {
+  en: ["the", "and", "of", "to", "with", "for", "you", "will", "our", "are", "is", "we", "your", "this", "that", "on"],
+  de: ["und", "der", "die", "das", "mit", "für", "sie", "wir", "ist", "ein", "eine", "zu", "von", "den", "auf", "bei", "unser", "ihre"],
+  fr: ["et", "le", "la", "les", "des", "du", "une", "pour", "vous", "nous", "est", "dans", "avec", "sur", "au", "votre"],
+  nl: ["en", "het", "een", "van", "voor", "met", "je", "wij", "jij", "zijn", "op", "naar", "bij", "ons", "onze", "jouw"],
+  es: ["y", "el", "los", "las", "del", "para", "con", "una", "por", "que", "nuestro", "su", "es", "como"],
+  it: ["e", "il", "di", "che", "per", "con", "una", "del", "della", "sono", "nel", "gli", "si", "alla"],
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([lang, words]) => [lang, new Set(words)]));
+// Fewer stopword hits than this and the text is too short to call
+const MIN_HITS = 5;
+
+// Whole-word match for a list of alternatives. \b only knows ASCII
+// letters, so it would never see a word end after "inglés" or "apprécié".
+function wordPattern(alternatives) {
+  return new RegExp(`(?<!\\p{L})(?:${alternatives})(?!\\p{L})`, "u");
+}
+
+// Names of each language, in the languages listings are written in
+const LANGUAGE_NAMES = {
+  en: wordPattern("english|englisch(kenntnisse)?|anglais|engels|inglés|inglese"),
+  de: wordPattern("german|deutsch(kenntnisse)?|allemand|duits|alemán|tedesco"),
+  fr: wordPattern("french|französisch(kenntnisse)?|français|francais|frans|francés|francese"),
+  nl: wordPattern("dutch|niederländisch(kenntnisse)?|néerlandais|nederlands|neerlandés|olandese"),
+  es: wordPattern("spanish|spanisch(kenntnisse)?|espagnol|spaans|español|spagnolo"),
+  it: wordPattern("italian|italienisch(kenntnisse)?|italien|italiaans|italiano"),
+};
+// Words in the same sentence as a language name that make it a requirement...
+const REQUIRED_NEAR = wordPattern([
+  "fluent|fluency|native|mother tongue|proficien\\p{L}*|business[- ]level|professional working|required|essential|must|excellent|strong (written|verbal|command)|[bc][12]|bilingual",
+  "fließend\\p{L}*|verhandlungssicher\\p{L}*|muttersprach\\p{L}*|sehr gute\\p{L}*|erforderlich|vorausgesetzt",
+  "courant\\p{L}*|maîtrise|exigé\\p{L}*|obligatoire|bilingue",
+  "vloeiend\\p{L}*|uitstekend\\p{L}*|vereist",
+  "se requiere|requerido|imprescindible|fluido",
+  "richiest[oa]|indispensabile|fluente",
+].join("|"));
+// ...and words that make it a nice-to-have
+const OPTIONAL_NEAR = wordPattern([
+  "nice to have|a plus|an advantage|advantageous|desirable|beneficial|preferred|bonus",
+  "von vorteil|wünschenswert|ein plus",
+  "un atout|apprécié\\p{L}*|souhaité\\p{L}*|pas obligatoire",
+  "een pré|pluspunt",
+  "valorable|se valorará|deseable",
+  "gradit[oa]|preferibile",
+].join("|"));
+
+// Title words -> English, so "Nachhaltigkeitsberater" reads as
+// "sustainability consultant". Applied to lower-cased titles.
+const TITLE_GLOSSARY = [
+  [/nachhaltigkeits?/g, " sustainability "],
+  [/klimaschutz|klima(?!at)/g, " climate "],
+  [/umwelt/g, " environmental "],
+  [/berater(in)?|beratung/g, " consultant "],
+  [/referent(in)?/g, " specialist "],
+  [/leiter(in)?|leitung/g, " head of "],
+  [/werkstudent(in)?|praktikant(in)?|praktikum/g, " intern "],
+  [/kommunikation/g, " communications "],
+  [/berichterstattung/g, " reporting "],
+  [/développement durable|durabilité/g, " sustainability "],
+  [/\brse\b/g, " csr "],
+  [/chargée? de mission/g, " officer "],
+  [/responsable/g, " manager "],
+  [/directeur|directrice/g, " director "],
+  [/stagiaire|alternance|alternant(e)?/g, " intern "],
+  [/duurzaamheids?/g, " sustainability "],
+  [/adviseur/g, " advisor "],
+  [/klimaat/g, " climate "],
+  [/milieu/g, " environmental "],
+  [/stagiair/g, " intern "],
+];
+
+/**
+ * Detect a job's language and the languages it requires. Reads title
+ * and description (or full_description); returns
+ * { language, languages_required } with languages_required a comma
+ * list of codes, or null.
+ */
+function analyseLanguage(job) {
+  const text = `${job.title || ""} ${stripTags(job.full_description || job.description)}`.toLowerCase();
+  const language = detectLanguage(text);
+
+  const required = new Set(requiredLanguages(text));
+  if (language && language !== "en") required.add(language);
+
+  return {
+    language,
+    languages_required: required.size ? [...required].sort().join(",") : null,
+  };
+}
+
+/**
+ * The language of a piece of text, or null when there's too little to tell.
+ */
+function detectLanguage(text) {
+  const counts = {};
+  for (const word of (text || "").toLowerCase().match(/[\p{L}']+/gu) || []) {
+    for (const [lang, words] of Object.entries(STOPWORD_SETS)) {
+      if (words.has(word)) counts[lang] = (counts[lang] || 0) + 1;
+    }
+  }
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best && best[1] >= MIN_HITS ? best[0] : null;
+}
+
+/**
+ * Languages the text asks candidates to speak: a language name in a
+ * sentence with a requirement word and no nice-to-have wording.
+ */
+function requiredLanguages(text) {
+  const required = new Set();
+  for (const sentence of (text || "").split(/[.!?;\n•]+/)) {
+    if (!REQUIRED_NEAR.test(sentence) || OPTIONAL_NEAR.test(sentence)) continue;
+    for (const [lang, pattern] of Object.entries(LANGUAGE_NAMES)) {
+      if (pattern.test(sentence)) required.add(lang);
+    }
+  }
+  return [...required];
+}
+
+/**
+ * A lower-cased title with German, French and Dutch role words replaced
+ * by their English equivalents, for matching against English patterns.
+ */
+function englishTitle(title) {
+  let text = (title || "").toLowerCase();
+  for (const [pattern, english] of TITLE_GLOSSARY) text = text.replace(pattern, english);
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Languages in a comma list that the candidate doesn't speak.
+ */
+function unspokenLanguages(languagesRequired) {
+  return (languagesRequired || "").split(",").filter((lang) => lang && !CANDIDATE_LANGUAGES.includes(lang));
+}
+
+function stripTags(html) {
+  return (html || "").replace(/<[^>]*>/g, " ");
+}
+
+module.exports = {
+  analyseLanguage, detectLanguage, requiredLanguages, englishTitle, unspokenLanguages,
+  LANGUAGE_LABELS, CANDIDATE_LANGUAGES,
+};
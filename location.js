@@ -0,0 +1,208 @@
+// ============================================================
+// Location Parsing
+// Turns free-text location strings ("London (Hybrid)", "Remote –
+// EMEA", "Anywhere in the US") into structured fields:
+//
+//   city, region, country — where the role is based, if anywhere
+//   work_arrangement      — "onsite", "hybrid" or "remote"
+//   hybrid_days           — office days per week for hybrid roles
+//   eligibility           — where candidates may be based:
+//                           uk, europe, emea, global (open to UK
+//                           residents) or eu, us, americas, apac,
+//                           other, not_uk (not); null when unknown
+//
+// Remote roles closed to UK residents are dropped by the fetcher.
+// ============================================================
+
+// Eligibility regions a UK resident can apply from. Most "Europe"
+// remote roles include the UK; "EU" ones usually need EU work rights.
+const UK_ELIGIBLE = ["uk", "europe", "emea", "global"];
+
+const ELIGIBILITY_LABELS = {
+  uk: "UK", europe: "Europe", emea: "EMEA", global: "Worldwide",
+  eu: "EU", us: "US", americas: "the Americas", apac: "APAC", other: "outside the UK",
+  not_uk: "anywhere but the UK",
+};
+
+// UK cities -> nation. London districts count as London.
+const UK_CITIES = {
+  "london": "England", "manchester": "England", "birmingham": "England", "bristol": "England",
+  "leeds": "England", "liverpool": "England", "newcastle": "England", "sheffield": "England",
+  "nottingham": "England", "leicester": "England", "cambridge": "England", "oxford": "England",
+  "reading": "England", "brighton": "England", "southampton": "England", "milton keynes": "England",
+  "york": "England", "bath": "England", "exeter": "England", "norwich": "England", "guildford": "England",
+  "edinburgh": "Scotland", "glasgow": "Scotland", "aberdeen": "Scotland", "dundee": "Scotland",
+  "cardiff": "Wales", "swansea": "Wales", "belfast": "Northern Ireland",
+};
+const LONDON_AREAS = /\b(city of london|central london|greater london|canary wharf|westminster|shoreditch|king'?s cross|east london|west london|north london|south london)\b/;
+
+// Cities elsewhere -> country
+const INTL_CITIES = {
+  "new york": "United States", "san francisco": "United States", "boston": "United States",
+  "washington": "United States", "chicago": "United States", "seattle": "United States", "austin": "United States",
+  "los angeles": "United States", "denver": "United States",
+  "toronto": "Canada", "vancouver": "Canada", "montreal": "Canada",
+  "dublin": "Ireland", "paris": "France", "berlin": "Germany", "munich": "Germany", "frankfurt": "Germany",
+  "hamburg": "Germany", "amsterdam": "Netherlands", "rotterdam": "Netherlands", "brussels": "Belgium",
+  "madrid": "Spain", "barcelona": "Spain", "lisbon": "Portugal", "milan": "Italy", "rome": "Italy",
+  "zurich": "Switzerland", "geneva": "Switzerland", "copenhagen": "Denmark", "stockholm": "Sweden",
+  "oslo": "Norway", "helsinki": "Finland", "vienna": "Austria", "warsaw": "Poland",
+  "singapore": "Singapore", "hong kong": "Hong Kong", "sydney": "Australia", "melbourne": "Australia",
+  "dubai": "United Arab Emirates", "mumbai": "India", "bangalore": "India", "tokyo": "Japan",
+};
+
+// Country names -> eligibility zone of a role based there
+const COUNTRIES = {
+  "ireland": "eu", "france": "eu", "germany": "eu", "netherlands": "eu", "belgium": "eu", "spain": "eu",
+  "portugal": "eu", "italy": "eu", "denmark": "eu", "sweden": "eu", "finland": "eu", "austria": "eu",
+  "poland": "eu", "luxembourg": "eu", "greece": "eu", "czech republic": "eu",
+  "switzerland": "other", "norway": "other",
+  "canada": "americas", "mexico": "americas", "brazil": "americas", "argentina": "americas", "colombia": "americas",
+  "australia": "apac", "new zealand": "apac", "singapore": "apac", "hong kong": "apac", "india": "apac",
+  "japan": "apac", "philippines": "apac",
+  "united arab emirates": "other", "south africa": "other",
+};
+
+// Region words in a location string. Checked in this order, so
+// "North America" is read as americas before "America" as us.
+const ZONE_PATTERNS = [
+  ["global", /\b(worldwide|global|international)\b|\banywhere\b(?!\s+in\b)/],
+  ["emea", /\bemea\b/],
+  ["eu", /\b(eu|european union|eea)\b/],
+  ["europe", /\b(europe|cet|cest)\b/],
+  ["uk", /\b(uk|united kingdom|great britain|britain|england|scotland|wales|northern ireland|gb)\b/],
+  ["americas", /\b(americas|north america|latam|latin america|south america)\b/],
+  ["us", /\b(us|usa|united states|america)\b/],
+  ["apac", /\b(apac|asia|asia[- ]pacific)\b/],
+];
+// "Austin, TX", "Cambridge, MA 02139"
+const US_STATE = /,\s*(A[KLRZ]|C[AOT]|D[CE]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])\b/;
+// The UK ruled out: "excluding UK", "not available in the UK", "cannot
+// hire in the UK", "UK residents not eligible". A few plain words may sit
+// in between, but not "not limited to the UK" or "outside IR35, UK".
+const UK_EXCLUDED = /\b(excluding|except|not|outside|cannot|can't|unable to)(?!\s+(limited|restricted|only|just|necessarily|exclusively)\b)(\s+[a-z]+){0,3}?\s+(the\s+)?(uk|united kingdom)\b|\b(uk|united kingdom)([\s-]+[a-z]+){0,3}?\s+(not eligible|ineligible|cannot apply|can't apply|not accepted|not considered|excluded)\b/;
+
+const REMOTE_WORDS = /\b(remote|work from home|wfh|home[- ]based|anywhere|worldwide|distributed|telecommute)\b/;
+const HYBRID_WORDS = /\bhybrid\b/;
+// Hybrid phrasing inside a description ("3 days a week in the office")
+const HYBRID_DESCRIPTION = /\bhybrid (working|role|model|position|basis|pattern|arrangement)\b|\bdays? (a|per) week (in|at) (the|our) office\b|\bdays? in (the|our) (london )?office\b/;
+const HYBRID_DAYS = /\b([1-5])(?:\s*(?:-|–|to|or)\s*[1-5])?\s*days?\s*(?:a |per |each )?(?:week\s*)?(?:in|at|from)\s*(?:the |our )?(?:london )?office\b/;
+
+/**
+ * Parse a location string. `job` may carry the adapter's remote flag and
+ * the title/description, which reveal hybrid roles the location omits,
+ * and a defaultCountry for sources that only list jobs in one country.
+ */
+function parseLocation(location, { remote = 0, title = "", description = "", defaultCountry = null } = {}) {
+  const raw = location || "";
+  // "U.S.A." -> "usa", "U.K." -> "uk"
+  const text = raw.toLowerCase().replace(/[–—]/g, "-").replace(/\b([a-z])\.(?=[a-z]\b|[a-z]\.)/g, "$1").replace(/\b([a-z]{2,3})\.(?!\w)/g, "$1");
+  const context = `${title || ""} ${stripTags(description)}`.toLowerCase();
+
+  // --- Place ---
+  let city = null;
+  let region = null;
+  let country = null;
+
+  // "Cambridge, MA" and "Cambridge, USA" aren't the UK's Cambridge
+  const usState = (raw.match(US_STATE) || [])[1] || null;
+  const inUS = (usState || /\b(usa|united states)\b/.test(text)) && !ZONE_PATTERNS.find(([zone]) => zone === "uk")[1].test(text);
+
+  // Longest name wins, so "New York" isn't read as York
+  const cityName = LONDON_AREAS.test(text)
+    ? "london"
+    : [...Object.keys(UK_CITIES), ...Object.keys(INTL_CITIES)]
+      .filter((c) => wordIn(c, text))
+      .sort((a, b) => b.length - a.length)[0];
+  if (cityName) {
+    city = titleCase(cityName);
+    if (UK_CITIES[cityName] && inUS) {
+      country = "United States";
+    } else {
+      country = UK_CITIES[cityName] ? "United Kingdom" : INTL_CITIES[cityName];
+      region = UK_CITIES[cityName] || null;
+    }
+  }
+
+  const ukExcluded = UK_EXCLUDED.test(text);
+  const zones = ZONE_PATTERNS
+    .filter(([zone, pattern]) => pattern.test(text) && !(ukExcluded && zone === "uk"))
+    .map(([zone]) => zone);
+  const countryName = Object.keys(COUNTRIES).find((c) => wordIn(c, text));
+  if (countryName) zones.push(COUNTRIES[countryName]);
+
+  if (!country) {
+    if (zones.includes("uk")) country = "United Kingdom";
+    else if (zones.includes("us")) country = "United States";
+    else if (countryName) country = titleCase(countryName);
+    else if (!REMOTE_WORDS.test(text)) country = defaultCountry;
+  }
+  if (country === "United Kingdom" && !region) {
+    region = ["england", "scotland", "wales", "northern ireland"].map(titleCase).find((n) => wordIn(n.toLowerCase(), text)) || null;
+  }
+  if (country === "United States" && !region) region = usState;
+
+  // --- Work arrangement ---
+  let arrangement = null;
+  if (HYBRID_WORDS.test(text)) arrangement = "hybrid";
+  else if (REMOTE_WORDS.test(text) || remote === 1 || remote === true) arrangement = "remote";
+  else if (HYBRID_WORDS.test((title || "").toLowerCase()) || HYBRID_DESCRIPTION.test(context)) arrangement = "hybrid";
+  else if (city || country) arrangement = "onsite";
+
+  let hybridDays = null;
+  if (arrangement === "hybrid") {
+    const days = `${text} ${context}`.match(HYBRID_DAYS);
+    hybridDays = days ? Number(days[1]) : null;
+  }
+
+  // --- Eligibility ---
+  // Where the role is based, for on-site and hybrid roles
+  const based = country === "United Kingdom" ? "uk"
+    : country === "United States" ? "us"
+    : country ? (COUNTRIES[country.toLowerCase()] || "other")
+    : null;
+  if (based) zones.push(based);
+
+  // "Remote (excluding UK)" says nothing else about where candidates may be
+  const eligibility = ukExcluded
+    ? "not_uk"
+    : UK_ELIGIBLE.find((zone) => zones.includes(zone))
+      || ["eu", "americas", "us", "apac", "other"].find((zone) => zones.includes(zone))
+      || null;
+
+  return {
+    city,
+    region,
+    country,
+    work_arrangement: arrangement,
+    hybrid_days: hybridDays,
+    eligibility,
+  };
+}
+
+/**
+ * Whether a parsed job is a remote role that UK residents can't take, or
+ * any role that rules the UK out by name. Unknown eligibility gets the
+ * benefit of the doubt.
+ */
+function closedToUK(parsed) {
+  if (parsed.eligibility === "not_uk") return true;
+  return parsed.work_arrangement === "remote" && !!parsed.eligibility && !UK_ELIGIBLE.includes(parsed.eligibility);
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function wordIn(word, text) {
+  return new RegExp(`\\b${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`).test(text);
+}
+
+function titleCase(str) {
+  return str.replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+function stripTags(html) {
+  return (html || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ");
+}
+
+module.exports = { parseLocation, closedToUK, UK_ELIGIBLE, ELIGIBILITY_LABELS };
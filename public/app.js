@@ -9,12 +9,19 @@ const state = {
   limit: 20,
   search: "",
   source: "all",
-  remote: "",
+  place: "",
+  arrangement: "all",
+  eligibility: "all",
+  seniority: "all",
+  contract: "all",
+  language: "all",
+  spokenOnly: "",
   saved: "",
   sponsorOnly: "",
   sort: "score",
   status: "all",
   visaConfidence: "all",
+  includeClosed: "",
   selectedJobId: null,
 };
 
@@ -28,16 +35,46 @@ const $resultCount = $_("resultCount");
 const $activeFilters = $_("activeFilters");
 const $totalBadge = $_("totalBadge");
 const $lastUpdated = $_("lastUpdated");
+const $refreshProgress = $_("refreshProgress");
 const $sponsorStats = $_("sponsorStats");
+const $sponsorAlerts = $_("sponsorAlerts");
 const $searchInput = $_("searchInput");
-const $filterRemote = $_("filterRemote");
+const $filterPlace = $_("filterPlace");
+const $filterArrangement = $_("filterArrangement");
+const $filterEligibility = $_("filterEligibility");
+const $filterSeniority = $_("filterSeniority");
+const $filterContract = $_("filterContract");
+const $filterLanguage = $_("filterLanguage");
+const $filterSpoken = $_("filterSpoken");
 const $filterSource = $_("filterSource");
 const $filterSort = $_("filterSort");
 const $filterSaved = $_("filterSaved");
 const $filterSponsor = $_("filterSponsor");
 const $filterStatus = $_("filterStatus");
 const $filterVisa = $_("filterVisa");
+const $filterClosed = $_("filterClosed");
 const $refreshBtn = $_("refreshBtn");
+const $settingsBtn = $_("settingsBtn");
+const $settingsModal = $_("settingsModal");
+const $settingsCloseBtn = $_("settingsCloseBtn");
+const $queryTabs = $_("queryTabs");
+const $queryPanel = $_("queryPanel");
+const $quarantineBtn = $_("quarantineBtn");
+const $quarantineCount = $_("quarantineCount");
+const $quarantineModal = $_("quarantineModal");
+const $quarantineCloseBtn = $_("quarantineCloseBtn");
+const $quarantineTabs = $_("quarantineTabs");
+const $quarantinePanel = $_("quarantinePanel");
+const $healthBtn = $_("healthBtn");
+const $healthCount = $_("healthCount");
+const $healthModal = $_("healthModal");
+const $healthCloseBtn = $_("healthCloseBtn");
+const $healthPanel = $_("healthPanel");
+const $addJobBtn = $_("addJobBtn");
+const $addJobModal = $_("addJobModal");
+const $addJobCloseBtn = $_("addJobCloseBtn");
+const $addJobForm = $_("addJobForm");
+const $addJobMessage = $_("addJobMessage");
 const $sidebar = $_("sidebar");
 const $mobileFilterBtn = $_("mobileFilterBtn");
 const $mobileDetailOverlay = $_("mobileDetailOverlay");
@@ -114,6 +151,171 @@ function statusLabel(s) {
   return map[s] || s;
 }
 
+// Other sources carrying the same vacancy (merged by the fetcher's dedupe step)
+function alsoListed(job) {
+  if (!job.also_listed) return [];
+  try {
+    return JSON.parse(job.also_listed);
+  } catch (err) {
+    return [];
+  }
+}
+
+// Every licence route the matched sponsor holds (sponsor.js); only
+// Skilled Worker covers the visa Alexis needs
+const SKILLED_WORKER_ROUTE = "Skilled Worker";
+
+function sponsorRoutes(job) {
+  if (!job.sponsor_routes) return [];
+  try {
+    return JSON.parse(job.sponsor_routes);
+  } catch (err) {
+    return [];
+  }
+}
+
+// True only when the routes are known and Skilled Worker isn't among them
+function lacksSkilledWorkerRoute(job) {
+  const routes = sponsorRoutes(job);
+  return Boolean(job.verified_sponsor) && routes.length > 0 && !routes.includes(SKILLED_WORKER_ROUTE);
+}
+
+function sponsorRoutesHtml(job) {
+  const routes = sponsorRoutes(job);
+  if (!job.verified_sponsor || !routes.length) return "";
+  const ordered = [...routes].sort((a, b) => (b === SKILLED_WORKER_ROUTE) - (a === SKILLED_WORKER_ROUTE) || a.localeCompare(b));
+  return `
+    <div class="sponsor-routes">
+      <span class="sponsor-routes-label">Licensed routes</span>
+      ${ordered.map((r) => `<span class="sponsor-route${r === SKILLED_WORKER_ROUTE ? " skilled" : ""}">${escapeHtml(r)}</span>`).join("")}
+      ${lacksSkilledWorkerRoute(job) ? `<span class="sponsor-route missing">\u2717 No ${SKILLED_WORKER_ROUTE} licence</span>` : ""}
+    </div>`;
+}
+
+// Which taxonomy rule admitted the job (recorded by the fetcher's ESG filter)
+const ESG_RULE_LABELS = {
+  "strong": "Strong ESG terms",
+  "weak-title": "ESG-leaning words in the title",
+  "weak-count": "Several ESG-leaning words",
+  "strong-title": "Strong ESG terms in the title",
+  "strong-description": "2+ strong ESG terms in the description",
+  "esg-query": "Found by an ESG search",
+  "search-trust": "ESG search + ESG-adjacent role title",
+  "none": "No ESG terms (source is unfiltered)",
+};
+
+// How the company was matched to the sponsor register / B Corp list (company.js)
+function companyMatch(job, field) {
+  if (!job[field]) return null;
+  try {
+    return JSON.parse(job[field]);
+  } catch (err) {
+    return null;
+  }
+}
+
+const COMPANY_DIRECTORIES = [
+  { key: "sponsor", field: "sponsor_match", label: "Sponsor register" },
+  { key: "bcorp", field: "bcorp_match", label: "B Corp directory" },
+];
+
+function companyMatchSection(job) {
+  const rows = COMPANY_DIRECTORIES.map((dir) => {
+    const m = companyMatch(job, dir.field);
+    const call = (decision, key) => `updateCompanyMatch('${escapeJs(job.id)}', '${dir.key}', '${decision}'${key ? `, '${escapeJs(key)}'` : ""})`;
+    let summary;
+    if (!m || (!m.match && !m.candidates.length)) {
+      summary = m && m.override === "rejected" ? "Marked as not listed" : "No match";
+    } else if (m.match) {
+      summary = `<strong>${escapeHtml(m.match.name)}</strong> (${Math.round(m.match.confidence * 100)}%)`;
+    } else {
+      summary = "No confident match";
+    }
+    const flags = [
+      m && m.override === "confirmed" ? '<span class="company-match-flag confirmed">Confirmed</span>' : "",
+      m && m.ambiguous ? '<span class="company-match-flag ambiguous">Ambiguous</span>' : "",
+    ].join("");
+    const candidates = m && m.override !== "confirmed" ? m.candidates.map((c) => `
+      <li>
+        ${escapeHtml(c.name)} <span class="company-match-confidence">${Math.round(c.confidence * 100)}%</span>
+        <button class="page-btn" onclick="${call("confirm", c.key)}">Confirm</button>
+        <button class="page-btn" onclick="${call("reject", c.key)}">Reject</button>
+      </li>`).join("") : "";
+    return `
+      <div class="company-match">
+        <div class="company-match-head">
+          <span class="company-match-label">${dir.label}</span> ${summary} ${flags}
+        </div>
+        ${candidates ? `<ul class="company-match-candidates">${candidates}</ul>` : ""}
+        <div class="company-match-actions">
+          ${m && (m.match || m.candidates.length) ? `<button class="page-btn" onclick="${call("reject")}">Not listed</button>` : ""}
+          ${m && m.override ? `<button class="page-btn" onclick="${call("clear")}">Reset</button>` : ""}
+        </div>
+      </div>`;
+  }).join("");
+
+  return `
+    <div class="detail-crm-section">
+      <h4>Company Matching</h4>
+      ${rows}
+    </div>`;
+}
+
+function esgMatch(job) {
+  if (!job.esg_match) return null;
+  try {
+    return JSON.parse(job.esg_match);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Parsed work arrangement and candidate eligibility (location.js on the server)
+const ARRANGEMENT_LABELS = { onsite: "On-site", hybrid: "Hybrid", remote: "Remote" };
+const ELIGIBILITY_LABELS = {
+  uk: "UK", europe: "Europe", emea: "EMEA", global: "Worldwide",
+  eu: "EU", us: "US", americas: "Americas", apac: "APAC", other: "Outside UK", not_uk: "Not UK",
+};
+
+function arrangementBadge(job) {
+  if (job.work_arrangement === "remote") {
+    return `<span class="badge badge-remote">Remote${job.eligibility ? ` \u00b7 ${ELIGIBILITY_LABELS[job.eligibility]}` : ""}</span>`;
+  }
+  if (job.work_arrangement === "hybrid") {
+    return `<span class="badge badge-hybrid">Hybrid${job.hybrid_days ? ` \u00b7 ${job.hybrid_days} days in office` : ""}</span>`;
+  }
+  return "";
+}
+
+// Seniority level and contract type (classify.js on the server)
+const SENIORITY_LABELS = {
+  entry: "Entry level", associate: "Associate", mid: "Mid level",
+  senior: "Senior", lead: "Lead", director: "Director",
+};
+const CONTRACT_LABELS = {
+  permanent: "Permanent", "fixed-term": "Fixed-term", contract: "Contract / interim",
+  internship: "Internship", "part-time": "Part-time",
+};
+
+// Listing language (language.js on the server)
+const LANGUAGE_LABELS = {
+  en: "English", de: "German", fr: "French", nl: "Dutch", es: "Spanish", it: "Italian",
+};
+
+function roleBadges(job) {
+  return `${job.seniority ? `<span class="badge badge-level">${SENIORITY_LABELS[job.seniority]}</span>` : ""}${job.contract_type && job.contract_type !== "permanent" ? `<span class="badge badge-contract">${CONTRACT_LABELS[job.contract_type]}</span>` : ""}${languageBadge(job)}`;
+}
+
+// Shown for listings not in English, or that ask for another language
+function languageBadge(job) {
+  const required = (job.languages_required || "").split(",").filter((l) => l && l !== "en");
+  if ((!job.language || job.language === "en") && !required.length) return "";
+  const written = job.language ? `Written in ${LANGUAGE_LABELS[job.language]}` : "";
+  const needs = required.length ? `Requires ${required.map((l) => LANGUAGE_LABELS[l]).join(", ")}` : "";
+  const code = (job.language && job.language !== "en" ? job.language : required[0]).toUpperCase();
+  return `<span class="badge badge-language" title="${escapeAttr([written, needs].filter(Boolean).join(" \u00b7 "))}">${code}</span>`;
+}
+
 function isMobile() {
   return window.innerWidth <= 1200;
 }
@@ -142,11 +344,19 @@ async function fetchJobs() {
   });
   if (state.search) params.set("search", state.search);
   if (state.source !== "all") params.set("source", state.source);
-  if (state.remote) params.set("remote", state.remote);
+  if (state.place === "london") params.set("city", "London");
+  if (state.place === "uk") params.set("country", "United Kingdom");
+  if (state.arrangement !== "all") params.set("arrangement", state.arrangement);
+  if (state.eligibility !== "all") params.set("eligibility", state.eligibility);
+  if (state.seniority !== "all") params.set("seniority", state.seniority);
+  if (state.contract !== "all") params.set("contract", state.contract);
+  if (state.language !== "all") params.set("language", state.language);
+  if (state.spokenOnly) params.set("spokenOnly", state.spokenOnly);
   if (state.saved) params.set("saved", state.saved);
   if (state.sponsorOnly) params.set("sponsorOnly", state.sponsorOnly);
   if (state.status !== "all") params.set("status", state.status);
   if (state.visaConfidence !== "all") params.set("visaConfidence", state.visaConfidence);
+  if (state.includeClosed) params.set("includeClosed", state.includeClosed);
 
   try {
     const res = await fetch(`/api/jobs?${params}`);
@@ -182,11 +392,29 @@ async function fetchStats() {
     if ($visaGreenCount) $visaGreenCount.textContent = data.visaGreen || 0;
     if ($visaYellowCount) $visaYellowCount.textContent = data.visaYellow || 0;
     if ($visaRedCount) $visaRedCount.textContent = data.visaRed || 0;
+    $quarantineCount.textContent = data.quarantined || 0;
   } catch (err) {
     console.error("Failed to fetch stats:", err);
   }
 }
 
+// Sources that are never fetched, so aren't in the registry
+const IMPORT_SOURCES = ["Email Alert", "Manual"];
+
+// Build the Source filter from the server's source registry
+async function fetchSources() {
+  try {
+    const res = await fetch("/api/sources");
+    const data = await res.json();
+    $filterSource.innerHTML = `<option value="all">All Sources</option>` +
+      [...data.sources.map((s) => s.name), ...IMPORT_SOURCES]
+        .map((name) => `<option value="${escapeAttr(name)}">${escapeHtml(name)}</option>`).join("");
+    $filterSource.value = state.source;
+  } catch (err) {
+    console.error("Failed to fetch sources:", err);
+  }
+}
+
 async function toggleSave(jobId, e) {
   e.stopPropagation();
   try {
@@ -248,6 +476,24 @@ async function updateJobNotes(jobId, notes) {
   }
 }
 
+// Confirm/reject the sponsor-register or B Corp match. Other jobs at the
+// same company change too, so the page is refetched.
+async function updateCompanyMatch(jobId, directory, decision, targetKey = null) {
+  try {
+    const res = await fetch(`/api/jobs/${encodeURIComponent(jobId)}/company-match`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ directory, decision, target_key: targetKey }),
+    });
+    if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+    await fetchJobs();
+    fetchStats();
+    selectJob(jobId);
+  } catch (err) {
+    console.error("Failed to update company match:", err);
+  }
+}
+
 async function generateOutreachKit(jobId) {
   const btn = document.getElementById("btnOutreach");
   if (btn) {
@@ -309,22 +555,577 @@ function copyToClipboard(elId, textArray) {
   }
 }
 
+// ---- Refresh (background run, progress streamed over SSE) ----
+const refreshState = { runId: null, stream: null, status: null, sources: {}, scoring: null, summary: "" };
+
 async function triggerRefresh() {
-  $refreshBtn.classList.add("loading");
-  $refreshBtn.disabled = true;
+  setRefreshing(true);
   try {
     const res = await fetch("/api/refresh", { method: "POST" });
-    await res.json();
-    await fetchJobs();
-    await fetchStats();
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    followRefresh(data.runId);
   } catch (err) {
     console.error("Refresh failed:", err);
+    setRefreshing(false);
+  }
+}
+
+// Pick up a run already in progress (the 6 AM cron, another tab)
+async function resumeRefresh() {
+  try {
+    const res = await fetch("/api/refresh");
+    const { runs } = await res.json();
+    const active = runs.find((run) => run.status === "running" || run.status === "queued");
+    if (active) {
+      setRefreshing(true);
+      followRefresh(active.id);
+    }
+  } catch (err) {
+    console.error("Failed to check refresh status:", err);
+  }
+}
+
+function setRefreshing(on) {
+  $refreshBtn.classList.toggle("loading", on);
+  $refreshBtn.disabled = on;
+}
+
+function followRefresh(runId) {
+  if (refreshState.stream) refreshState.stream.close();
+  Object.assign(refreshState, { runId, status: "queued", sources: {}, scoring: null, summary: "" });
+  renderRefreshProgress();
+
+  const stream = new EventSource(`/api/refresh/${runId}/events`);
+  refreshState.stream = stream;
+  stream.onmessage = (e) => {
+    const event = JSON.parse(e.data);
+    applyRefreshEvent(event);
+    renderRefreshProgress();
+    if (event.type === "done" || event.type === "failed") finishRefresh();
+  };
+  // EventSource reconnects by itself; CLOSED means the run is gone (server restarted)
+  stream.onerror = () => {
+    if (stream.readyState !== EventSource.CLOSED) return;
+    refreshState.status = "failed";
+    refreshState.summary = "Lost track of the refresh \u2014 the server may have restarted.";
+    renderRefreshProgress();
+    finishRefresh();
+  };
+}
+
+function applyRefreshEvent(event) {
+  if (event.type === "queued") {
+    refreshState.status = "queued";
+  } else if (event.type === "started") {
+    refreshState.status = "running";
+  } else if (event.type === "source") {
+    refreshState.sources[event.source] = event;
+  } else if (event.type === "scoring") {
+    refreshState.scoring = event;
+  } else if (event.type === "saved") {
+    refreshState.summary = `${event.saved} jobs saved, ${event.quarantined} filtered out${event.closed ? `, ${event.closed} closed` : ""}.`;
+  } else if (event.type === "done") {
+    refreshState.status = "done";
+  } else if (event.type === "failed") {
+    refreshState.status = "failed";
+    refreshState.summary = `Refresh failed: ${event.error}`;
+  }
+}
+
+function finishRefresh() {
+  if (refreshState.stream) refreshState.stream.close();
+  refreshState.stream = null;
+  setRefreshing(false);
+  fetchJobs();
+  fetchStats();
+  fetchHealth();
+  fetchSponsorAlerts();
+  const runId = refreshState.runId;
+  setTimeout(() => {
+    if (refreshState.runId === runId && !refreshState.stream) $refreshProgress.hidden = true;
+  }, 8000);
+}
+
+const REFRESH_SOURCE_ICONS = { started: "\u27f3", done: "\u2713", failed: "\u2717", skipped: "\u2013" };
+
+function renderRefreshProgress() {
+  const { status, sources, scoring, summary } = refreshState;
+  const heading = {
+    queued: "Refresh queued behind the current run\u2026",
+    running: "Refreshing jobs\u2026",
+    done: "Refresh complete",
+    failed: "Refresh failed",
+  }[status];
+
+  const rows = Object.values(sources).map((s) => `
+    <li class="refresh-source refresh-source-${s.status}" title="${escapeAttr(s.error || s.reason || "")}">
+      <span class="refresh-source-icon">${REFRESH_SOURCE_ICONS[s.status]}</span>
+      <span class="refresh-source-name">${escapeHtml(s.source)}</span>
+      <span class="refresh-source-count">${s.status === "done" ? `${s.jobs} jobs` : s.status === "started" ? "fetching" : s.status}</span>
+    </li>`).join("");
+
+  const scoringRow = scoring
+    ? `<div class="refresh-scoring">
+        <span>Scoring ${scoring.done}/${scoring.total}</span>
+        <div class="refresh-bar"><div class="refresh-bar-fill" style="width:${Math.round((scoring.done / scoring.total) * 100)}%"></div></div>
+      </div>`
+    : "";
+
+  $refreshProgress.innerHTML = `
+    <div class="refresh-progress-heading ${status}">${heading}</div>
+    ${rows ? `<ul class="refresh-sources">${rows}</ul>` : ""}
+    ${scoringRow}
+    ${summary ? `<div class="refresh-summary">${escapeHtml(summary)}</div>` : ""}`;
+  $refreshProgress.hidden = false;
+}
+
+// ---- Add a Job by Hand ----
+const ADD_JOB_FIELDS = ["Url", "Text", "Title", "Company", "Location", "Salary"];
+
+function openAddJob() {
+  $addJobForm.reset();
+  ADD_JOB_FIELDS.forEach((f) => $_(`addJob${f}`).classList.remove("missing"));
+  setAddJobMessage("");
+  $addJobModal.classList.add("active");
+  $_("addJobUrl").focus();
+}
+
+function setAddJobMessage(text, isError = false) {
+  $addJobMessage.textContent = text;
+  $addJobMessage.classList.toggle("error", isError);
+}
+
+async function submitAddJob(e) {
+  e.preventDefault();
+  const body = {};
+  ADD_JOB_FIELDS.forEach((f) => { body[f.toLowerCase()] = $_(`addJob${f}`).value.trim(); });
+  if (!body.url && !body.text) {
+    setAddJobMessage("Paste a link or a description.", true);
+    return;
+  }
+
+  const $submit = $_("addJobSubmit");
+  $submit.disabled = true;
+  setAddJobMessage(body.url ? "Reading the posting and scoring it..." : "Scoring...");
+  try {
+    const res = await fetch("/api/jobs", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+
+    if (res.status === 422 && data.missing) {
+      data.missing.forEach((f) => $_(`addJob${f[0].toUpperCase()}${f.slice(1)}`).classList.add("missing"));
+      setAddJobMessage(data.error, true);
+    } else if (res.status === 409) {
+      setAddJobMessage(`Already on the board: ${data.job.title} at ${data.job.company}.`, true);
+    } else if (!res.ok) {
+      setAddJobMessage(data.error || "Failed to add job", true);
+    } else {
+      $addJobModal.classList.remove("active");
+      await Promise.all([fetchJobs(), fetchStats()]);
+      selectJob(data.job.id);
+    }
+  } catch (err) {
+    console.error("Failed to add job:", err);
+    setAddJobMessage("Failed to add job", true);
   } finally {
-    $refreshBtn.classList.remove("loading");
-    $refreshBtn.disabled = false;
+    $submit.disabled = false;
+  }
+}
+
+// ---- Search Settings ----
+const queryState = { data: null, tab: "*", error: "" };
+
+async function openSettings() {
+  $settingsModal.classList.add("active");
+  await fetchQueries();
+}
+
+function closeSettings() {
+  $settingsModal.classList.remove("active");
+}
+
+async function fetchQueries() {
+  try {
+    const res = await fetch("/api/queries");
+    queryState.data = await res.json();
+    renderQueries();
+  } catch (err) {
+    console.error("Failed to fetch queries:", err);
+    $queryPanel.innerHTML = `<p class="query-error">Failed to load search queries.</p>`;
+  }
+}
+
+// Yield totals for a query; the shared tab sums every source that ran it
+function queryYield(queryId, source) {
+  return queryState.data.yield
+    .filter((y) => y.query_id === queryId && (source === "*" || y.source === source))
+    .reduce((t, y) => ({
+      runs: t.runs + y.runs, raw: t.raw + y.raw, kept: t.kept + y.kept, scored: t.scored + y.scored,
+    }), { runs: 0, raw: 0, kept: 0, scored: 0 });
+}
+
+function renderQueries() {
+  const { sources, queries, days } = queryState.data;
+  const tab = queryState.tab;
+  const tabs = [{ name: "*", label: "Shared" }, ...sources.map((s) => ({ name: s.name, label: s.name }))];
+  $queryTabs.innerHTML = tabs.map((t) =>
+    `<button class="modal-tab${t.name === tab ? " active" : ""}" onclick="selectQueryTab('${escapeJs(t.name)}')">${escapeHtml(t.label)}</button>`
+  ).join("");
+
+  const source = sources.find((s) => s.name === tab);
+  const own = queries.filter((q) => q.source === tab);
+  let note, rows, editable = true;
+
+  if (tab === "*") {
+    const users = sources.filter((s) => s.queryMode === "shared" && !queries.some((q) => q.source === s.name)).map((s) => s.name);
+    note = users.length ? `Default searches, run by ${escapeHtml(users.join(", "))}.` : "Default searches. Every source currently runs its own list.";
+    rows = own;
+  } else if (!own.length && source.queryMode === "shared") {
+    note = `${escapeHtml(tab)} runs the shared list. <button class="page-btn" onclick="customiseQueries('${escapeJs(tab)}')">Customise for ${escapeHtml(tab)}</button>`;
+    rows = queries.filter((q) => q.source === "*");
+    editable = false;
+  } else if (source.queryMode === "shared") {
+    note = `${escapeHtml(tab)} runs its own list instead of the shared one. <button class="page-btn" onclick="resetQueries('${escapeJs(tab)}')">Revert to shared list</button>`;
+    rows = own;
+  } else {
+    note = `${escapeHtml(tab)} only runs its own list.`;
+    rows = own;
+  }
+
+  const body = rows.map((q) => {
+    const y = queryYield(q.id, tab);
+    const classes = [q.enabled ? "" : "query-disabled", y.runs && !y.scored ? "query-dead" : ""].join(" ").trim();
+    return `
+      <tr class="${classes}">
+        <td><input type="checkbox" ${q.enabled ? "checked" : ""} ${editable ? "" : "disabled"} onchange="toggleQuery(${q.id}, this.checked)" /></td>
+        <td>${escapeHtml(q.query)}${q.location ? ` <span class="query-location">&middot; ${escapeHtml(q.location)}</span>` : ""}</td>
+        <td class="num">${y.runs}</td>
+        <td class="num">${y.raw}</td>
+        <td class="num">${y.kept}</td>
+        <td class="num query-scored">${y.scored}</td>
+        <td>${editable ? `<button class="query-delete" title="Delete" onclick="deleteQuery(${q.id})">&times;</button>` : ""}</td>
+      </tr>`;
+  }).join("");
+
+  $queryPanel.innerHTML = `
+    <div class="query-note">${note}</div>
+    <table class="query-table">
+      <thead><tr><th>On</th><th>Search</th><th>Runs</th><th>Raw</th><th>Kept</th><th>Scored</th><th></th></tr></thead>
+      <tbody>${body || `<tr><td colspan="7">No searches yet.</td></tr>`}</tbody>
+    </table>
+    <p class="query-note" style="margin-top:10px">Yield over the last ${days} days. Searches in red have run without producing a single scored job.</p>
+    ${editable ? `
+    <form class="query-add" onsubmit="addQuery(event)">
+      <input id="newQuery" placeholder="Add a search, e.g. biodiversity consultant" required />
+      <input id="newQueryLocation" class="query-add-location" placeholder="Location (optional)" />
+      <button class="page-btn" type="submit">Add</button>
+    </form>` : ""}
+    ${queryState.error ? `<p class="query-error">${escapeHtml(queryState.error)}</p>` : ""}
+  `;
+}
+
+function selectQueryTab(tab) {
+  queryState.tab = tab;
+  queryState.error = "";
+  renderQueries();
+}
+
+// Send a change to /api/queries, then reload the lists
+async function sendQueryChange(url, method, body) {
+  queryState.error = "";
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) queryState.error = data.error || "Request failed";
+  } catch (err) {
+    console.error("Failed to update queries:", err);
+    queryState.error = "Request failed";
+  }
+  await fetchQueries();
+}
+
+function addQuery(e) {
+  e.preventDefault();
+  const query = $_("newQuery").value.trim();
+  const location = $_("newQueryLocation").value.trim();
+  if (!query) return;
+  sendQueryChange("/api/queries", "POST", { source: queryState.tab, query, location });
+}
+
+function toggleQuery(id, enabled) {
+  sendQueryChange(`/api/queries/${id}`, "POST", { enabled });
+}
+
+function deleteQuery(id) {
+  sendQueryChange(`/api/queries/${id}`, "DELETE");
+}
+
+function customiseQueries(source) {
+  sendQueryChange("/api/queries/customise", "POST", { source });
+}
+
+function resetQueries(source) {
+  if (!confirm(`Delete ${source}'s own searches and go back to the shared list?`)) return;
+  sendQueryChange("/api/queries/reset", "POST", { source });
+}
+
+// ---- Filtered Out (Quarantine) ----
+const quarantineState = { stage: "all", page: 1, data: null };
+
+const QUARANTINE_STAGES = [
+  { key: "all", label: "All" },
+  { key: "filter", label: "ESG filter" },
+  { key: "score", label: "Score gate" },
+  { key: "location", label: "Location" },
+];
+
+async function openQuarantine() {
+  $quarantineModal.classList.add("active");
+  await fetchQuarantine();
+}
+
+async function fetchQuarantine() {
+  const params = new URLSearchParams({ page: quarantineState.page, stage: quarantineState.stage });
+  try {
+    const res = await fetch(`/api/quarantine?${params}`);
+    quarantineState.data = await res.json();
+    renderQuarantine();
+  } catch (err) {
+    console.error("Failed to fetch filtered-out jobs:", err);
+    $quarantinePanel.innerHTML = `<p class="query-error">Failed to load filtered-out jobs.</p>`;
   }
 }
 
+function renderQuarantine() {
+  const { jobs, total, page, limit } = quarantineState.data;
+  $quarantineTabs.innerHTML = QUARANTINE_STAGES.map((t) =>
+    `<button class="modal-tab${t.key === quarantineState.stage ? " active" : ""}" onclick="selectQuarantineStage('${t.key}')">${t.label}</button>`
+  ).join("");
+
+  if (!jobs.length) {
+    $quarantinePanel.innerHTML = `<div class="empty-state"><h3>Nothing filtered out</h3><p>Rejected jobs from the next refresh will show up here.</p></div>`;
+    return;
+  }
+
+  const totalPages = Math.ceil(total / limit);
+  $quarantinePanel.innerHTML = jobs.map((job) => `
+    <div class="quarantine-item" data-id="${escapeAttr(job.id)}">
+      <div class="quarantine-main">
+        <a class="quarantine-title" href="${escapeAttr(job.url)}" target="_blank" rel="noopener">${escapeHtml(job.title)}</a>
+        <div class="quarantine-meta">${escapeHtml(job.company)}${job.location ? ` &middot; ${escapeHtml(job.location)}` : ""} &middot; ${escapeHtml(job.source)}</div>
+        <div class="quarantine-reason">${escapeHtml(job.reason)} <span>&middot; seen ${job.seen_count}&times; &middot; last ${timeAgo(job.last_seen_at)}</span></div>
+      </div>
+      <button class="page-btn" onclick="promoteQuarantined('${escapeJs(job.id)}', this)">Promote</button>
+    </div>
+  `).join("") + `
+    <div class="quarantine-pager">
+      <span>${total} filtered out</span>
+      ${totalPages > 1 ? `<span>
+        <button class="page-btn" ${page <= 1 ? "disabled" : ""} onclick="quarantinePage(${page - 1})">&lsaquo;</button>
+        ${page} / ${totalPages}
+        <button class="page-btn" ${page >= totalPages ? "disabled" : ""} onclick="quarantinePage(${page + 1})">&rsaquo;</button>
+      </span>` : ""}
+    </div>`;
+}
+
+function selectQuarantineStage(stage) {
+  quarantineState.stage = stage;
+  quarantineState.page = 1;
+  fetchQuarantine();
+}
+
+function quarantinePage(page) {
+  quarantineState.page = page;
+  fetchQuarantine();
+}
+
+// Score the job and move it onto the board; the server logs it as a false negative
+async function promoteQuarantined(jobId, btn) {
+  btn.disabled = true;
+  btn.textContent = "Promoting...";
+  try {
+    const res = await fetch(`/api/quarantine/${encodeURIComponent(jobId)}/promote`, { method: "POST" });
+    if (!res.ok) throw new Error((await res.json()).error);
+    await fetchQuarantine();
+    fetchJobs();
+    fetchStats();
+  } catch (err) {
+    console.error("Failed to promote job:", err);
+    btn.disabled = false;
+    btn.textContent = "Promote";
+  }
+}
+
+// ---- Source Health ----
+const healthState = { data: null };
+
+const HEALTH_FLAGS = {
+  failing: { label: "Failing", level: "bad" },
+  zero_yield: { label: "Yield dropped to zero", level: "bad" },
+  circuit_open: { label: "Circuit open", level: "bad" },
+  no_yield: { label: "No jobs yet", level: "warn" },
+  partial: { label: "Some queries failing", level: "warn" },
+  not_configured: { label: "Not configured", level: "muted" },
+};
+
+async function openHealth() {
+  $healthModal.classList.add("active");
+  $healthPanel.innerHTML = `<div class="loading-state"><div class="spinner"></div></div>`;
+  await fetchHealth();
+}
+
+// Also called on load and after each refresh to keep the sidebar count current
+async function fetchHealth() {
+  try {
+    const res = await fetch("/api/sources/health");
+    healthState.data = await res.json();
+    const flagged = healthState.data.sources.filter((s) => s.flags.some((f) => HEALTH_FLAGS[f].level === "bad")).length;
+    $healthCount.textContent = flagged;
+    $healthCount.classList.toggle("alert", flagged > 0);
+    if ($healthModal.classList.contains("active")) renderHealth();
+  } catch (err) {
+    console.error("Failed to fetch source health:", err);
+    if ($healthModal.classList.contains("active")) {
+      $healthPanel.innerHTML = `<p class="query-error">Failed to load source health.</p>`;
+    }
+  }
+}
+
+function renderHealth() {
+  const { sources, runs, days } = healthState.data;
+  if (!sources.length) {
+    $healthPanel.innerHTML = `<div class="empty-state"><h3>No sources enabled</h3></div>`;
+    return;
+  }
+
+  const rows = sources.map((s) => {
+    const latest = s.latest;
+    const flags = s.flags.map((f) => `<span class="health-flag health-flag-${HEALTH_FLAGS[f].level}">${HEALTH_FLAGS[f].label}</span>`).join("");
+    return `
+      <div class="health-source">
+        <div class="health-source-main">
+          <div class="health-source-name">${escapeHtml(s.source)} ${flags || '<span class="health-flag health-flag-ok">OK</span>'}</div>
+          <div class="health-source-meta">
+            ${latest
+              ? `Last run ${timeAgo(latest.at)}: ${latest.fetched ?? "?"} fetched &middot; ${latest.passed_filter} passed filter &middot; ${latest.scored ?? "?"} scored (${latest.new_jobs ?? 0} new, ${latest.updated_jobs ?? 0} updated)${latest.duration_ms != null ? ` &middot; ${(latest.duration_ms / 1000).toFixed(1)}s` : ""}`
+              : "No runs yet"}
+          </div>
+          ${s.last_error ? `<div class="health-source-error" title="${escapeAttr(s.last_error.status)}">Last error ${timeAgo(s.last_error.at)}: ${escapeHtml(s.last_error.status)}</div>` : ""}
+        </div>
+        ${yieldSparkline(s.trend)}
+      </div>`;
+  }).join("");
+
+  const runRows = runs.slice(0, 10).map((r) => `
+    <tr>
+      <td>${timeAgo(r.started_at)}</td>
+      <td>${escapeHtml(r.trigger)}</td>
+      <td class="health-run-${escapeAttr(r.status)}">${escapeHtml(r.status)}</td>
+      <td>${r.fetched ?? "\u2013"}</td>
+      <td>${r.saved ?? "\u2013"}</td>
+      <td>${r.new_jobs ?? "\u2013"}</td>
+      <td>${r.duration_ms != null ? `${Math.round(r.duration_ms / 1000)}s` : "\u2013"}</td>
+    </tr>`).join("");
+
+  $healthPanel.innerHTML = `
+    <p class="health-intro">Jobs passing each source's filter per day, last ${days} days. Grey ticks are days without a run; red bars had errors.</p>
+    ${rows}
+    ${runs.length ? `
+      <h3 class="health-heading">Recent runs</h3>
+      <table class="health-runs">
+        <thead><tr><th>Started</th><th>Trigger</th><th>Status</th><th>Fetched</th><th>Saved</th><th>New</th><th>Took</th></tr></thead>
+        <tbody>${runRows}</tbody>
+      </table>` : ""}`;
+}
+
+// ---- Sponsor Alerts (register changes at employers mid-application) ----
+const sponsorAlertState = { alerts: [] };
+
+async function fetchSponsorAlerts() {
+  try {
+    const res = await fetch("/api/sponsor/alerts");
+    const data = await res.json();
+    sponsorAlertState.alerts = data.alerts || [];
+    renderSponsorAlerts();
+  } catch (err) {
+    console.error("Failed to fetch sponsor alerts:", err);
+  }
+}
+
+function renderSponsorAlerts() {
+  const { alerts } = sponsorAlertState;
+  $sponsorAlerts.hidden = !alerts.length;
+  if (!alerts.length) {
+    $sponsorAlerts.innerHTML = "";
+    return;
+  }
+
+  const items = alerts.map((a) => `
+    <li class="sponsor-alert">
+      <div class="sponsor-alert-text">
+        <strong>${escapeHtml(a.company)}</strong> &mdash; ${escapeHtml(a.message)}
+        <span class="sponsor-alert-meta">${escapeHtml(a.title)} &middot; ${statusLabel(a.status)} &middot; register of ${escapeHtml(a.published_on)}${a.visa_before !== a.visa_after ? ` &middot; visa confidence ${visaConfidenceLabel(a.visa_before)} → ${visaConfidenceLabel(a.visa_after)}` : ""}</span>
+      </div>
+      <button class="page-btn" onclick="showAlertJob(${a.id})">View job</button>
+      <button class="page-btn" onclick="dismissSponsorAlert(${a.id})">Dismiss</button>
+    </li>`).join("");
+
+  $sponsorAlerts.innerHTML = `
+    <div class="sponsor-alerts-heading">⚠ Sponsor licence ${alerts.length === 1 ? "change" : "changes"} affecting ${alerts.length === 1 ? "a job" : `${alerts.length} jobs`} you're pursuing</div>
+    <ul class="sponsor-alert-list">${items}</ul>`;
+}
+
+// Open an alert's job, searching for its company if it isn't on this page
+async function showAlertJob(alertId) {
+  const alert = sponsorAlertState.alerts.find((a) => a.id === alertId);
+  if (!alert) return;
+  if (!state.jobs.some((j) => j.id === alert.job_id)) {
+    state.search = alert.company;
+    $searchInput.value = alert.company;
+    state.includeClosed = "true";
+    $filterClosed.checked = true;
+    state.page = 1;
+    await fetchJobs();
+  }
+  selectJob(alert.job_id);
+}
+
+async function dismissSponsorAlert(alertId) {
+  try {
+    const res = await fetch(`/api/sponsor/alerts/${alertId}/dismiss`, { method: "POST" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    sponsorAlertState.alerts = sponsorAlertState.alerts.filter((a) => a.id !== alertId);
+    renderSponsorAlerts();
+    if (state.selectedJobId) selectJob(state.selectedJobId);
+  } catch (err) {
+    console.error("Failed to dismiss sponsor alert:", err);
+  }
+}
+
+// Daily yield as a tiny bar chart
+function yieldSparkline(trend) {
+  const width = 140;
+  const height = 32;
+  const barWidth = width / trend.length;
+  const max = Math.max(1, ...trend.map((d) => d.passed_filter));
+  const bars = trend.map((d, i) => {
+    const x = (i * barWidth).toFixed(1);
+    if (!d.runs) return `<rect x="${x}" y="${height - 1}" width="${(barWidth - 1).toFixed(1)}" height="1" fill="var(--border)"><title>${d.day}: no run</title></rect>`;
+    const h = Math.max(2, (d.passed_filter / max) * height);
+    const fill = d.errors ? "var(--visa-red)" : d.passed_filter ? "var(--primary)" : "var(--visa-yellow)";
+    return `<rect x="${x}" y="${(height - h).toFixed(1)}" width="${(barWidth - 1).toFixed(1)}" height="${h.toFixed(1)}" fill="${fill}"><title>${d.day}: ${d.passed_filter} passed filter, ${d.scored} scored${d.errors ? `, ${d.errors} failed run${d.errors > 1 ? "s" : ""}` : ""}</title></rect>`;
+  }).join("");
+  return `<svg class="health-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${bars}</svg>`;
+}
+
 // ---- SVG Icons ----
 const bookmarkSvg = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`;
 const bookmarkFilledSvg = `<svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`;
@@ -379,6 +1180,7 @@ function renderJobs() {
     const visaConf = job.visa_confidence || "unknown";
     const jobStatus = job.status || "new";
     const summarySnippet = job.ai_summary ? truncate(job.ai_summary, 120) : "";
+    const otherListings = alsoListed(job).length;
 
     return `
       <div class="job-card ${isActive ? "active" : ""}" data-id="${escapeAttr(job.id)}" onclick="selectJob('${escapeJs(job.id)}')">
@@ -406,14 +1208,16 @@ function renderJobs() {
               ${job.salary ? `<span class="job-meta-item">${escapeHtml(job.salary)}</span>` : ""}
             </div>
             <div class="job-badges">
+              ${job.closed_at ? `<span class="badge badge-closed" title="No longer listed since ${escapeAttr(timeAgo(job.closed_at))}">Posting pulled</span>` : ""}
               <span class="badge badge-status badge-status-${jobStatus}">${statusLabel(jobStatus)}</span>
               <span class="badge badge-visa-${visaConf}" title="Visa Confidence: ${visaConfidenceLabel(visaConf)}">${visaConfidenceEmoji(visaConf)} Visa</span>
-              ${(job.is_bcorp && job.verified_sponsor) ? `<span class="badge badge-golden">${starSvg} Golden Opportunity</span>` : ""}
+              ${(job.is_bcorp && job.verified_sponsor && !lacksSkilledWorkerRoute(job)) ? `<span class="badge badge-golden">${starSvg} Golden Opportunity</span>` : ""}
               ${job.verified_sponsor ? `<span class="badge badge-sponsor">${shieldSvg} Verified</span>` : ""}
               ${job.is_bcorp && !job.verified_sponsor ? '<span class="badge badge-bcorp">B Corp</span>' : ""}
               ${!job.verified_sponsor && job.visa_sponsorship ? '<span class="badge badge-visa">Visa Sponsor</span>' : ""}
-              ${job.remote ? '<span class="badge badge-remote">Remote</span>' : ""}
-              <span class="badge badge-source">${escapeHtml(job.source)}</span>
+              ${arrangementBadge(job)}
+              ${roleBadges(job)}
+              <span class="badge badge-source"${otherListings ? ` title="Also listed on ${otherListings} other source${otherListings > 1 ? "s" : ""}"` : ""}>${escapeHtml(job.source)}${otherListings ? ` +${otherListings}` : ""}</span>
               ${tags.map((t) => `<span class="badge badge-tag">${escapeHtml(t)}</span>`).join("")}
             </div>
           </div>
@@ -430,6 +1234,28 @@ function renderJobs() {
   }).join("");
 }
 
+/**
+ * Parsed salary range as stated, plus its annual GBP equivalent when the
+ * listing isn't already a full-time GBP annual figure.
+ */
+function salaryRangeText(job) {
+  if (job.salary_min == null && job.salary_max == null) return "";
+  const symbol = { GBP: "\u00a3", USD: "$", EUR: "\u20ac" }[job.salary_currency] || `${job.salary_currency} `;
+  const amount = (n) => `${symbol}${Math.round(n).toLocaleString("en-GB")}`;
+  const stated = job.salary_min == null ? `up to ${amount(job.salary_max)}`
+    : job.salary_max == null ? `from ${amount(job.salary_min)}`
+    : job.salary_min === job.salary_max ? amount(job.salary_min)
+    : `${amount(job.salary_min)}\u2013${amount(job.salary_max)}`;
+  const unit = { year: "yr", month: "month", week: "week", day: "day", hour: "hr" }[job.salary_period] || job.salary_period;
+  let text = `${stated}/${unit}`;
+  if (job.salary_fte) text += ` pro rata (${Math.round(job.salary_fte * 100)}% FTE)`;
+  const annual = [...new Set([job.salary_num, job.salary_annual_max].filter(Boolean))];
+  if (annual.length && (job.salary_period !== "year" || job.salary_currency !== "GBP" || job.salary_fte)) {
+    text += ` \u2248 ${annual.map((n) => `\u00a3${n.toLocaleString("en-GB")}`).join("\u2013")}/yr`;
+  }
+  return text;
+}
+
 function buildDetailHtml(job) {
   const tags = (job.tags || "").split(",").map((t) => t.trim()).filter(Boolean);
   const score = job.match_score || 0;
@@ -444,6 +1270,8 @@ function buildDetailHtml(job) {
     visaTrafficText = `<strong class="visa-traffic-text green">High Visa Confidence</strong>Verified sponsor + salary meets 2026 threshold.`;
   } else if (visaConf === "yellow") {
     visaTrafficText = `<strong class="visa-traffic-text yellow">Medium Visa Confidence</strong>Verified sponsor, but salary undisclosed or near threshold. Confirm with employer.`;
+  } else if (visaConf === "red" && lacksSkilledWorkerRoute(job)) {
+    visaTrafficText = `<strong class="visa-traffic-text red">Low Visa Confidence</strong>Licensed sponsor, but not for the ${SKILLED_WORKER_ROUTE} route. Can't sponsor this visa unless it adds that route.`;
   } else if (visaConf === "red") {
     visaTrafficText = `<strong class="visa-traffic-text red">Low Visa Confidence</strong>Not found on Home Office Register. May not sponsor visas.`;
   } else {
@@ -452,6 +1280,16 @@ function buildDetailHtml(job) {
 
   return `
     <div class="detail-header">
+      ${job.closed_at
+        ? `<div class="closed-callout">
+            <strong>Posting pulled</strong> &mdash; this listing disappeared from ${escapeHtml(job.source)} ${timeAgo(job.closed_at)}${job.last_seen_at ? ` (last seen ${timeAgo(job.last_seen_at)})` : ""}. Check with the employer before investing more time.
+          </div>`
+        : ""}
+      ${sponsorAlertState.alerts.filter((a) => a.job_id === job.id).map((a) => `
+        <div class="closed-callout">
+          <strong>Sponsor licence changed</strong> &mdash; ${escapeHtml(a.message)} in the register of ${escapeHtml(a.published_on)}.${a.visa_before !== a.visa_after ? ` Visa confidence went from ${visaConfidenceLabel(a.visa_before)} to ${visaConfidenceLabel(a.visa_after)}.` : ""} Confirm the employer can still sponsor you.
+        </div>`).join("")}
+
       <!-- Visa Confidence Traffic Light -->
       <div class="visa-traffic-light ${visaConf}">
         <div class="visa-traffic-icon">${visaConfidenceEmoji(visaConf)}</div>
@@ -498,14 +1336,19 @@ function buildDetailHtml(job) {
       <!-- Visa Intel Chips -->
       <div class="detail-visa-intel">
         ${job.soc_code ? `<span class="visa-intel-chip">SOC <strong>${escapeHtml(job.soc_code)}</strong></span>` : ""}
-        ${salaryNum ? `<span class="visa-intel-chip">Parsed: <strong>\u00a3${salaryNum.toLocaleString()}</strong></span>` : ""}
+        ${salaryRangeText(job) ? `<span class="visa-intel-chip">Parsed: <strong>${escapeHtml(salaryRangeText(job))}</strong></span>` : ""}
+        ${salaryNum ? `<span class="visa-intel-chip">Guaranteed min: <strong>\u00a3${salaryNum.toLocaleString()}/yr</strong></span>` : ""}
+        ${!salaryNum && job.salary_annual_max ? '<span class="visa-intel-chip">No guaranteed minimum</span>' : ""}
+        ${job.salary_confidence === "low" ? '<span class="visa-intel-chip" title="Currency, pay period or hours were guessed">Low-confidence parse</span>' : ""}
+        ${job.sponsor_register ? `<span class="visa-intel-chip" title="Edition of the GOV.UK sponsor register this company was checked against">Register: <strong>${escapeHtml(job.sponsor_register)}</strong></span>` : ""}
         <span class="visa-intel-chip">Threshold: <strong>\u00a341,700</strong></span>
         ${salaryNum && salaryNum < 41700 ? '<span class="visa-intel-chip" style="background:var(--visa-red-bg);color:var(--visa-red);border-color:#EF9A9A;">\u26a0 Below threshold</span>' : ""}
         ${salaryNum && salaryNum >= 41700 ? '<span class="visa-intel-chip" style="background:var(--visa-green-bg);color:var(--visa-green);border-color:#C8E6C9;">\u2713 Meets threshold</span>' : ""}
       </div>
+      ${sponsorRoutesHtml(job)}
 
       <div class="detail-badges">
-        ${(job.is_bcorp && job.verified_sponsor)
+        ${(job.is_bcorp && job.verified_sponsor && !lacksSkilledWorkerRoute(job))
           ? `<span class="badge badge-golden">${starSvg} Golden Opportunity</span>`
           : ""}
         ${job.verified_sponsor
@@ -513,12 +1356,13 @@ function buildDetailHtml(job) {
           : ""}
         ${job.is_bcorp ? '<span class="badge badge-bcorp">B Corp Certified</span>' : ""}
         ${!job.verified_sponsor && job.visa_sponsorship ? '<span class="badge badge-visa">Visa Sponsorship</span>' : ""}
-        ${job.remote ? '<span class="badge badge-remote">Remote</span>' : ""}
+        ${arrangementBadge(job)}
+        ${roleBadges(job)}
         <span class="badge badge-source">${escapeHtml(job.source)}</span>
         ${tags.map((t) => `<span class="badge badge-tag">${escapeHtml(t)}</span>`).join("")}
       </div>
 
-      ${(job.is_bcorp && job.verified_sponsor)
+      ${(job.is_bcorp && job.verified_sponsor && !lacksSkilledWorkerRoute(job))
         ? `<div class="golden-opportunity-callout">
             ${starSvg} <strong>Golden Opportunity</strong> &mdash; ${escapeHtml(job.company)} is both a certified B Corporation and a verified UK visa sponsor. This is a rare, high-alignment match for Alexis.
           </div>`
@@ -531,9 +1375,23 @@ function buildDetailHtml(job) {
           </div>`
         : ""}
 
+      ${esgMatch(job)
+        ? `<div class="esg-match">
+            <span class="esg-match-label">ESG filter</span>
+            ${escapeHtml(ESG_RULE_LABELS[esgMatch(job).rule] || esgMatch(job).rule)}${esgMatch(job).terms.length ? `: ${esgMatch(job).terms.map((t) => `<span class="esg-match-term">${escapeHtml(t)}</span>`).join(" ")}` : ""}
+          </div>`
+        : ""}
+
       <a href="${escapeAttr(job.url)}" target="_blank" rel="noopener" class="detail-apply">
         Apply on ${escapeHtml(job.source)} ${externalSvg}
       </a>
+
+      ${alsoListed(job).length
+        ? `<div class="also-listed">
+            <span class="also-listed-label">Also listed on</span>
+            ${alsoListed(job).map((l) => `<a href="${escapeAttr(l.url)}" target="_blank" rel="noopener">${escapeHtml(l.source)} ${externalSvg}</a>`).join("")}
+          </div>`
+        : ""}
     </div>
 
     <!-- V4.0: Find the Recruiter — LinkedIn Search -->
@@ -572,6 +1430,8 @@ function buildDetailHtml(job) {
       <div class="crm-notes-saved" id="notesSaved">Saved</div>
     </div>
 
+    ${companyMatchSection(job)}
+
     <!-- Outreach Kit -->
     <div class="outreach-kit">
       <h4>\u2728 AI Application Kit</h4>
@@ -583,7 +1443,9 @@ function buildDetailHtml(job) {
 
     <div class="detail-section">
       <h4>Job Description</h4>
-      <div class="detail-description">${job.description || "<p>No description available. Click Apply to view the full listing.</p>"}</div>
+      ${job.full_description
+        ? `<div class="detail-description detail-description-full">${escapeHtml(job.full_description)}</div>`
+        : `<div class="detail-description">${job.description || "<p>No description available. Click Apply to view the full listing.</p>"}</div>`}
     </div>`;
 }
 
@@ -642,12 +1504,19 @@ function updateResultCount() {
 function updateActiveFilters() {
   let pills = [];
   if (state.search) pills.push(pill(`"${escapeHtml(state.search)}"`, "search"));
-  if (state.remote === "true") pills.push(pill("Remote Only", "remote"));
+  if (state.place) pills.push(pill(state.place === "london" ? "London" : "Anywhere in the UK", "place"));
+  if (state.arrangement !== "all") pills.push(pill(ARRANGEMENT_LABELS[state.arrangement], "arrangement"));
+  if (state.eligibility !== "all") pills.push(pill(state.eligibility === "ukEligible" ? "Open to UK residents" : `Eligibility: ${ELIGIBILITY_LABELS[state.eligibility]}`, "eligibility"));
+  if (state.seniority !== "all") pills.push(pill(state.seniority.split(",").map((s) => SENIORITY_LABELS[s]).join(" / "), "seniority"));
+  if (state.contract !== "all") pills.push(pill(CONTRACT_LABELS[state.contract], "contract"));
+  if (state.language !== "all") pills.push(pill(`In ${LANGUAGE_LABELS[state.language]}`, "language"));
+  if (state.spokenOnly === "true") pills.push(pill("Languages I speak", "spokenOnly"));
   if (state.source !== "all") pills.push(pill(escapeHtml(state.source), "source"));
   if (state.saved === "true") pills.push(pill("Saved Only", "saved"));
   if (state.sponsorOnly === "true") pills.push(pill("Verified Sponsors", "sponsorOnly"));
   if (state.status !== "all") pills.push(pill(statusLabel(state.status), "status"));
   if (state.visaConfidence !== "all") pills.push(pill(`${visaConfidenceEmoji(state.visaConfidence)} Visa: ${visaConfidenceLabel(state.visaConfidence)}`, "visaConfidence"));
+  if (state.includeClosed === "true") pills.push(pill("Including Closed", "includeClosed"));
   $activeFilters.innerHTML = pills.join("");
 }
 
@@ -666,12 +1535,19 @@ function goToPage(page) {
 
 function clearFilter(key) {
   if (key === "search") { state.search = ""; $searchInput.value = ""; }
-  if (key === "remote") { state.remote = ""; $filterRemote.value = ""; }
+  if (key === "place") { state.place = ""; $filterPlace.value = ""; }
+  if (key === "arrangement") { state.arrangement = "all"; $filterArrangement.value = "all"; }
+  if (key === "eligibility") { state.eligibility = "all"; $filterEligibility.value = "all"; }
+  if (key === "seniority") { state.seniority = "all"; $filterSeniority.value = "all"; }
+  if (key === "contract") { state.contract = "all"; $filterContract.value = "all"; }
+  if (key === "language") { state.language = "all"; $filterLanguage.value = "all"; }
+  if (key === "spokenOnly") { state.spokenOnly = ""; $filterSpoken.checked = false; }
   if (key === "source") { state.source = "all"; $filterSource.value = "all"; }
   if (key === "saved") { state.saved = ""; $filterSaved.checked = false; }
   if (key === "sponsorOnly") { state.sponsorOnly = ""; $filterSponsor.checked = false; }
   if (key === "status") { state.status = "all"; $filterStatus.value = "all"; }
   if (key === "visaConfidence") { state.visaConfidence = "all"; $filterVisa.value = "all"; }
+  if (key === "includeClosed") { state.includeClosed = ""; $filterClosed.checked = false; }
   state.page = 1;
   fetchJobs();
 }
@@ -698,14 +1574,37 @@ $searchInput.addEventListener("input", () => {
   }, 400);
 });
 
-$filterRemote.addEventListener("change", () => { state.remote = $filterRemote.value; state.page = 1; fetchJobs(); });
+$filterPlace.addEventListener("change", () => { state.place = $filterPlace.value; state.page = 1; fetchJobs(); });
+$filterArrangement.addEventListener("change", () => { state.arrangement = $filterArrangement.value; state.page = 1; fetchJobs(); });
+$filterEligibility.addEventListener("change", () => { state.eligibility = $filterEligibility.value; state.page = 1; fetchJobs(); });
+$filterSeniority.addEventListener("change", () => { state.seniority = $filterSeniority.value; state.page = 1; fetchJobs(); });
+$filterContract.addEventListener("change", () => { state.contract = $filterContract.value; state.page = 1; fetchJobs(); });
+$filterLanguage.addEventListener("change", () => { state.language = $filterLanguage.value; state.page = 1; fetchJobs(); });
+$filterSpoken.addEventListener("change", () => { state.spokenOnly = $filterSpoken.checked ? "true" : ""; state.page = 1; fetchJobs(); });
 $filterSource.addEventListener("change", () => { state.source = $filterSource.value; state.page = 1; fetchJobs(); });
 $filterSort.addEventListener("change", () => { state.sort = $filterSort.value; state.page = 1; fetchJobs(); });
 $filterSaved.addEventListener("change", () => { state.saved = $filterSaved.checked ? "true" : ""; state.page = 1; fetchJobs(); });
 $filterSponsor.addEventListener("change", () => { state.sponsorOnly = $filterSponsor.checked ? "true" : ""; state.page = 1; fetchJobs(); });
 $filterStatus.addEventListener("change", () => { state.status = $filterStatus.value; state.page = 1; fetchJobs(); });
 $filterVisa.addEventListener("change", () => { state.visaConfidence = $filterVisa.value; state.page = 1; fetchJobs(); });
+$filterClosed.addEventListener("change", () => { state.includeClosed = $filterClosed.checked ? "true" : ""; state.page = 1; fetchJobs(); });
 $refreshBtn.addEventListener("click", triggerRefresh);
+$settingsBtn.addEventListener("click", openSettings);
+$settingsCloseBtn.addEventListener("click", closeSettings);
+$settingsModal.addEventListener("click", (e) => { if (e.target === $settingsModal) closeSettings(); });
+$quarantineBtn.addEventListener("click", openQuarantine);
+$addJobBtn.addEventListener("click", openAddJob);
+$addJobCloseBtn.addEventListener("click", () => $addJobModal.classList.remove("active"));
+$addJobModal.addEventListener("click", (e) => { if (e.target === $addJobModal) $addJobModal.classList.remove("active"); });
+$addJobForm.addEventListener("submit", submitAddJob);
+$healthBtn.addEventListener("click", openHealth);
+$healthCloseBtn.addEventListener("click", () => $healthModal.classList.remove("active"));
+$healthModal.addEventListener("click", (e) => { if (e.target === $healthModal) $healthModal.classList.remove("active"); });
+$quarantineCloseBtn.addEventListener("click", () => $quarantineModal.classList.remove("active"));
+$quarantineModal.addEventListener("click", (e) => { if (e.target === $quarantineModal) $quarantineModal.classList.remove("active"); });
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") document.querySelectorAll(".modal-overlay.active").forEach((m) => m.classList.remove("active"));
+});
 
 // Mobile sidebar toggle
 $mobileFilterBtn.addEventListener("click", () => { $sidebar.classList.toggle("open"); });
@@ -723,5 +1622,9 @@ $mobileBackBtn.addEventListener("click", () => {
 });
 
 // ---- Initialize ----
+fetchSources();
 fetchJobs();
 fetchStats();
+fetchHealth();
+fetchSponsorAlerts();
+resumeRefresh();
@@ -0,0 +1,89 @@
+// ============================================================
+// Search Query Defaults
+// The keyword searches and categories each source runs. These
+// seed the search_queries table on first start; after that the
+// lists are edited through /api/queries and the settings panel.
+//
+//   source "*"      — the shared default list
+//   source "<name>" — an override: a source with its own rows
+//                     runs only those instead of the shared list
+// ============================================================
+
+const SHARED = "*";
+
+const SHARED_QUERIES = [
+  "sustainability consultant", "esg analyst",
+  "esg consultant", "sustainability analyst",
+  "climate consulting", "environmental consultant",
+  "esg advisory", "sustainability manager",
+  "sustainability communications", "ESG communications",
+  "sustainability reporting", "CSR communications",
+  "carbon consultant", "net zero consultant",
+];
+
+// Per-source overrides, kept as each adapter ran them before the lists
+// moved into the database. `location` is optional; adapters fall back
+// to their own default (London for the UK boards).
+const SOURCE_QUERIES = {
+  Remotive: [
+    "sustainability consultant", "esg analyst",
+    "esg", "sustainability", "climate", "consulting",
+  ],
+  Adzuna: [
+    "sustainability consultant", "esg analyst",
+    "esg consultant", "sustainability analyst",
+    "esg", "climate consulting", "environmental consultant",
+    "sustainability communications", "ESG communications",
+    "sustainability reporting", "carbon consultant",
+    "CSR consultant", "net zero",
+  ],
+  Jooble: [
+    { query: "sustainability consultant", location: "London" },
+    { query: "ESG analyst", location: "London" },
+    { query: "ESG consultant", location: "London" },
+    { query: "sustainability analyst", location: "London" },
+    { query: "climate consulting", location: "London" },
+    { query: "environmental consultant", location: "London" },
+    { query: "sustainability communications", location: "London" },
+    { query: "ESG communications", location: "London" },
+    { query: "sustainability reporting", location: "London" },
+    { query: "sustainability manager", location: "United Kingdom" },
+    { query: "ESG advisory", location: "United Kingdom" },
+    { query: "CSR communications", location: "United Kingdom" },
+  ],
+  // The Muse searches by category, not keyword — it never uses the shared list
+  "The Muse": [
+    ...[
+      "Business Operations", "Science and Engineering", "Data and Analytics",
+      "Management", "Corporate", "Project Management",
+      "Communications", "Marketing and PR",
+    ].map((query) => ({ query, location: "London, United Kingdom" })),
+    ...[
+      "Business Operations", "Science and Engineering", "Management", "Communications",
+    ].map((query) => ({ query, location: "Flexible / Remote" })),
+  ],
+};
+
+/**
+ * Flatten the defaults into rows for seeding: { source, query, location, position }.
+ */
+function getDefaultQueries() {
+  const rows = [];
+  const add = (source, entries) => entries.forEach((entry, position) => {
+    const { query, location = null } = typeof entry === "string" ? { query: entry } : entry;
+    rows.push({ source, query, location, position });
+  });
+
+  add(SHARED, SHARED_QUERIES);
+  for (const [source, entries] of Object.entries(SOURCE_QUERIES)) add(source, entries);
+  return rows;
+}
+
+/**
+ * Human-readable label for a query row, used in logs and fetch_errors.
+ */
+function queryLabel(row) {
+  return row.location ? `${row.query} (${row.location})` : row.query;
+}
+
+module.exports = { SHARED, getDefaultQueries, queryLabel };
@@ -0,0 +1,57 @@
+// ============================================================
+// Shared Rate Limiter
+// Token-bucket limiter keyed by name, so every request against
+// the same upstream draws from one budget even when sources run
+// concurrently.
+// ============================================================
+
+const limiters = new Map(); // key -> limiter
+
+/**
+ * Create a token bucket that refills at requestsPerMinute and holds
+ * at most `burst` tokens. acquire() resolves when a token is available;
+ * waiters are served in call order.
+ */
+function createLimiter({ requestsPerMinute, burst = 1 }) {
+  const intervalMs = 60000 / requestsPerMinute;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) / intervalMs);
+    lastRefill = now;
+  }
+
+  function acquire() {
+    queue = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep((1 - tokens) * intervalMs);
+        refill();
+      }
+      tokens -= 1;
+    });
+    return queue;
+  }
+
+  return { acquire, requestsPerMinute, burst };
+}
+
+/**
+ * Get (or create) the shared limiter for a key. The first caller's budget
+ * wins; later callers share it.
+ */
+function getLimiter(key, budget) {
+  if (!limiters.has(key)) {
+    limiters.set(key, createLimiter(budget));
+  }
+  return limiters.get(key);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { createLimiter, getLimiter };
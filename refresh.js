@@ -0,0 +1,163 @@
+// ============================================================
+// Background Refresh Runs
+// Runs fetchAllJobs as queued background jobs instead of inside
+// an HTTP request. One run at a time: a refresh asked for while
+// another is running is queued behind it, and further requests
+// join that queued run rather than stacking up more.
+//
+// Each run keeps its progress events (source started, jobs found,
+// scoring n/m, saved) so clients can stream them over SSE and
+// late subscribers can catch up. Runs live in memory only; the
+// last MAX_RUNS are kept for status lookups.
+// ============================================================
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { fetchAllJobs } = require("./fetcher");
+
+const MAX_RUNS = 20;
+const MAX_EVENTS = 500; // per run, oldest dropped first
+
+const runs = new Map(); // id -> run, oldest first
+const queue = [];
+let current = null;
+
+/**
+ * Queue a refresh. Returns the run that will do it: the queued run if
+ * one is already waiting, otherwise a new one (started at once if
+ * nothing is running). `trigger` records what asked for it.
+ */
+function enqueueRefresh(config, { trigger = "manual" } = {}) {
+  const waiting = queue[0];
+  if (waiting) return waiting;
+
+  const run = createRun(config, trigger);
+  queue.push(run);
+  emit(run, { type: "queued", position: current ? 1 : 0 });
+  processQueue();
+  return run;
+}
+
+function createRun(config, trigger) {
+  const run = {
+    id: crypto.randomUUID(),
+    trigger,
+    status: "queued",
+    queued_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    sources: {}, // name -> { status, jobs, error }
+    scoring: null, // { done, total }
+    results: null,
+    error: null,
+    config,
+    events: [],
+    seq: 0,
+    emitter: new EventEmitter(),
+  };
+  // Settles when the run finishes, for callers that need to wait (the cron)
+  run.done = new Promise((resolve) => run.emitter.once("finished", resolve));
+
+  runs.set(run.id, run);
+  while (runs.size > MAX_RUNS) {
+    const [oldestId, oldest] = runs.entries().next().value;
+    if (oldest === current || queue.includes(oldest)) break;
+    runs.delete(oldestId);
+  }
+  return run;
+}
+
+async function processQueue() {
+  if (current || !queue.length) return;
+  const run = queue.shift();
+  current = run;
+
+  run.status = "running";
+  run.started_at = new Date().toISOString();
+  emit(run, { type: "started", trigger: run.trigger });
+
+  try {
+    run.results = await fetchAllJobs(run.config, {
+      runId: run.id,
+      trigger: run.trigger,
+      onProgress: (event) => emit(run, event),
+    });
+    run.status = "done";
+    emit(run, { type: "done", results: run.results });
+  } catch (err) {
+    console.error(`  [Refresh] Run ${run.id} failed:`, err);
+    run.status = "failed";
+    run.error = err.message;
+    emit(run, { type: "failed", error: err.message });
+  } finally {
+    run.finished_at = new Date().toISOString();
+    current = null;
+    run.emitter.emit("finished", run);
+    run.emitter.removeAllListeners("event");
+    processQueue();
+  }
+}
+
+/**
+ * Record a progress event on a run, fold it into the run's summary,
+ * and pass it to live subscribers.
+ */
+function emit(run, event) {
+  const entry = { id: ++run.seq, at: new Date().toISOString(), ...event };
+  // Only the latest scoring count is worth replaying
+  const last = run.events[run.events.length - 1];
+  if (event.type === "scoring" && last && last.type === "scoring") run.events.pop();
+  run.events.push(entry);
+  if (run.events.length > MAX_EVENTS) run.events.shift();
+
+  if (event.type === "source") {
+    run.sources[event.source] = {
+      status: event.status,
+      jobs: event.jobs ?? null,
+      error: event.error || event.reason || null,
+    };
+  } else if (event.type === "scoring") {
+    run.scoring = { done: event.done, total: event.total };
+  }
+
+  run.emitter.emit("event", entry);
+}
+
+/**
+ * Follow a run's events. `listener` is called with every event after
+ * `afterId` (0 = from the start), then with each new one until the run
+ * finishes. Returns an unsubscribe function.
+ */
+function subscribe(run, listener, afterId = 0) {
+  for (const event of run.events) {
+    if (event.id > afterId) listener(event);
+  }
+  if (isFinished(run)) return () => {};
+  run.emitter.on("event", listener);
+  return () => run.emitter.off("event", listener);
+}
+
+function isFinished(run) {
+  return run.status === "done" || run.status === "failed";
+}
+
+function getRun(id) {
+  return runs.get(id) || null;
+}
+
+/**
+ * Public view of a run (no config, emitter or event log).
+ */
+function describeRun(run) {
+  const { id, trigger, status, queued_at, started_at, finished_at, sources, scoring, results, error } = run;
+  return { id, trigger, status, queued_at, started_at, finished_at, sources, scoring, results, error };
+}
+
+/**
+ * The running run, the queued one and recent finished runs, newest first.
+ */
+function listRuns() {
+  return [...runs.values()].reverse().map(describeRun);
+}
+
+module.exports = { enqueueRefresh, subscribe, getRun, describeRun, listRuns, isFinished };
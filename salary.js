@@ -0,0 +1,270 @@
+// ============================================================
+// Salary Parsing
+// Turns a free-text salary ("£45k - £55k", "£450 per day",
+// "$60-70/hr", "£40,000 pro rata, 3 days per week", "£42,000
+// (FTE £60,000)", and the German, French and Dutch forms "50.000 €
+// pro Jahr", "45 000 € par an", "€ 3.500 per maand") into a
+// structured range:
+//
+//   min, max      — as stated, in the listing's currency and period
+//   currency      — ISO code (GBP, USD, EUR, ...)
+//   period        — year, month, week, day or hour
+//   fte           — fraction of full time for pro-rata roles
+//                   (null when full time or the hours aren't stated)
+//   confidence    — high (currency and period stated), medium
+//                   (one inferred), low (both inferred)
+//   annual_min/annual_max — annualised and converted to GBP
+//
+// Day and hourly rates are annualised with configurable working-
+// time assumptions; currencies convert via the fx_rates table. An
+// amount with no period word counts as a salary only when it's
+// large enough to be annual: "£1,000 bonus" and "£500 relocation"
+// aren't day rates.
+// ============================================================
+
+const db = require("./db");
+const { createSourceFetch } = require("./http");
+
+// Working-time assumptions for annualising non-annual pay
+const DAYS_PER_YEAR = parseFloat(process.env.SALARY_DAYS_PER_YEAR) || 230; // 46 weeks × 5 days
+const HOURS_PER_DAY = parseFloat(process.env.SALARY_HOURS_PER_DAY) || 7.5;
+const WEEKS_PER_YEAR = parseFloat(process.env.SALARY_WEEKS_PER_YEAR) || 52;
+const FULL_TIME_DAYS = 5;
+const FULL_TIME_HOURS = FULL_TIME_DAYS * HOURS_PER_DAY;
+
+const PERIOD_MULTIPLIERS = {
+  year: 1,
+  month: 12,
+  week: WEEKS_PER_YEAR,
+  day: DAYS_PER_YEAR,
+  hour: DAYS_PER_YEAR * HOURS_PER_DAY,
+};
+
+// Plausible annual GBP salaries; anything outside is a misparse
+const MIN_ANNUAL = 5000;
+const MAX_ANNUAL = 1000000;
+
+const CURRENCY_PATTERNS = [
+  ["GBP", /£|\bgbp\b/],
+  ["EUR", /€|\beur\b|\beuros?\b/],
+  ["USD", /\$|\busd\b/],
+  ["CAD", /\bcad\b/],
+  ["AUD", /\baud\b/],
+  ["CHF", /\bchf\b/],
+  ["SEK", /\bsek\b/],
+  ["NOK", /\bnok\b/],
+  ["DKK", /\bdkk\b/],
+  ["SGD", /\bsgd\b/],
+  ["INR", /\binr\b|₹/],
+];
+
+const PERIOD_PATTERNS = [
+  ["hour", /\b(per|an|a|\/)\s*(hour|hr)\b|\bhourly\b|\bp\/?h\b|\bpro stunde\b|\bstündlich\b|\/\s*(std|h|heure|uur)\b|\bpar heure\b|\bper uur\b/],
+  ["day", /\b(per|a|\/)\s*day\b|\/\s*day\b|\bdaily\b|\bday rate\b|\bp\/?d\b|\bpro tag\b|\btagessatz\b|\bpar jour\b|\/\s*(d|tag|jour|dag)\b|\bper dag\b|\bdagtarief\b/],
+  ["week", /\b(per|a|\/)\s*week\b|\/\s*week\b|\bweekly\b|\bp\/?w\b|\bpro woche\b|\bpar semaine\b/],
+  ["month", /\b(per|a|\/)\s*month\b|\/\s*month\b|\bmonthly\b|\bpcm\b|\bpro monat\b|\bmonatlich\b|monatsgehalt\b|\bpar mois\b|\bmensuel(le)?\b|\bper maand\b|\/\s*(monat|mois|maand)\b|\bmaandelijks\b|\bmaandsalaris\b/],
+  ["year", /\b(per|a|\/)\s*(annum|year|yr)\b|\/\s*(annum|year|yr)\b|\bp\.?a\.?(?![a-z])|\bannual(ly)?\b|\bpro jahr\b|\bjährlich\b|jahresgehalt\b|\bpar an\b|\bannuel(le)?\b|\bper jaar\b|\/\s*(jahr|an|jaar)\b|\bjaarlijks\b|\bjaarsalaris\b/],
+];
+
+// A full-time-equivalent amount: "FTE £60,000", "full-time equivalent of £60k", "£60k FTE"
+const FTE_AMOUNT = /\b(?:fte|full[\s-]?time equivalent)(?:\s+(?:of|salary))?[\s:]*(?:£|€|\$|gbp|eur|usd)?\s*(\d+(?:\.\d+)?)\s*(k\b)?|(?:£|€|\$)\s*(\d+(?:\.\d+)?)\s*(k\b)?\s*(?:fte|full[\s-]?time equivalent)\b/;
+
+// Built-in rates (GBP per unit) used until the table is refreshed
+const DEFAULT_FX_RATES = {
+  GBP: 1, USD: 0.79, EUR: 0.85, CAD: 0.58, AUD: 0.52, CHF: 0.9,
+  SEK: 0.073, NOK: 0.072, DKK: 0.114, SGD: 0.59, INR: 0.0095,
+};
+
+let fxRates = null; // currency -> GBP per unit, loaded from the fx_rates table
+
+/**
+ * Parse a salary string. Returns null when it holds no usable amount.
+ */
+function parseSalary(salaryStr) {
+  if (!salaryStr) return null;
+  const text = String(salaryStr).toLowerCase()
+    .replace(/(\d),(\d{3})/g, "$1$2")
+    // European thousands separators ("50.000", "45 000") and decimal commas ("12,50")
+    .replace(/(?<=\d)[.\s\u00a0\u202f'’](?=\d{3}(?!\d))/g, "")
+    .replace(/(\d),(\d{1,2})(?!\d)/g, "$1.$2")
+    .replace(/[–—]/g, "-");
+
+  // --- Currency ---
+  const currencyMatch = CURRENCY_PATTERNS.find(([, pattern]) => pattern.test(text));
+  const currency = currencyMatch ? currencyMatch[0] : "GBP";
+
+  // --- Amounts ---
+  // "£42,000 (FTE £60,000)": the FTE figure is the full-time rate and the
+  // other is the actual pay, so it sets the FTE fraction, not the range
+  let fteRate = null;
+  let fteQuoted = false; // an FTE figure means the role is pro rata
+  let amountText = text;
+  const fteMatch = text.match(FTE_AMOUNT);
+  if (fteMatch) {
+    const value = parseFloat(fteMatch[1] || fteMatch[3]) * ((fteMatch[2] || fteMatch[4]) ? 1000 : 1);
+    const rest = text.replace(fteMatch[0], " ");
+    const otherPay = /\d/.test(rest.replace(/\d+(?:\.\d+)?\s*(?:days?|hours?|hrs?)\b/g, ""));
+    fteQuoted = value >= 1000;
+    if (fteQuoted && otherPay) {
+      fteRate = value;
+      amountText = rest;
+    } else if (fteQuoted) {
+      // Only the FTE figure is given, so it's the stated salary
+      amountText = text.replace(fteMatch[0], ` ${value} `);
+    }
+  }
+
+  // Numbers describing working time ("3 days per week", "37.5 hours") aren't pay
+  const amounts = [];
+  for (const match of amountText.matchAll(/(\d+(?:\.\d+)?)\s*(k\b|m\b)?(?!\s*(?:days?|hours?|hrs?|%|fte|weeks?|months?)\b)(?![\d.])/g)) {
+    let value = parseFloat(match[1]);
+    if (match[2] === "k") value *= 1000;
+    if (match[2] === "m") value *= 1000000;
+    if (value > 0) amounts.push({ value, suffix: match[2] || null });
+  }
+  if (!amounts.length) return null;
+
+  let [low, high = low] = amounts.map((a) => a.value);
+  // "45-55k": the suffix on the upper bound applies to both
+  if (amounts[1] && amounts[1].suffix === "k" && !amounts[0].suffix && low < 1000) low *= 1000;
+  if (high < low) high = low; // Reed sends "£45,000 - £0" when there's no maximum
+
+  // State the full-time rate, with the actual pay as its fraction
+  let fteFromRate = null;
+  if (fteRate && low < fteRate) {
+    fteFromRate = Math.round((low / fteRate) * 100) / 100;
+    high = amounts.length > 1 ? Math.round(high * fteRate / low) : fteRate;
+    low = fteRate;
+  }
+
+  // --- Period ---
+  // "3 days per week" is working time, not the pay period
+  const payText = text.replace(/\d+(?:\.\d+)?\s*(?:days?|hours?|hrs?)\s*(?:per|a|\/)\s*week/g, " ");
+  const periodMatch = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(payText));
+  const period = periodMatch ? periodMatch[0] : inferPeriod(low);
+  if (!period) return null;
+
+  // A ceiling guarantees nothing; a floor has no known top
+  if (/\bup to\b|\bbis zu\b|\bjusqu['’ ]?(à|a)\s|\bmaximaal\b/.test(text) && amounts.length === 1) low = null;
+  else if (/\b(from|starting( at)?|min(imum)?|ab|vanaf)\b|à partir de/.test(text) && amounts.length === 1) high = null;
+
+  // --- Pro rata ---
+  let fte = null;
+  const proRata = fteQuoted || /\bpro[\s-]?rata\b|\bpart[\s-]?time\b/.test(text);
+  if (fteFromRate !== null) {
+    fte = fteFromRate;
+  } else if (proRata) {
+    const days = text.match(/(\d(?:\.\d)?)\s*days?\s*(?:per|a|\/)\s*week/);
+    const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\s*(?:per|a|\/)\s*week/);
+    const ratio = text.match(/(0?\.\d+)\s*fte/);
+    if (days) fte = parseFloat(days[1]) / FULL_TIME_DAYS;
+    else if (hours) fte = parseFloat(hours[1]) / FULL_TIME_HOURS;
+    else if (ratio) fte = parseFloat(ratio[1]);
+    if (fte !== null) fte = Math.min(Math.round(fte * 100) / 100, 1);
+  }
+
+  // Pro rata with unknown hours: the actual pay could be anything below the stated rate
+  const confidence = proRata && fte === null ? "low"
+    : currencyMatch && periodMatch ? "high"
+    : currencyMatch || periodMatch ? "medium"
+    : "low";
+
+  const annualise = (value) => {
+    const rate = getFxRate(currency);
+    if (value === null || !rate) return null;
+    const annual = Math.round(value * PERIOD_MULTIPLIERS[period] * (fte || 1) * rate);
+    return annual >= MIN_ANNUAL && annual <= MAX_ANNUAL ? annual : null;
+  };
+
+  return {
+    min: low,
+    max: high,
+    currency,
+    period,
+    fte,
+    pro_rata: proRata,
+    confidence,
+    annual_min: annualise(low),
+    annual_max: annualise(high),
+  };
+}
+
+/**
+ * Guess the period of an unlabelled amount. Only annual salaries are
+ * guessed: a day or hourly rate always says so ("p/d", "per hour"), and
+ * a smaller bare figure is more often a bonus or allowance.
+ */
+function inferPeriod(amount) {
+  return amount >= 10000 ? "year" : null;
+}
+
+/**
+ * Short human-readable form of a parsed salary, e.g. "£450/day ≈ £103,500/yr".
+ */
+function describeSalary(parsed) {
+  if (!parsed) return null;
+  const symbol = { GBP: "£", USD: "$", EUR: "€" }[parsed.currency] || `${parsed.currency} `;
+  const amount = (n) => `${symbol}${Math.round(n).toLocaleString("en-GB")}`;
+  const stated = parsed.min === null ? `up to ${amount(parsed.max)}`
+    : parsed.max === null ? `from ${amount(parsed.min)}`
+    : parsed.min === parsed.max ? amount(parsed.min)
+    : `${amount(parsed.min)}–${amount(parsed.max)}`;
+  const unit = { year: "yr", month: "month", week: "week", day: "day", hour: "hr" }[parsed.period];
+  let text = `${stated}/${unit}`;
+  if (parsed.fte) text += ` pro rata (${Math.round(parsed.fte * 100)}% FTE)`;
+  else if (parsed.pro_rata) text += " pro rata";
+  const annual = [parsed.annual_min, parsed.annual_max].filter(Boolean);
+  if (annual.length && (parsed.period !== "year" || parsed.currency !== "GBP" || parsed.fte)) {
+    text += ` ≈ ${[...new Set(annual)].map((n) => `£${n.toLocaleString("en-GB")}`).join("–")}/yr`;
+  }
+  return text;
+}
+
+// ---------------------------------------------------------------------------
+// FX rates
+// ---------------------------------------------------------------------------
+
+/**
+ * Reload the FX table from the database. Called once per scoring batch
+ * so rate updates take effect on the next fetch.
+ */
+function loadFxRates() {
+  fxRates = db.getFxRates();
+  // First run: seed the table with the built-in rates
+  if (!Object.keys(fxRates).length) {
+    db.setFxRates(DEFAULT_FX_RATES, "default");
+    fxRates = db.getFxRates();
+  }
+  return fxRates;
+}
+
+function getFxRate(currency) {
+  if (currency === "GBP") return 1;
+  if (!fxRates) loadFxRates();
+  return fxRates[currency] || null;
+}
+
+const FX_API_URL = process.env.FX_API_URL || "https://api.frankfurter.app/latest?from=GBP";
+const fxFetch = createSourceFetch("FX", { requestsPerMinute: 10, burst: 1 });
+
+/**
+ * Update the FX table from the rates API (units of each currency per £1).
+ * Currencies the API doesn't return keep their current rate.
+ * Returns the number of rates updated.
+ */
+async function refreshFxRates() {
+  const res = await fxFetch(FX_API_URL);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await res.json();
+
+  const updates = {};
+  for (const [currency, perPound] of Object.entries(data.rates || {})) {
+    if (perPound > 0) updates[currency.toUpperCase()] = 1 / perPound;
+  }
+  db.setFxRates(updates, "api");
+  loadFxRates();
+  console.log(`  [FX] Updated ${Object.keys(updates).length} exchange rates`);
+  return Object.keys(updates).length;
+}
+
+module.exports = { parseSalary, describeSalary, loadFxRates, refreshFxRates, DEFAULT_FX_RATES };
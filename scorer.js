@@ -14,6 +14,17 @@
 // ============================================================
 
 const fetch = require("node-fetch");
+const { deepTerms } = require("./taxonomy");
+const { UK_ELIGIBLE, ELIGIBILITY_LABELS } = require("./location");
+const { parseSalary, describeSalary, loadFxRates } = require("./salary");
+const { SENIORITY_LEVELS, SENIORITY_LABELS, CONTRACT_LABELS } = require("./classify");
+const { englishTitle, LANGUAGE_LABELS, CANDIDATE_LANGUAGES } = require("./language");
+
+// Seniority levels Alexis is targeting; each level outside the band costs
+// SENIORITY_PENALTY points (so a director role two steps above loses 2×)
+const TARGET_SENIORITY = (process.env.TARGET_SENIORITY || "associate,mid,senior")
+  .split(",").map((s) => s.trim()).filter((s) => SENIORITY_LEVELS.includes(s));
+const SENIORITY_PENALTY = parseInt(process.env.SENIORITY_PENALTY) || 10;
 
 // ---------------------------------------------------------------------------
 // 2026 Skilled Worker Visa — Salary Thresholds
@@ -62,71 +73,13 @@ const SOC_TITLE_MAP = [
   { pattern: /advisory/i, soc: "2431", label: "Management consultants" },
 ];
 
-// ---------------------------------------------------------------------------
-// Salary parsing — extract numeric GBP annual figure from free-text strings
-// ---------------------------------------------------------------------------
-function parseSalary(salaryStr) {
-  if (!salaryStr) return null;
-  const text = salaryStr.replace(/,/g, "").toLowerCase();
-
-  // Try to find GBP amounts: £60,000, £45k, GBP 50000
-  const gbpMatch = text.match(/[£](\d+(?:\.\d+)?)\s*k?\b/g)
-    || text.match(/gbp\s*(\d+(?:\.\d+)?)\s*k?\b/gi);
-
-  if (gbpMatch) {
-    const nums = gbpMatch.map(m => {
-      const cleaned = m.replace(/[£gbp\s]/gi, "");
-      let val = parseFloat(cleaned);
-      if (val < 500) val *= 1000; // "45k" → 45000
-      return val;
-    }).filter(n => n > 0);
-
-    if (nums.length >= 2) return Math.round((nums[0] + nums[1]) / 2); // midpoint
-    if (nums.length === 1) return Math.round(nums[0]);
-  }
-
-  // Try USD / EUR amounts and rough-convert
-  const usdMatch = text.match(/(?:usd|\$)\s*(\d+(?:\.\d+)?)\s*k?\b/gi);
-  if (usdMatch) {
-    const nums = usdMatch.map(m => {
-      const cleaned = m.replace(/[usd$\s]/gi, "");
-      let val = parseFloat(cleaned);
-      if (val < 500) val *= 1000;
-      return val * 0.79; // rough USD→GBP
-    }).filter(n => n > 0);
-    if (nums.length >= 2) return Math.round((nums[0] + nums[1]) / 2);
-    if (nums.length === 1) return Math.round(nums[0]);
-  }
-
-  const eurMatch = text.match(/(?:eur|€)\s*(\d+(?:\.\d+)?)\s*k?\b/gi);
-  if (eurMatch) {
-    const nums = eurMatch.map(m => {
-      const cleaned = m.replace(/[eur€\s]/gi, "");
-      let val = parseFloat(cleaned);
-      if (val < 500) val *= 1000;
-      return val * 0.85; // rough EUR→GBP
-    }).filter(n => n > 0);
-    if (nums.length >= 2) return Math.round((nums[0] + nums[1]) / 2);
-    if (nums.length === 1) return Math.round(nums[0]);
-  }
-
-  // Bare number fallback
-  const bareMatch = text.match(/(\d{4,6})/g);
-  if (bareMatch) {
-    const nums = bareMatch.map(Number).filter(n => n >= 15000 && n <= 300000);
-    if (nums.length >= 2) return Math.round((nums[0] + nums[nums.length - 1]) / 2);
-    if (nums.length === 1) return nums[0];
-  }
-
-  return null;
-}
-
 // ---------------------------------------------------------------------------
 // SOC code inference from job title
 // ---------------------------------------------------------------------------
 function inferSOCCode(title) {
+  const text = englishTitle(title);
   for (const { pattern, soc, label } of SOC_TITLE_MAP) {
-    if (pattern.test(title)) {
+    if (pattern.test(text)) {
       return { soc, label };
     }
   }
@@ -137,34 +90,84 @@ function inferSOCCode(title) {
 // Visa Confidence calculation
 //  🟢 green  = Verified Sponsor + salary ≥ going rate (or ≥ £42k if no SOC)
 //  🟡 yellow = Verified Sponsor but salary unknown or below threshold
-//  🔴 red    = Not on sponsor register
+//  🔴 red    = Not on sponsor register, or licensed only for other routes
+// The salary tested is the guaranteed minimum of the range (salary_num),
+// annualised in GBP — that's what the sponsor must actually pay.
 // ---------------------------------------------------------------------------
+
+// The licence route a sponsor needs to sponsor a Skilled Worker visa
+const SKILLED_WORKER_ROUTE = "Skilled Worker";
+
+/**
+ * A sponsor's licence routes from a job: sponsor_routes is JSON once
+ * stored, an array straight from sponsor.checkSponsor(). Null when the
+ * routes weren't recorded (jobs checked before they were).
+ */
+function sponsorRoutes(job) {
+  let routes = job.sponsor_routes;
+  if (typeof routes === "string") {
+    try {
+      routes = JSON.parse(routes);
+    } catch {
+      return null;
+    }
+  }
+  return Array.isArray(routes) && routes.length ? routes : null;
+}
+
+/**
+ * Whether the sponsor's licence covers the Skilled Worker route; null
+ * when its routes are unknown.
+ */
+function holdsSkilledWorkerRoute(routes) {
+  if (!routes) return null;
+  return routes.some((r) => r.trim().toLowerCase() === SKILLED_WORKER_ROUTE.toLowerCase());
+}
+
 function computeVisaConfidence(job) {
   const isVerified = job.verified_sponsor === 1;
-  const salaryNum = job.salary_num || parseSalary(job.salary);
+  const parsed = job.salary_num === undefined ? parseSalary(job.salary) : null;
+  const salaryNum = parsed ? parsed.annual_min : job.salary_num;
 
   if (!isVerified) {
     return { confidence: "red", reason: "Company not found on Home Office Register of Licensed Sponsors" };
   }
 
+  // On the register, but an employer licensed only for (say) Seasonal or
+  // Creative Worker can't sponsor a Skilled Worker visa
+  const routes = sponsorRoutes(job);
+  if (holdsSkilledWorkerRoute(routes) === false) {
+    return { confidence: "red", reason: `Licensed sponsor, but only for ${routes.join(", ")} — no ${SKILLED_WORKER_ROUTE} licence` };
+  }
+
+  // A B-rated sponsor is on a Home Office action plan and can't assign new
+  // certificates of sponsorship until it's back to an A rating, so the
+  // best it gets is yellow
+  const bRated = job.sponsor_rating === "B";
+  const sponsorLabel = bRated ? "B-rated sponsor (on a Home Office action plan)" : "Verified sponsor";
+
   // Verified sponsor — check salary
   const socInfo = job.soc_code ? SOC_GOING_RATES[job.soc_code] : null;
   const threshold = socInfo ? Math.max(socInfo.newEntrant, GENERAL_THRESHOLD) : GENERAL_THRESHOLD;
 
   if (!salaryNum) {
-    return { confidence: "yellow", reason: `Verified sponsor but salary undisclosed — confirm ≥ £${threshold.toLocaleString()} threshold` };
+    const why = job.salary ? "no guaranteed minimum in the advertised salary" : "salary undisclosed";
+    return { confidence: "yellow", reason: `${sponsorLabel} but ${why} — confirm ≥ £${threshold.toLocaleString()} threshold` };
   }
 
   if (salaryNum >= threshold) {
     const label = socInfo ? `SOC ${job.soc_code} (${socInfo.title})` : "general threshold";
-    return { confidence: "green", reason: `Verified sponsor + salary £${salaryNum.toLocaleString()} meets ${label} minimum of £${threshold.toLocaleString()}` };
+    if (bRated) {
+      return { confidence: "yellow", reason: `${sponsorLabel}: minimum salary £${salaryNum.toLocaleString()} meets the ${label} minimum, but it can't sponsor new hires until it's A-rated again` };
+    }
+    return { confidence: "green", reason: `Verified sponsor + minimum salary £${salaryNum.toLocaleString()} meets ${label} minimum of £${threshold.toLocaleString()}` };
   }
 
   // Below threshold
   const shortfall = threshold - salaryNum;
   return {
     confidence: "yellow",
-    reason: `Verified sponsor but salary £${salaryNum.toLocaleString()} is £${shortfall.toLocaleString()} below the £${threshold.toLocaleString()} threshold — may qualify as new entrant (lower rate: £${socInfo ? socInfo.newEntrant.toLocaleString() : "varies"})`,
+    reason: `${sponsorLabel} but minimum salary £${salaryNum.toLocaleString()} is £${shortfall.toLocaleString()} below the £${threshold.toLocaleString()} threshold — may qualify as new entrant (lower rate: £${socInfo ? socInfo.newEntrant.toLocaleString() : "varies"})`,
   };
 }
 
@@ -236,25 +239,15 @@ const ROLE_PRIORITY_TERMS = [
   { pattern: /communicat/i, weight: 0, label: "_communications" },
 ];
 
-const ESG_DEEP_TERMS = [
-  "tcfd", "sfdr", "csrd", "gri", "scope 1", "scope 2", "scope 3",
-  "double materiality", "taxonomy", "sdg", "green bond",
-  "decarbonisation", "decarbonization", "circular economy",
-  "energy transition", "biodiversity", "stakeholder engagement",
-  "responsible investment", "impact investing",
-  // Communications & reporting deep terms
-  "sustainability report", "non-financial reporting", "integrated reporting",
-  "esg disclosure", "sustainability disclosure", "materiality assessment",
-  "corporate communications", "sustainability communications",
-  "science-based targets", "sbti", "net zero commitment",
-  "just transition", "climate adaptation", "nature-based",
-];
+// ESG depth terms come from the shared taxonomy (taxonomy.json)
 
 const VISA_SIGNAL_TERMS = [
   "visa sponsor", "sponsorship", "skilled worker visa",
   "right to work", "will sponsor", "visa support",
   "relocation support", "relocation package", "international candidates",
   "work permit",
+  // German, French and Dutch
+  "visumsunterstützung", "arbeitserlaubnis", "parrainage de visa", "permis de travail", "werkvergunning",
 ];
 
 // ---------------------------------------------------------------------------
@@ -264,15 +257,16 @@ function computeHeuristicScore(job) {
   let score = 0;
   let reasons = [];
 
-  const titleLower = (job.title || "").toLowerCase();
-  const descLower = stripHtml(job.description || "").toLowerCase();
+  // German, French and Dutch role words read as their English equivalents
+  const titleLower = englishTitle(job.title);
+  const descLower = stripHtml(job.full_description || job.description || "").toLowerCase();
   const allText = `${titleLower} ${descLower}`;
 
   // 1. Role priority match (0-30 points)
   let rolePts = 0;
   let roleLabel = "";
   for (const term of ROLE_PRIORITY_TERMS) {
-    if (term.pattern.test(job.title || "")) {
+    if (term.pattern.test(titleLower)) {
       if (term.weight > rolePts) {
         rolePts = term.weight;
         roleLabel = term.label;
@@ -283,15 +277,8 @@ function computeHeuristicScore(job) {
   if (roleLabel && !roleLabel.startsWith("_")) reasons.push(`Title matches "${roleLabel}"`);
 
   // 2. ESG depth in description (0-25 points)
-  let esgDepthPts = 0;
-  const esgHits = [];
-  for (const term of ESG_DEEP_TERMS) {
-    if (allText.includes(term)) {
-      esgDepthPts += 3;
-      esgHits.push(term.toUpperCase());
-    }
-  }
-  esgDepthPts = Math.min(esgDepthPts, 25);
+  const esgHits = deepTerms(allText).map((term) => term.toUpperCase());
+  const esgDepthPts = Math.min(esgHits.length * 3, 25);
   score += esgDepthPts;
   const hasESGContext = esgHits.length > 0 || rolePts >= 10;
   if (esgHits.length > 0) reasons.push(`References ${esgHits.slice(0, 3).join(", ")}`);
@@ -307,19 +294,23 @@ function computeHeuristicScore(job) {
 
   // 3. Consulting/advisory/communications bonus — ONLY with ESG context (0-8 points)
   if (hasESGContext) {
-    if (/consult|advisory|advisor/i.test(job.title || "")) {
+    if (/consult|advisory|advisor/i.test(titleLower)) {
       score += 8;
       if (roleLabel && roleLabel.startsWith("_")) reasons.push("Consulting/advisory role with ESG context");
     }
-    if (/communicat|report|disclosure/i.test(job.title || "")) {
+    if (/communicat|report|disclosure/i.test(titleLower)) {
       score += 6;
       if (roleLabel && roleLabel.startsWith("_")) reasons.push("Communications/reporting role with ESG context");
     }
   }
 
   // 4. Verified sponsor — scaled by ESG relevance (0-20 points)
-  // Full bonus only for ESG roles; reduced for non-ESG roles at sponsors
-  if (job.verified_sponsor === 1) {
+  // Full bonus only for ESG roles; reduced for non-ESG roles at sponsors.
+  // A licence without the Skilled Worker route earns nothing.
+  const skilledWorker = holdsSkilledWorkerRoute(sponsorRoutes(job));
+  if (job.verified_sponsor === 1 && skilledWorker === false) {
+    reasons.push(`Licensed sponsor, but not for ${SKILLED_WORKER_ROUTE}`);
+  } else if (job.verified_sponsor === 1) {
     const sponsorBonus = hasESGContext ? 20 : 5;
     score += sponsorBonus;
     reasons.push("Verified UK visa sponsor");
@@ -342,17 +333,21 @@ function computeHeuristicScore(job) {
     reasons.push("Description mentions visa/sponsorship support");
   }
 
-  // 6. London location bonus (0-10 points)
-  const locLower = (job.location || "").toLowerCase();
-  if (locLower.includes("london")) {
+  // 6. Location bonus (0-10 points), from the parsed location (location.js)
+  if (job.city === "London") {
     score += 10;
-    reasons.push("Based in London");
-  } else if (locLower.includes("uk") || locLower.includes("united kingdom")) {
+    reasons.push(job.work_arrangement === "hybrid"
+      ? `London hybrid${job.hybrid_days ? ` (${job.hybrid_days} days in office)` : ""}`
+      : "Based in London");
+  } else if (job.eligibility === "uk") {
     score += 7;
-    reasons.push("Based in UK");
-  } else if (job.remote === 1) {
+    reasons.push(job.work_arrangement === "remote" ? "Remote within the UK" : "Based in UK");
+  } else if (job.work_arrangement === "remote" && UK_ELIGIBLE.includes(job.eligibility)) {
     score += 5;
-    reasons.push("Remote-friendly");
+    reasons.push(`Remote, open to UK residents (${ELIGIBILITY_LABELS[job.eligibility]})`);
+  } else if (job.work_arrangement === "remote" && !job.eligibility) {
+    score += 2;
+    reasons.push("Remote (eligibility not stated)");
   }
 
   // 7. Salary transparency bonus (0-5 points)
@@ -361,7 +356,14 @@ function computeHeuristicScore(job) {
     reasons.push("Salary disclosed");
   }
 
-  // 8. Penalty: non-ESG role → reduce score significantly
+  // 8. Penalty: seniority outside the target band (0-20 points)
+  const levelGap = seniorityGap(job.seniority);
+  if (levelGap > 0) {
+    score = Math.max(score - Math.min(levelGap, 2) * SENIORITY_PENALTY, 0);
+    reasons.push(`${SENIORITY_LABELS[job.seniority]} level is outside the target band`);
+  }
+
+  // 9. Penalty: non-ESG role → reduce score significantly
   if (!hasESGContext && rolePts === 0) {
     score = Math.max(score - 15, 0);
     reasons.push("No clear ESG relevance in title or description");
@@ -373,6 +375,37 @@ function computeHeuristicScore(job) {
   return { score, reasons };
 }
 
+function describeLanguages(codes) {
+  return (codes || "").split(",").filter(Boolean).map((code) => LANGUAGE_LABELS[code]).join(", ") || "None stated";
+}
+
+/**
+ * Number of levels between a job's seniority and the nearest end of the
+ * target band; 0 inside the band or when the level is unknown.
+ */
+function seniorityGap(seniority) {
+  const level = SENIORITY_LEVELS.indexOf(seniority);
+  if (level === -1 || !TARGET_SENIORITY.length) return 0;
+  const targets = TARGET_SENIORITY.map((s) => SENIORITY_LEVELS.indexOf(s));
+  return Math.min(...targets.map((t) => Math.abs(level - t)));
+}
+
+/**
+ * The prompt's line on levels outside the target band, e.g. "Score lower
+ * if the seniority is outside the target levels — entry level and director
+ * roles are out of reach." Empty when every level is a target.
+ */
+function seniorityGuidance() {
+  if (!TARGET_SENIORITY.length) return "";
+  const targets = TARGET_SENIORITY.map((s) => SENIORITY_LEVELS.indexOf(s));
+  const outside = SENIORITY_LEVELS
+    .filter((_, i) => i < Math.min(...targets) || i > Math.max(...targets))
+    .map((level) => SENIORITY_LABELS[level].toLowerCase());
+  if (!outside.length) return "";
+  const levels = outside.length > 1 ? `${outside.slice(0, -1).join(", ")} and ${outside[outside.length - 1]}` : outside[0];
+  return `Score lower if the seniority is outside the target levels — ${levels} roles are out of reach.\n`;
+}
+
 /**
  * Generate a 2-sentence AI summary using the heuristic reasons.
  */
@@ -404,6 +437,8 @@ function generateHeuristicSummary(job, score, reasons) {
   let sentence2 = "";
   if (reasons.some(r => r.includes("Verified UK visa sponsor"))) {
     sentence2 = `${company} is a verified UK visa sponsor on the Home Office register, making visa support highly likely.`;
+  } else if (reasons.some(r => r.startsWith("Licensed sponsor, but not for"))) {
+    sentence2 = `${company} holds a sponsor licence, but not for the ${SKILLED_WORKER_ROUTE} route — it can't sponsor ${name}'s visa unless it adds that route.`;
   } else if (reasons.some(r => r.includes("visa") || r.includes("sponsorship") || r.includes("Visa"))) {
     sentence2 = `The listing signals visa sponsorship availability, which is encouraging for US citizens seeking London relocation.`;
   } else if (job.remote === 1) {
@@ -419,10 +454,10 @@ function generateHeuristicSummary(job, score, reasons) {
 // Claude API scorer (when ANTHROPIC_API_KEY is set)
 // ---------------------------------------------------------------------------
 async function computeAIScore(job, apiKey) {
-  const plainDesc = stripHtml(job.description || "").slice(0, 3000);
+  const plainDesc = stripHtml(job.full_description || job.description || "").slice(0, 3000);
   const socInfo = job.soc_code ? SOC_GOING_RATES[job.soc_code] : null;
   const salaryInfo = job.salary_num
-    ? `£${job.salary_num.toLocaleString()} (threshold: £${socInfo ? Math.max(socInfo.newEntrant, GENERAL_THRESHOLD).toLocaleString() : GENERAL_THRESHOLD.toLocaleString()})`
+    ? `${job.salary_summary || job.salary} — guaranteed minimum £${job.salary_num.toLocaleString()}/yr (threshold: £${socInfo ? Math.max(socInfo.newEntrant, GENERAL_THRESHOLD).toLocaleString() : GENERAL_THRESHOLD.toLocaleString()})`
     : "Not disclosed";
 
   const prompt = `You are scoring a job listing for Alexis, a US citizen with experience in ESG consulting, sustainability communications, and stakeholder engagement who wants to relocate to London on a Skilled Worker visa.
@@ -430,8 +465,12 @@ async function computeAIScore(job, apiKey) {
 Job Title: ${job.title}
 Company: ${job.company}
 Location: ${job.location}
-Remote: ${job.remote ? "Yes" : "No"}
-Verified UK Visa Sponsor: ${job.verified_sponsor ? "Yes" : "No"}
+Work arrangement: ${job.work_arrangement || "Not stated"}${job.hybrid_days ? ` (${job.hybrid_days} days in office)` : ""}
+Open to candidates in: ${job.eligibility ? ELIGIBILITY_LABELS[job.eligibility] : "Not stated"}
+Seniority: ${job.seniority ? SENIORITY_LABELS[job.seniority] : "Not stated"} (target: ${TARGET_SENIORITY.map((s) => SENIORITY_LABELS[s]).join(", ") || "any"})
+Contract: ${job.contract_type ? CONTRACT_LABELS[job.contract_type] : "Not stated"}
+Listing language: ${job.language ? LANGUAGE_LABELS[job.language] : "Unknown"}; languages required: ${describeLanguages(job.languages_required)} (Alexis speaks ${describeLanguages(CANDIDATE_LANGUAGES.join(","))})
+Verified UK Visa Sponsor: ${job.verified_sponsor ? `Yes${sponsorRoutes(job) ? ` (licensed routes: ${sponsorRoutes(job).join(", ")})` : ""}` : "No"}
 Visa Confidence: ${job.visa_confidence || "unknown"}
 Source: ${job.source}
 Salary: ${salaryInfo}
@@ -447,6 +486,7 @@ Score this job 1-100 based on:
 - Career growth & impact potential (15%)
 
 IMPORTANT: Score 1-20 if the role has no clear ESG/sustainability/climate theme. Score 40+ only if the role clearly involves ESG, sustainability, climate, or related consulting/communications work.
+${seniorityGuidance()}Judge the listing on its content whatever language it is written in; listings needing a language Alexis doesn't speak are filtered separately.
 
 Then write EXACTLY 2 sentences:
 Sentence 1: Why this role fits Alexis's ESG consulting and communications career goals (mention specific ESG themes from the description).
@@ -499,7 +539,7 @@ async function generateOutreachKit(job, apiKey) {
     return generateHeuristicOutreachKit(job);
   }
 
-  const plainDesc = stripHtml(job.description || "").slice(0, 2000);
+  const plainDesc = stripHtml(job.full_description || job.description || "").slice(0, 2000);
 
   const prompt = `Generate an outreach kit for Alexis, a US citizen with ESG consulting and sustainability communications experience relocating to London, applying for:
 
@@ -566,8 +606,10 @@ async function scoreJob(job, anthropicKey) {
   const { soc, label: socLabel } = inferSOCCode(job.title);
   job.soc_code = soc;
 
-  // Step 2: Parse salary
-  job.salary_num = parseSalary(job.salary);
+  // Step 2: Parse salary into a range; salary_num is its annual GBP minimum
+  const salary = parseSalary(job.salary);
+  job.salary_num = salary ? salary.annual_min : null;
+  job.salary_summary = describeSalary(salary);
 
   // Step 3: Compute visa confidence
   const { confidence, reason: visaReason } = computeVisaConfidence(job);
@@ -599,6 +641,13 @@ async function scoreJob(job, anthropicKey) {
     ai_summary,
     soc_code: soc,
     salary_num: job.salary_num,
+    salary_min: salary ? salary.min : null,
+    salary_max: salary ? salary.max : null,
+    salary_currency: salary ? salary.currency : null,
+    salary_period: salary ? salary.period : null,
+    salary_fte: salary ? salary.fte : null,
+    salary_confidence: salary ? salary.confidence : null,
+    salary_annual_max: salary ? salary.annual_max : null,
     visa_confidence: confidence,
     success_probability,
   };
@@ -606,13 +655,16 @@ async function scoreJob(job, anthropicKey) {
 
 /**
  * Score a batch of jobs, with rate limiting for AI calls.
+ * `onProgress(done, total)` is called after each job.
  */
-async function scoreJobs(jobs, anthropicKey) {
+async function scoreJobs(jobs, anthropicKey, onProgress = null) {
   const results = [];
+  loadFxRates(); // pick up rate changes since the last batch
 
   for (const job of jobs) {
     const scored = await scoreJob(job, anthropicKey);
     results.push({ ...job, ...scored });
+    if (onProgress) onProgress(results.length, jobs.length);
 
     // Rate limit AI calls
     if (anthropicKey) {
@@ -635,7 +687,10 @@ module.exports = {
   inferSOCCode,
   computeVisaConfidence,
   computeSuccessProbability,
+  sponsorRoutes,
+  holdsSkilledWorkerRoute,
   generateOutreachKit,
   SOC_GOING_RATES,
   GENERAL_THRESHOLD,
+  stripHtml,
 };
@@ -3,25 +3,27 @@ const express = require("express");
 const path = require("path");
 const cron = require("node-cron");
 const db = require("./db");
-const { fetchAllJobs } = require("./fetcher");
+const { promoteJob, addManualJob, importAlertJobs, setCompanyMatch } = require("./fetcher");
+const { readAlerts } = require("./inbox");
+const refresh = require("./refresh");
+const { getSourceHealth } = require("./health");
+const { listSources, configFromEnv } = require("./sources");
+const { SHARED } = require("./queries");
 const { sendDailyDigest } = require("./mailer");
 const { generateOutreachKit, SOC_GOING_RATES, GENERAL_THRESHOLD } = require("./scorer");
+const { loadFxRates, refreshFxRates } = require("./salary");
+const { getCurrentSnapshot } = require("./sponsor");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Load optional API keys from environment
-const config = {
-  reedApiKey: process.env.REED_API_KEY || null,
-  adzunaAppId: process.env.ADZUNA_APP_ID || null,
-  adzunaAppKey: process.env.ADZUNA_APP_KEY || null,
-  anthropicKey: process.env.ANTHROPIC_API_KEY || null,
-  joobleApiKey: process.env.JOOBLE_API_KEY || null,
-  museApiKey: process.env.MUSE_API_KEY || null,
-};
+const config = configFromEnv();
 
 // Initialize database
 db.initialize();
+const interrupted = db.markInterruptedRuns();
+if (interrupted) console.log(`  [Refresh] Marked ${interrupted} unfinished run(s) from before the restart as interrupted`);
 
 // Serve static frontend
 app.use(express.static(path.join(__dirname, "public")));
@@ -32,7 +34,10 @@ app.use(express.json());
 // Get jobs with search/filter/pagination
 app.get("/api/jobs", (req, res) => {
   try {
-    const { search, source, remote, saved, sponsorOnly, sort, page, limit, status, visaConfidence } = req.query;
+    const {
+      search, source, remote, saved, sponsorOnly, sort, page, limit, status, visaConfidence, includeClosed,
+      city, region, country, arrangement, eligibility, seniority, contract, language, spokenOnly,
+    } = req.query;
     const result = db.getJobs({
       search,
       source,
@@ -44,6 +49,16 @@ app.get("/api/jobs", (req, res) => {
       limit: parseInt(limit) || 20,
       status,
       visaConfidence,
+      includeClosed,
+      city,
+      region,
+      country,
+      arrangement,
+      eligibility,
+      seniority,
+      contract,
+      language,
+      spokenOnly,
     });
     res.json(result);
   } catch (err) {
@@ -52,6 +67,35 @@ app.get("/api/jobs", (req, res) => {
   }
 });
 
+// Add a job by hand from its URL and/or pasted text; form fields override
+// whatever is extracted from the posting
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const { url, text, title, company, location, salary } = req.body || {};
+    const link = typeof url === "string" ? url.trim() : "";
+    if (link && !/^https?:\/\/[^\s/]+/i.test(link)) return res.status(400).json({ error: "url must be an http(s) link" });
+    if (!link && !(typeof text === "string" && text.trim())) {
+      return res.status(400).json({ error: "Give the job's URL or paste its description" });
+    }
+
+    const result = await addManualJob({
+      url: link || null, text: typeof text === "string" ? text : "", title, company, location, salary,
+    }, config);
+    if (result.existing) return res.status(409).json({ error: "That job is already on the board", job: result.existing });
+    if (result.missing) {
+      return res.status(422).json({
+        error: `Couldn't find the job's ${result.missing.join(" or ")} — fill ${result.missing.length > 1 ? "them" : "it"} in`,
+        missing: result.missing,
+        fetchStatus: result.fetchStatus,
+      });
+    }
+    res.status(201).json({ job: result.job, fetchStatus: result.fetchStatus });
+  } catch (err) {
+    console.error("POST /api/jobs error:", err);
+    res.status(500).json({ error: "Failed to add job" });
+  }
+});
+
 // Toggle save/bookmark a job
 app.post("/api/jobs/:id/save", (req, res) => {
   try {
@@ -74,18 +118,231 @@ app.get("/api/stats", (req, res) => {
   }
 });
 
-// Trigger a manual refresh
-app.post("/api/refresh", async (req, res) => {
+// List registered job sources (drives the UI source filter)
+app.get("/api/sources", (req, res) => {
+  res.json({ sources: listSources(config) });
+});
+
+// Per-source yield trends, latest-run numbers and problem flags, plus recent runs
+app.get("/api/sources/health", (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || undefined, 90) || undefined;
+    res.json(getSourceHealth(listSources(config), { days }));
+  } catch (err) {
+    console.error("GET /api/sources/health error:", err);
+    res.status(500).json({ error: "Failed to fetch source health" });
+  }
+});
+
+// Queue a manual refresh; progress streams from /api/refresh/:id/events
+app.post("/api/refresh", (req, res) => {
   try {
     console.log("Manual refresh triggered");
-    const results = await fetchAllJobs(config);
-    res.json({ message: "Refresh complete", results });
+    const run = refresh.enqueueRefresh(config, { trigger: "manual" });
+    res.status(202).json({ runId: run.id, run: refresh.describeRun(run) });
   } catch (err) {
     console.error("POST /api/refresh error:", err);
     res.status(500).json({ error: "Refresh failed" });
   }
 });
 
+// Current, queued and recent refresh runs, newest first
+app.get("/api/refresh", (req, res) => {
+  res.json({ runs: refresh.listRuns() });
+});
+
+app.get("/api/refresh/:id", (req, res) => {
+  const run = refresh.getRun(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+  res.json(refresh.describeRun(run));
+});
+
+// Server-Sent Events: replays the run's progress so far, then streams
+// new events until it finishes. Reconnects resume after Last-Event-ID.
+app.get("/api/refresh/:id/events", (req, res) => {
+  const run = refresh.getRun(req.params.id);
+  if (!run) return res.status(404).json({ error: "Run not found" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from closing the stream during slow sources
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  const send = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === "done" || event.type === "failed") res.end();
+  };
+  const unsubscribe = refresh.subscribe(run, send, parseInt(req.get("Last-Event-ID")) || 0);
+  if (refresh.isFinished(run) && !res.writableEnded) res.end();
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ---- Search Queries ----
+
+// Sources whose searches are editable, with how they use the shared list
+function searchableSources() {
+  return listSources(config).filter((s) => s.queryMode).map((s) => ({ name: s.name, queryMode: s.queryMode }));
+}
+
+// A query may belong to the shared list or to a searchable source
+function validQuerySource(source) {
+  return source === SHARED || searchableSources().some((s) => s.name === source);
+}
+
+// List query sets plus per-query yield over the last `days` (default 30)
+app.get("/api/queries", (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    res.json({
+      sources: searchableSources(),
+      queries: db.listSearchQueries(),
+      yield: db.getQueryYield(days),
+      days,
+    });
+  } catch (err) {
+    console.error("GET /api/queries error:", err);
+    res.status(500).json({ error: "Failed to fetch queries" });
+  }
+});
+
+// Add a query to the shared list ("*") or a source override
+app.post("/api/queries", (req, res) => {
+  try {
+    const { source, query, location } = req.body;
+    if (!query || !query.trim()) return res.status(400).json({ error: "query is required" });
+    if (!validQuerySource(source)) return res.status(400).json({ error: `Unknown query source: ${source}` });
+    const row = db.addSearchQuery({ source, query: query.trim(), location: location && location.trim() });
+    res.json({ query: row });
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") return res.status(409).json({ error: "That query already exists" });
+    console.error("POST /api/queries error:", err);
+    res.status(500).json({ error: "Failed to add query" });
+  }
+});
+
+// Give a source its own copy of the shared list to edit
+app.post("/api/queries/customise", (req, res) => {
+  try {
+    const { source } = req.body;
+    if (!source || source === SHARED || !validQuerySource(source)) {
+      return res.status(400).json({ error: `Unknown query source: ${source}` });
+    }
+    res.json({ copied: db.customiseSearchQueries(source) });
+  } catch (err) {
+    console.error("POST /api/queries/customise error:", err);
+    res.status(500).json({ error: "Failed to customise queries" });
+  }
+});
+
+// Drop a source's override so it runs the shared list again
+app.post("/api/queries/reset", (req, res) => {
+  try {
+    const { source } = req.body;
+    if (!source || source === SHARED) return res.status(400).json({ error: "source is required" });
+    res.json({ removed: db.resetSearchQueries(source) });
+  } catch (err) {
+    console.error("POST /api/queries/reset error:", err);
+    res.status(500).json({ error: "Failed to reset queries" });
+  }
+});
+
+// Edit or enable/disable a query
+app.post("/api/queries/:id", (req, res) => {
+  try {
+    const { query, location, enabled } = req.body;
+    if (query !== undefined && !String(query).trim()) return res.status(400).json({ error: "query cannot be empty" });
+    const row = db.updateSearchQuery(parseInt(req.params.id), {
+      query: query !== undefined ? String(query).trim() : undefined,
+      location: location !== undefined ? String(location || "").trim() : undefined,
+      enabled,
+    });
+    if (!row) return res.status(404).json({ error: "Query not found" });
+    res.json({ query: row });
+  } catch (err) {
+    if (err.code === "SQLITE_CONSTRAINT_UNIQUE") return res.status(409).json({ error: "That query already exists" });
+    console.error("POST /api/queries/:id error:", err);
+    res.status(500).json({ error: "Failed to update query" });
+  }
+});
+
+app.delete("/api/queries/:id", (req, res) => {
+  try {
+    if (!db.deleteSearchQuery(parseInt(req.params.id))) return res.status(404).json({ error: "Query not found" });
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("DELETE /api/queries/:id error:", err);
+    res.status(500).json({ error: "Failed to delete query" });
+  }
+});
+
+// ---- Quarantine ("Filtered out") ----
+
+// Jobs dropped by the ESG filters or the score gate
+app.get("/api/quarantine", (req, res) => {
+  try {
+    const { source, stage, page, limit } = req.query;
+    res.json(db.getQuarantine({
+      source,
+      stage,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 50, 200),
+    }));
+  } catch (err) {
+    console.error("GET /api/quarantine error:", err);
+    res.status(500).json({ error: "Failed to fetch filtered-out jobs" });
+  }
+});
+
+// False-negative examples recorded by promotions, for taxonomy tuning
+app.get("/api/quarantine/feedback", (req, res) => {
+  try {
+    res.json({ feedback: db.getTaxonomyFeedback() });
+  } catch (err) {
+    console.error("GET /api/quarantine/feedback error:", err);
+    res.status(500).json({ error: "Failed to fetch feedback" });
+  }
+});
+
+// Score a filtered-out job and move it onto the board
+app.post("/api/quarantine/:id/promote", async (req, res) => {
+  try {
+    const job = await promoteJob(req.params.id, config);
+    if (!job) return res.status(404).json({ error: "Job not in quarantine" });
+    res.json({ job });
+  } catch (err) {
+    console.error("POST /api/quarantine/:id/promote error:", err);
+    res.status(500).json({ error: "Failed to promote job" });
+  }
+});
+
+// Import job alert emails: the raw body is one .eml message or an mbox
+app.post("/api/import/email", express.raw({
+  type: ["message/rfc822", "application/mbox", "text/plain", "application/octet-stream"],
+  limit: "25mb",
+}), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ error: "Send the .eml or mbox file as the request body" });
+    }
+    const { messages, jobs } = readAlerts(req.body);
+    if (!jobs.length) {
+      return res.status(422).json({ error: "No LinkedIn, Indeed or Guardian Jobs alert jobs found", messages });
+    }
+    const results = await importAlertJobs(jobs, config);
+    res.json({ messages, ...results });
+  } catch (err) {
+    console.error("POST /api/import/email error:", err);
+    res.status(500).json({ error: "Failed to import email alerts" });
+  }
+});
+
 // ---- V3.0: CRM Endpoints ----
 
 // Update job application status
@@ -115,6 +372,20 @@ app.post("/api/jobs/:id/notes", (req, res) => {
   }
 });
 
+// Confirm or reject the sponsor-register / B Corp match for a job's company:
+// { directory: "sponsor" | "bcorp", decision: "confirm" | "reject" | "clear", target_key }
+app.post("/api/jobs/:id/company-match", async (req, res) => {
+  try {
+    const result = await setCompanyMatch(req.params.id, req.body || {});
+    if (!result) return res.status(404).json({ error: "Job not found" });
+    if (result.invalid) return res.status(400).json({ error: result.invalid });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/jobs/:id/company-match error:", err);
+    res.status(500).json({ error: "Failed to update company match" });
+  }
+});
+
 // Generate AI outreach kit for a job
 app.post("/api/jobs/:id/outreach-kit", async (req, res) => {
   try {
@@ -136,12 +407,114 @@ app.get("/api/visa-intel", (req, res) => {
   });
 });
 
+// ---- FX Rates (salary currency conversion) ----
+
+// Current GBP rate per currency, with where each came from
+app.get("/api/fx-rates", (req, res) => {
+  try {
+    loadFxRates(); // seeds the built-in rates on first use
+    res.json({ rates: db.listFxRates() });
+  } catch (err) {
+    console.error("GET /api/fx-rates error:", err);
+    res.status(500).json({ error: "Failed to fetch exchange rates" });
+  }
+});
+
+// Set a rate by hand: { currency: "USD", rate: 0.79 } (GBP per unit)
+app.post("/api/fx-rates", (req, res) => {
+  try {
+    const currency = String(req.body.currency || "").trim().toUpperCase();
+    const rate = Number(req.body.rate);
+    if (!/^[A-Z]{3}$/.test(currency) || currency === "GBP") {
+      return res.status(400).json({ error: "currency must be a three-letter code other than GBP" });
+    }
+    if (!(rate > 0)) {
+      return res.status(400).json({ error: "rate must be a positive number of GBP per unit" });
+    }
+    db.setFxRates({ [currency]: rate }, "manual");
+    res.json({ success: true, currency, rate });
+  } catch (err) {
+    console.error("POST /api/fx-rates error:", err);
+    res.status(500).json({ error: "Failed to save exchange rate" });
+  }
+});
+
+// Pull fresh rates from the FX API
+app.post("/api/fx-rates/refresh", async (req, res) => {
+  try {
+    const updated = await refreshFxRates();
+    res.json({ success: true, updated });
+  } catch (err) {
+    console.error("POST /api/fx-rates/refresh error:", err);
+    res.status(500).json({ error: "Failed to refresh exchange rates" });
+  }
+});
+
+// ---- Sponsor Register ----
+
+// Stored editions of the register, newest first, and the one in use
+app.get("/api/sponsor/snapshots", (req, res) => {
+  try {
+    res.json({ current: getCurrentSnapshot(), snapshots: db.listSponsorSnapshots() });
+  } catch (err) {
+    console.error("GET /api/sponsor/snapshots error:", err);
+    res.status(500).json({ error: "Failed to fetch sponsor register snapshots" });
+  }
+});
+
+// What changed in a snapshot since the edition before it (?change=removed|rating|routes|added)
+app.get("/api/sponsor/snapshots/:id/changes", (req, res) => {
+  try {
+    const { change, page, limit } = req.query;
+    res.json(db.getSponsorChanges(parseInt(req.params.id), {
+      change: change || undefined,
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 100, 500),
+    }));
+  } catch (err) {
+    console.error("GET /api/sponsor/snapshots/:id/changes error:", err);
+    res.status(500).json({ error: "Failed to fetch sponsor register changes" });
+  }
+});
+
+// Register changes at employers of jobs mid-application
+app.get("/api/sponsor/alerts", (req, res) => {
+  try {
+    res.json({ alerts: db.getSponsorAlerts() });
+  } catch (err) {
+    console.error("GET /api/sponsor/alerts error:", err);
+    res.status(500).json({ error: "Failed to fetch sponsor alerts" });
+  }
+});
+
+app.post("/api/sponsor/alerts/:id/dismiss", (req, res) => {
+  try {
+    if (!db.dismissSponsorAlert(parseInt(req.params.id))) return res.status(404).json({ error: "Alert not found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("POST /api/sponsor/alerts/:id/dismiss error:", err);
+    res.status(500).json({ error: "Failed to dismiss sponsor alert" });
+  }
+});
+
 // ---- Daily Scheduled Fetch (6:00 AM London time) ----
 cron.schedule("0 6 * * *", async () => {
   console.log(`\n[CRON] Daily fetch at ${new Date().toISOString()}`);
   try {
-    await fetchAllJobs(config);
-    // Send daily digest email after fetch completes
+    await refreshFxRates();
+  } catch (err) {
+    console.error("[CRON] FX refresh failed, keeping current rates:", err.message);
+  }
+  try {
+    // Queued behind any manual refresh already running
+    const run = refresh.enqueueRefresh(config, { trigger: "cron" });
+    await run.done;
+    // Send daily digest email after fetch completes — not after a failed
+    // run, which would mail yesterday's jobs as if they were today's
+    if (run.status !== "done") {
+      console.error(`[CRON] Daily fetch failed, skipping the digest: ${run.error}`);
+      return;
+    }
     await sendDailyDigest();
   } catch (err) {
     console.error("[CRON] Daily fetch failed:", err);
@@ -158,6 +531,6 @@ app.listen(PORT, async () => {
   const stats = db.getStats();
   if (stats.total === 0) {
     console.log("  Database empty - running initial job fetch...");
-    await fetchAllJobs(config);
+    refresh.enqueueRefresh(config, { trigger: "startup" });
   }
 });
@@ -0,0 +1,115 @@
+// ============================================================
+// Job Source Registry
+// Adapters register here with their name, the config keys they
+// need, a fetch function and whether they run by default.
+// fetchAllJobs, /api/sources and the UI source filter all read
+// from this list, so adding a source is a single registerSource().
+// ============================================================
+
+const adapters = new Map(); // name -> adapter, in registration order
+
+/**
+ * Register a job-source adapter.
+ *
+ *   name            — display name, also stored as jobs.source
+ *   requiredConfig  — config keys that must be set (e.g. ["reedApiKey"])
+ *   signupUrl       — where to get those keys, shown when the source is skipped
+ *   fetch           — async (config, { fetch, logQuery, queries }) => rawJobs[];
+ *                     use the fetch passed in, which enforces this source's
+ *                     rate limit
+ *   rateLimit       — { requestsPerMinute, burst } budget for this source
+ *   enabledByDefault — run unless disabled through JOB_SOURCES / JOB_SOURCES_DISABLED
+ *   queryMode       — where `queries` comes from: "shared" (own override rows,
+ *                     else the shared list), "own" (own rows only) or null for
+ *                     sources that don't search
+ */
+function registerSource({ name, requiredConfig = [], signupUrl = null, fetch, rateLimit, enabledByDefault = true, queryMode = null }) {
+  if (!name || typeof fetch !== "function") {
+    throw new Error("registerSource requires a name and a fetch function");
+  }
+  if (adapters.has(name)) {
+    throw new Error(`Source "${name}" is already registered`);
+  }
+  adapters.set(name, { name, requiredConfig, signupUrl, fetch, rateLimit, enabledByDefault, queryMode });
+}
+
+/**
+ * Parse a comma-separated source list from the environment.
+ */
+function parseList(value) {
+  return (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve which sources run, and in what order.
+ *
+ *   JOB_SOURCES="Reed,Adzuna,Jobicy"   — run exactly these, in this order
+ *   JOB_SOURCES_DISABLED="The Muse"   — drop these from the default set
+ *
+ * Without JOB_SOURCES every adapter with enabledByDefault runs in
+ * registration order.
+ */
+function getSourceOrder() {
+  const explicit = parseList(process.env.JOB_SOURCES);
+  const disabled = new Set(parseList(process.env.JOB_SOURCES_DISABLED));
+
+  let names;
+  if (explicit.length) {
+    names = explicit.filter((n) => {
+      if (!adapters.has(n)) {
+        console.error(`  [Sources] Unknown source "${n}" in JOB_SOURCES — ignoring`);
+        return false;
+      }
+      return true;
+    });
+  } else {
+    names = [...adapters.values()].filter((a) => a.enabledByDefault).map((a) => a.name);
+  }
+
+  return names.filter((n) => !disabled.has(n));
+}
+
+/**
+ * List every registered source with its enabled/configured state.
+ * Enabled sources come first in run order, followed by the rest.
+ */
+function listSources(config = {}) {
+  const order = getSourceOrder();
+  const rest = [...adapters.keys()].filter((n) => !order.includes(n));
+
+  return [...order, ...rest].map((name) => {
+    const adapter = adapters.get(name);
+    const missingConfig = adapter.requiredConfig.filter((key) => !config[key]);
+    return {
+      name,
+      enabled: order.includes(name),
+      configured: missingConfig.length === 0,
+      missingConfig,
+      signupUrl: adapter.signupUrl,
+      queryMode: adapter.queryMode,
+    };
+  });
+}
+
+/**
+ * Adapters that should run now: enabled, in order.
+ */
+function getEnabledSources() {
+  return getSourceOrder().map((name) => adapters.get(name));
+}
+
+/**
+ * The adapters' API keys (and the scorer's) from the environment.
+ */
+function configFromEnv() {
+  return {
+    reedApiKey: process.env.REED_API_KEY || null,
+    adzunaAppId: process.env.ADZUNA_APP_ID || null,
+    adzunaAppKey: process.env.ADZUNA_APP_KEY || null,
+    anthropicKey: process.env.ANTHROPIC_API_KEY || null,
+    joobleApiKey: process.env.JOOBLE_API_KEY || null,
+    museApiKey: process.env.MUSE_API_KEY || null,
+  };
+}
+
+module.exports = { registerSource, listSources, getEnabledSources, configFromEnv };
@@ -1,26 +1,48 @@
 // ============================================================
 // UK Government Register of Licensed Sponsors
-// Downloads and caches the official CSV, builds a fast lookup
+// Finds the current CSV on the GOV.UK publication page, keeps each
+// edition as a dated snapshot, and builds a fast lookup
+//
+// Snapshots live in the sponsor_snapshots table (published date,
+// source URL, row count) with the parsed entries alongside in
+// DATA_DIR/sponsor_snapshots/<id>.json, so every check can say
+// which edition of the register it was made against. The lookup
+// index for each snapshot (see company.js) is saved next to it as
+// <id>.index.json, so it's built once per edition.
+//
+// Each new edition is diffed against the one before (additions,
+// removals, rating and route changes). Jobs at a changed employer
+// are re-checked, and those mid-application get a sponsor alert.
 // ============================================================
 
-const fetch = require("node-fetch");
 const fs = require("fs");
 const path = require("path");
+const db = require("./db");
+const { createSourceFetch, HTTP_MODE } = require("./http");
+const { computeVisaConfidence, computeSuccessProbability, holdsSkilledWorkerRoute } = require("./scorer");
+const { normalise, createDirectory, serialiseIndex, resolveCompany, describeResolution } = require("./company");
 
 const DATA_DIR = process.env.DATA_DIR || __dirname;
-const CACHE_PATH = path.join(DATA_DIR, "sponsor_cache.json");
+const SNAPSHOT_DIR = path.join(DATA_DIR, "sponsor_snapshots");
 const CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 1 day
 
 // GOV.UK publication page - we extract the latest CSV URL from here
-const GOV_PAGE = "https://www.gov.uk/government/publications/register-of-licensed-sponsors-workers";
+const GOV_PAGE = process.env.SPONSOR_PAGE_URL || "https://www.gov.uk/government/publications/register-of-licensed-sponsors-workers";
+// A saved copy of the publication page to read instead of fetching it
+const PAGE_FILE = process.env.SPONSOR_PAGE_FILE || null;
 
-// Direct CSV (fallback - this URL changes when gov.uk publishes updates)
+// Direct CSV, used only when the publication page can't be read or has no CSV link
 const FALLBACK_CSV = "https://assets.publishing.service.gov.uk/media/6998222ba58a315dbe72c06e/2026-02-20_-_Worker_and_Temporary_Worker.csv";
 
-let sponsorSet = null; // Set of normalised company names
+// Through the shared HTTP layer so the download retries and can be recorded/replayed
+const fetch = createSourceFetch("Sponsor", { requestsPerMinute: 10, burst: 1 });
+
 let sponsorMap = null; // Map: normalised name -> { name, city, rating, route }
+let directory = null; // company.js directory over sponsorMap
+let snapshot = null; // sponsor_snapshots row the lookup was built from
 
-// Common abbreviations → official register names (will be normalised at lookup time)
+// Common abbreviations → official register names (will be normalised at lookup time).
+// Matches can also be confirmed or rejected per company from the job detail panel.
 const ALIASES = {
   "pwc": "PricewaterhouseCoopers LLP",
   "ey": "Ernst & Young LLP",
@@ -32,27 +54,15 @@ const ALIASES = {
   "bcg": "The Boston Consulting Group UK LLP",
 };
 
-/**
- * Normalise a company name for fuzzy matching.
- * Strips Ltd/Limited/LLP/PLC/Inc, lowercases, collapses whitespace.
- */
-function normalise(name) {
-  return name
-    .toLowerCase()
-    .replace(/[""'']/g, "")
-    .replace(/\b(ltd|limited|llp|plc|inc|corp|corporation|gmbh|ag|group|holdings|uk)\b/gi, "")
-    .replace(/[^a-z0-9\s&]/g, "")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 /**
  * Parse the GOV.UK Sponsor Register CSV into a Map.
  * CSV format: "Organisation Name","Town/City","County","Type & Rating","Route"
+ * Returns { map, rows } where rows counts the register lines read.
  */
 function parseCSV(raw) {
   const map = new Map();
   const lines = raw.split("\n");
+  let rows = 0;
 
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -86,38 +96,83 @@ function parseCSV(raw) {
     const route = fields[4] || "";
 
     if (!orgName) continue;
+    rows++;
 
     const key = normalise(orgName);
     if (!key) continue;
 
-    // Only keep Skilled Worker route entries (most relevant for ESG roles)
-    // But store all for completeness
+    // One row per licence route; keep every route the organisation holds
+    // (scorer.js decides whether they cover a Skilled Worker visa)
     if (!map.has(key)) {
       map.set(key, {
         name: orgName,
         city,
         rating: rating.includes("A rating") ? "A" : rating.includes("B rating") ? "B" : "Unknown",
-        routes: [route],
+        routes: route ? [route] : [],
       });
     } else {
       const existing = map.get(key);
-      if (!existing.routes.includes(route)) {
+      if (route && !existing.routes.includes(route)) {
         existing.routes.push(route);
       }
     }
   }
 
-  return map;
+  return { map, rows };
+}
+
+/**
+ * Find the register CSV link on the publication page. Prefers the
+ * "Worker and Temporary Worker" file over any other CSV attachment.
+ * Returns an absolute URL, or null if the page has no CSV link.
+ */
+function discoverRegisterUrl(html, baseUrl = GOV_PAGE) {
+  const links = [];
+  const hrefRe = /href\s*=\s*["']([^"']+\.csv(?:\?[^"']*)?)["']/gi;
+  let m;
+  while ((m = hrefRe.exec(html || ""))) {
+    try {
+      links.push(new URL(m[1].replace(/&amp;/g, "&"), baseUrl).href);
+    } catch {
+      // Not a usable URL
+    }
+  }
+  return links.find((url) => /worker_and_temporary_worker/i.test(url)) || links[0] || null;
+}
+
+/**
+ * Read the publication page (or its saved copy) for the current CSV URL.
+ */
+async function findRegisterUrl() {
+  try {
+    let html;
+    if (PAGE_FILE) {
+      html = fs.readFileSync(PAGE_FILE, "utf-8");
+    } else {
+      const res = await fetch(GOV_PAGE, {
+        headers: { "User-Agent": "Mozilla/5.0 (compatible; ESGJobBoard/1.0)" },
+        timeout: 30000,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      html = await res.text();
+    }
+    const url = discoverRegisterUrl(html);
+    if (!url) throw new Error("no CSV link on the publication page");
+    return url;
+  } catch (err) {
+    console.error("  [Sponsor] Couldn't read the publication page:", err.message);
+    return null;
+  }
 }
 
 /**
- * Download the sponsor register CSV from GOV.UK.
+ * Download a register CSV from GOV.UK.
  */
-async function downloadRegister() {
-  console.log("  [Sponsor] Downloading UK Sponsor Register...");
+async function downloadRegister(url) {
+  console.log(`  [Sponsor] Downloading UK Sponsor Register from ${url}`);
 
   try {
-    const res = await fetch(FALLBACK_CSV, {
+    const res = await fetch(url, {
       headers: { "User-Agent": "Mozilla/5.0 (compatible; ESGJobBoard/1.0)" },
       timeout: 60000,
     });
@@ -133,114 +188,394 @@ async function downloadRegister() {
 }
 
 /**
- * Load the sponsor register, using a file cache to avoid re-downloading.
+ * The register's publication date, from the CSV file name
+ * ("2026-02-20_-_Worker_and_Temporary_Worker.csv"), else today.
  */
-async function loadSponsorRegister() {
-  // Check if we have a recent cache
-  if (fs.existsSync(CACHE_PATH)) {
+function publishedOn(url) {
+  const m = decodeURIComponent(url).match(/(\d{4}-\d{2}-\d{2})[^/]*\.csv/i);
+  return m ? m[1] : new Date().toISOString().slice(0, 10);
+}
+
+function snapshotPath(id) {
+  return path.join(SNAPSHOT_DIR, `${id}.json`);
+}
+
+function indexPath(id) {
+  return path.join(SNAPSHOT_DIR, `${id}.index.json`);
+}
+
+/**
+ * A stored snapshot's entries as a Map, or null if its file is missing
+ * or unreadable.
+ */
+function readSnapshot(row) {
+  try {
+    return new Map(JSON.parse(fs.readFileSync(snapshotPath(row.id), "utf-8")));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`  [Sponsor] Snapshot ${row.id} read error:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Load a stored snapshot into the lookup. Returns false if its entries
+ * can't be read.
+ */
+function useSnapshot(row) {
+  const map = readSnapshot(row);
+  if (!map) return false;
+  setRegister(map, row);
+  return true;
+}
+
+/**
+ * Make a register the one checked against, with its lookup index: the
+ * snapshot's saved index when there is one, otherwise built and saved.
+ */
+function setRegister(map, row) {
+  let index = null;
+  if (row) {
     try {
-      const stat = fs.statSync(CACHE_PATH);
-      const age = Date.now() - stat.mtimeMs;
-      if (age < CACHE_MAX_AGE_MS) {
-        const cached = JSON.parse(fs.readFileSync(CACHE_PATH, "utf-8"));
-        sponsorMap = new Map(cached.entries);
-        sponsorSet = new Set(cached.entries.map(([k]) => k));
-        console.log(`  [Sponsor] Loaded ${sponsorMap.size} sponsors from cache`);
-        return;
-      }
+      index = JSON.parse(fs.readFileSync(indexPath(row.id), "utf-8"));
     } catch (err) {
-      console.error("  [Sponsor] Cache read error:", err.message);
+      if (err.code !== "ENOENT") console.error(`  [Sponsor] Index ${row.id} read error:`, err.message);
     }
   }
 
-  // Download fresh
-  const csv = await downloadRegister();
-  if (!csv) {
-    sponsorMap = new Map();
-    sponsorSet = new Set();
-    return;
-  }
+  const started = Date.now();
+  sponsorMap = map;
+  directory = createDirectory("sponsor", map, undefined, { index });
+  snapshot = row;
 
-  sponsorMap = parseCSV(csv);
-  sponsorSet = new Set(sponsorMap.keys());
+  if (row && !directory.indexLoaded) {
+    try {
+      fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+      fs.writeFileSync(indexPath(row.id), JSON.stringify(serialiseIndex(directory)));
+      console.log(`  [Sponsor] Built the lookup index for ${map.size} sponsors in ${Date.now() - started}ms`);
+    } catch (err) {
+      console.error("  [Sponsor] Index write error:", err.message);
+    }
+  }
+}
 
-  // Cache to file
+/**
+ * Store a freshly parsed register as a new snapshot.
+ */
+function saveSnapshot(map, { sourceUrl, rows, origin }) {
+  const row = db.addSponsorSnapshot({
+    published_on: publishedOn(sourceUrl),
+    source_url: sourceUrl,
+    origin,
+    row_count: rows,
+    sponsor_count: map.size,
+  });
   try {
-    const cacheData = { entries: [...sponsorMap.entries()], updatedAt: new Date().toISOString() };
-    fs.writeFileSync(CACHE_PATH, JSON.stringify(cacheData));
-    console.log(`  [Sponsor] Cached ${sponsorMap.size} sponsors to disk`);
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(snapshotPath(row.id), JSON.stringify([...map.entries()]));
   } catch (err) {
-    console.error("  [Sponsor] Cache write error:", err.message);
+    console.error("  [Sponsor] Snapshot write error:", err.message);
+  }
+  return row;
+}
+
+/**
+ * Load the sponsor register. Uses the latest snapshot when it was
+ * checked against GOV.UK in the last day; otherwise looks up the current
+ * CSV on the publication page and only downloads it if it's a new edition.
+ */
+async function loadSponsorRegister() {
+  const latest = db.getLatestSponsorSnapshot();
+
+  // Recent enough to trust (record/replay always go through the fixtures)
+  if (HTTP_MODE === "live" && latest && Date.now() - Date.parse(latest.checked_at) < CACHE_MAX_AGE_MS) {
+    if (useSnapshot(latest)) {
+      console.log(`  [Sponsor] Loaded ${sponsorMap.size} sponsors from the ${latest.published_on} register`);
+      return;
+    }
+  }
+
+  const discovered = await findRegisterUrl();
+  const sourceUrl = discovered || FALLBACK_CSV;
+  const origin = discovered ? "publication_page" : "fallback";
+
+  // The pinned CSV is older than anything we've stored since; it mustn't
+  // become the latest snapshot over a newer edition
+  if (!discovered && latest && useSnapshot(latest)) {
+    console.log(`  [Sponsor] Keeping the stored ${latest.published_on} register (${sponsorMap.size} sponsors)`);
+    return;
+  }
+
+  // Same edition as last time: no need to download it again
+  if (HTTP_MODE === "live" && latest && latest.source_url === sourceUrl && useSnapshot(latest)) {
+    snapshot = db.touchSponsorSnapshot(latest.id);
+    console.log(`  [Sponsor] Register unchanged (${latest.published_on}), ${sponsorMap.size} sponsors`);
+    return;
+  }
+
+  let csv = await downloadRegister(sourceUrl);
+  let downloadedFrom = sourceUrl;
+  if (!csv && sourceUrl !== FALLBACK_CSV && !latest) {
+    csv = await downloadRegister(FALLBACK_CSV);
+    downloadedFrom = FALLBACK_CSV;
+  }
+
+  if (!csv) {
+    // A stale register beats an empty one
+    if (latest && useSnapshot(latest)) {
+      console.log(`  [Sponsor] Using the stored ${latest.published_on} register (${sponsorMap.size} sponsors)`);
+      return;
+    }
+    setRegister(new Map(), null);
+    return;
+  }
+
+  const { map, rows } = parseCSV(csv);
+  setRegister(map, saveSnapshot(map, {
+    sourceUrl: downloadedFrom,
+    rows,
+    origin: downloadedFrom === FALLBACK_CSV ? "fallback" : origin,
+  }));
+  console.log(`  [Sponsor] Stored the ${snapshot.published_on} register: ${rows} rows, ${sponsorMap.size} sponsors`);
+
+  if (latest && latest.id !== snapshot.id) {
+    const previous = readSnapshot(latest);
+    if (previous) {
+      trackRegisterChanges(latest, previous);
+    } else {
+      console.log(`  [Sponsor] Previous register (${latest.published_on}) not on disk — skipping the diff`);
+    }
   }
 }
 
-// Generic/placeholder company names that should never match the sponsor register
-const GENERIC_COMPANY_NAMES = new Set([
-  "unknown", "see listing", "confidential", "not disclosed",
-  "anonymous", "various", "multiple", "tbc", "tba",
-  "not specified", "undisclosed", "company", "employer",
-  "hiring company", "top company", "leading company",
-]);
+// ---------------------------------------------------------------------------
+// Change tracking between register editions
+// ---------------------------------------------------------------------------
 
 /**
- * Check if a company name appears in the sponsor register.
- * Returns { verified, rating, routes } or { verified: false }.
+ * Differences between two register maps, one entry per changed sponsor:
+ * { change: "added" | "removed" | "rating" | "routes", sponsor_key, name, before, after }
+ * where before/after are { rating, routes } (null for added/removed).
+ * A sponsor whose rating and routes both changed is reported as "rating".
  */
-function checkSponsor(companyName) {
-  if (!sponsorSet || !companyName) return { verified: false };
+function diffRegisters(previous, current) {
+  const changes = [];
+  const summary = (entry) => entry && { rating: entry.rating, routes: entry.routes.filter(Boolean).sort() };
+
+  for (const [key, entry] of current) {
+    const old = previous.get(key);
+    if (!old) {
+      changes.push({ change: "added", sponsor_key: key, name: entry.name, before: null, after: summary(entry) });
+    } else if (old.rating !== entry.rating) {
+      changes.push({ change: "rating", sponsor_key: key, name: entry.name, before: summary(old), after: summary(entry) });
+    } else if (summary(old).routes.join("|") !== summary(entry).routes.join("|")) {
+      changes.push({ change: "routes", sponsor_key: key, name: entry.name, before: summary(old), after: summary(entry) });
+    }
+  }
+  for (const [key, entry] of previous) {
+    if (!current.has(key)) {
+      changes.push({ change: "removed", sponsor_key: key, name: entry.name, before: summary(entry), after: null });
+    }
+  }
+  return changes;
+}
 
-  let key = normalise(companyName);
-  if (!key) return { verified: false };
+/**
+ * Store the diff from the previous edition to the current one, re-check
+ * jobs at the changed employers, and alert on any mid-application.
+ */
+function trackRegisterChanges(previousSnapshot, previousMap) {
+  const changes = diffRegisters(previousMap, sponsorMap);
+  db.saveSponsorChanges(snapshot.id, previousSnapshot.id, changes);
+
+  const counts = {};
+  for (const c of changes) counts[c.change] = (counts[c.change] || 0) + 1;
+  console.log(`  [Sponsor] ${previousSnapshot.published_on} → ${snapshot.published_on}: ` +
+    `${counts.added || 0} added, ${counts.removed || 0} removed, ` +
+    `${counts.rating || 0} rating changes, ${counts.routes || 0} route changes`);
+  if (!changes.length) return;
+
+  const { reviewed, alerts } = reviewAffectedJobs(changes, previousMap);
+  if (reviewed) {
+    console.log(`  [Sponsor] Re-checked ${reviewed} jobs at changed employers${alerts ? ` — ${alerts} in an active application flagged` : ""}`);
+  }
+}
+
+/**
+ * Re-evaluate verified_sponsor, sponsor_rating and visa confidence for
+ * jobs whose company matches a changed register entry. Jobs in an active
+ * CRM status get an alert describing the change. Returns { reviewed, alerts }.
+ */
+function reviewAffectedJobs(changes, previousMap) {
+  // The changed entries as they appear in whichever edition has them
+  const changeByKey = new Map(changes.map((c) => [c.sponsor_key, c]));
+  const changed = createDirectory("sponsor", changes.map((c) => [
+    c.sponsor_key, sponsorMap.get(c.sponsor_key) || previousMap.get(c.sponsor_key),
+  ]));
+
+  // Anything resembling a changed entry is re-checked...
+  const jobs = db.getJobsForCompanyCheck().filter((job) => {
+    const { match, candidates } = resolveCompany(job.company, changed, { aliases: ALIASES });
+    job.changedMatch = match ? match.key : null;
+    return candidates.length > 0;
+  });
+  const updates = reverifyJobs(jobs);
+
+  // ...but only jobs matched to a changed entry, before or after, are affected.
+  // Jobs checked before matches were recorded go by the name alone.
+  const alerts = [];
+  jobs.forEach((job, i) => {
+    const before = matchedKey(job.sponsor_match);
+    const after = matchedKey(updates[i].sponsor_match);
+    const key = [before, after].find((k) => k && changeByKey.has(k)) || (job.sponsor_match ? null : job.changedMatch);
+    if (!key || !db.ACTIVE_STATUSES.includes(job.status)) return;
+    const change = changeByKey.get(key);
+    alerts.push({
+      job_id: job.id,
+      snapshot_id: snapshot.id,
+      change: change.change,
+      company: job.company,
+      sponsor_name: change.name,
+      message: describeChange(change),
+      visa_before: job.visa_confidence,
+      visa_after: updates[i].visa_confidence,
+    });
+  });
 
-  // Skip generic/placeholder company names (e.g. Adzuna "Unknown")
-  if (GENERIC_COMPANY_NAMES.has(key)) return { verified: false };
+  db.updateSponsorVerification(updates);
+  db.addSponsorAlerts(alerts);
+  return { reviewed: updates.length, alerts: alerts.length };
+}
 
-  // Check alias map first (e.g. "PwC" → "pricewaterhousecoopers")
-  if (ALIASES[key]) {
-    key = normalise(ALIASES[key]);
+function matchedKey(storedMatch) {
+  try {
+    const match = storedMatch && JSON.parse(storedMatch).match;
+    return match ? match.key : null;
+  } catch {
+    return null;
   }
+}
 
-  // Exact match
-  if (sponsorMap.has(key)) {
-    const entry = sponsorMap.get(key);
+/**
+ * Check jobs against the current register again. Returns one update per
+ * job for db.updateSponsorVerification, in the same order.
+ */
+function reverifyJobs(jobs) {
+  return jobs.map((job) => {
+    const result = checkSponsor(job.company);
+    const verified = result.verified ? 1 : 0;
+    const rating = result.verified ? result.rating : null;
+    const routes = result.verified ? result.routes : null;
+    const { confidence } = computeVisaConfidence({ ...job, verified_sponsor: verified, sponsor_rating: rating, sponsor_routes: routes });
     return {
-      verified: true,
-      rating: entry.rating,
-      routes: entry.routes,
-      officialName: entry.name,
+      id: job.id,
+      verified_sponsor: verified,
+      sponsor_rating: rating,
+      sponsor_routes: routes ? JSON.stringify(routes) : null,
+      sponsor_register: result.register,
+      sponsor_match: result.match ? JSON.stringify(result.match) : null,
+      visa_confidence: confidence,
+      success_probability: computeSuccessProbability(job.match_score || 0, confidence, job.salary_num),
     };
-  }
+  });
+}
 
-  // Partial match: require the shorter name to be at least 60% of the longer name's length
-  // to avoid false positives like "arup" matching "santharupan"
-  if (key.length >= 5) {
-    for (const [sponsorKey, entry] of sponsorMap) {
-      if (sponsorKey.length >= 5) {
-        const shorter = key.length <= sponsorKey.length ? key : sponsorKey;
-        const longer = key.length > sponsorKey.length ? key : sponsorKey;
-        if (shorter.length / longer.length >= 0.5 && (longer.includes(shorter))) {
-          return {
-            verified: true,
-            rating: entry.rating,
-            routes: entry.routes,
-            officialName: entry.name,
-            fuzzyMatch: true,
-          };
-        }
-      }
+/**
+ * One-line description of a register change, for alerts.
+ */
+function describeChange(change) {
+  const { name, before, after } = change;
+  switch (change.change) {
+    case "removed":
+      return `${name} is no longer on the register of licensed sponsors`;
+    case "added":
+      return `${name} is now a licensed sponsor (${after.rating}-rated)`;
+    case "rating":
+      return `${name}'s licence rating changed from ${before.rating} to ${after.rating}`;
+    default: {
+      const lost = before.routes.filter((r) => !after.routes.includes(r));
+      const gained = after.routes.filter((r) => !before.routes.includes(r));
+      const parts = [];
+      if (lost.length) parts.push(`lost ${lost.join(", ")}`);
+      if (gained.length) parts.push(`gained ${gained.join(", ")}`);
+      return `${name}'s licence routes changed: ${parts.join("; ")}`;
     }
   }
+}
+
+/**
+ * Check if a company name appears in the sponsor register.
+ * Returns { verified, rating, routes, skilledWorker, officialName, confidence,
+ * ambiguous, register, match } or { verified: false, register, match }, where
+ * routes are every licence route the sponsor holds, skilledWorker says
+ * whether they include Skilled Worker (null if the register didn't say),
+ * register is the published date of the snapshot checked against and match
+ * is the stored form of the resolution (candidates, override; see company.js).
+ */
+function checkSponsor(companyName) {
+  if (!directory || !companyName) return { verified: false, register: null, match: null };
+  const register = snapshot ? snapshot.published_on : null;
+
+  const resolution = resolveCompany(companyName, directory, { aliases: ALIASES });
+  const match = describeResolution(resolution);
+  if (!resolution.match) return { verified: false, register, match };
+
+  const entry = sponsorMap.get(resolution.match.key);
+  return {
+    verified: true,
+    rating: entry.rating,
+    routes: entry.routes,
+    skilledWorker: holdsSkilledWorkerRoute(entry.routes.length ? entry.routes : null),
+    officialName: entry.name,
+    confidence: resolution.match.confidence,
+    ambiguous: resolution.ambiguous,
+    register,
+    match,
+  };
+}
+
+/**
+ * The directory lookups run against (for the benchmark).
+ */
+function getDirectory() {
+  return directory;
+}
+
+function hasSponsor(key) {
+  return Boolean(sponsorMap && sponsorMap.has(key));
+}
 
-  return { verified: false };
+/**
+ * The snapshot the current lookup was built from, or null.
+ */
+function getCurrentSnapshot() {
+  return snapshot;
 }
 
 /**
  * Ensure the register is loaded (lazy init).
  */
 async function ensureLoaded() {
-  if (!sponsorSet) {
+  if (!directory) {
     await loadSponsorRegister();
+    recordMissingRoutes();
   }
 }
 
-module.exports = { loadSponsorRegister, checkSponsor, ensureLoaded, normalise };
+/**
+ * Jobs verified before licence routes were stored have no sponsor_routes,
+ * so a sponsor without the Skilled Worker route still looks eligible.
+ * Check them again once, against the loaded register.
+ */
+function recordMissingRoutes() {
+  if (!sponsorMap.size) return;
+  const jobs = db.getJobsForCompanyCheck().filter((job) => job.verified_sponsor === 1 && !job.sponsor_routes);
+  if (!jobs.length) return;
+  db.updateSponsorVerification(reverifyJobs(jobs));
+  console.log(`  [Sponsor] Recorded licence routes for ${jobs.length} verified jobs`);
+}
+
+module.exports = {
+  loadSponsorRegister, checkSponsor, ensureLoaded, normalise,
+  discoverRegisterUrl, getCurrentSnapshot, diffRegisters, reverifyJobs, hasSponsor,
+  getDirectory, ALIASES,
+};
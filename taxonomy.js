@@ -0,0 +1,174 @@
+// ============================================================
+// ESG Relevance Taxonomy
+// One versioned term list (taxonomy.json, or TAXONOMY_FILE)
+// shared by the fetcher's relevance filters and the heuristic
+// scorer. Every filter returns an explanation — which rule and
+// terms admitted the job — or null when the job is rejected.
+//
+//   strong    — a single match anywhere is enough
+//   weak      — ambiguous; counts in the title, or 3+ together
+//   roleWords — ESG-adjacent title words trusted after an ESG search
+//   deep      — specialist terms that raise the heuristic score
+//   synonyms  — canonical term -> alternative spellings
+//   translations — language -> canonical term -> the term in that
+//               language, so German, French and Dutch listings
+//               match (and are explained) as the English term
+//   negative  — phrases masked out before matching ("carbon fibre")
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const TAXONOMY_FILE = process.env.TAXONOMY_FILE || path.join(__dirname, "taxonomy.json");
+const LISTS = ["strong", "weak", "roleWords", "deep", "negative"];
+
+/**
+ * Read and validate the taxonomy file. A broken taxonomy would silently
+ * change what the board shows, so fail loudly instead.
+ */
+function loadTaxonomy(file = TAXONOMY_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  for (const list of LISTS) {
+    if (!Array.isArray(raw[list])) throw new Error(`Taxonomy ${file} is missing the "${list}" list`);
+  }
+
+  // Translations are more spellings of the English term
+  const synonyms = {};
+  const known = new Set(LISTS.flatMap((list) => raw[list].map((t) => t.toLowerCase())));
+  for (const [language, terms] of [["", raw.synonyms || {}], ...Object.entries(raw.translations || {})]) {
+    for (const [term, variants] of Object.entries(terms)) {
+      const canonical = term.toLowerCase();
+      if (language && !known.has(canonical)) {
+        throw new Error(`Taxonomy ${file} translates "${term}" (${language}), which isn't in any list`);
+      }
+      synonyms[canonical] = [...(synonyms[canonical] || []), ...variants];
+    }
+  }
+  // Each term carries the spellings that count as a match for it
+  const expand = (terms) => terms.map((term) => {
+    const canonical = term.toLowerCase();
+    return { term: canonical, variants: [canonical, ...(synonyms[canonical] || []).map((v) => v.toLowerCase())] };
+  });
+
+  return {
+    version: raw.version || 1,
+    languages: Object.keys(raw.translations || {}),
+    strong: expand(raw.strong),
+    weak: expand(raw.weak),
+    roleWords: expand(raw.roleWords),
+    deep: expand(raw.deep),
+    negative: raw.negative.map((n) => n.toLowerCase()),
+  };
+}
+
+const taxonomy = loadTaxonomy();
+console.log(`  [Taxonomy] Loaded v${taxonomy.version} (${taxonomy.strong.length} strong, ${taxonomy.weak.length} weak, ${taxonomy.deep.length} deep terms${taxonomy.languages.length ? `; translated into ${taxonomy.languages.join(", ")}` : ""})`);
+
+// ---------------------------------------------------------------------------
+// Matching helpers
+// ---------------------------------------------------------------------------
+function prepare(text) {
+  let lower = (text || "").toLowerCase();
+  for (const phrase of taxonomy.negative) {
+    if (lower.includes(phrase)) lower = lower.split(phrase).join(" ");
+  }
+  return lower;
+}
+
+/**
+ * Canonical terms from `list` that appear in already-prepared text.
+ */
+function hits(list, text) {
+  return list.filter(({ variants }) => variants.some((v) => text.includes(v))).map(({ term }) => term);
+}
+
+function explain(filter, rule, terms) {
+  return { filter, rule, terms: [...new Set(terms)], version: taxonomy.version };
+}
+
+// ---------------------------------------------------------------------------
+// Filters
+// ---------------------------------------------------------------------------
+
+/**
+ * Standard ESG filter:
+ *   1. any STRONG term anywhere
+ *   2. a WEAK term in the title (the title is intentional)
+ *   3. 3+ WEAK terms in the full text
+ */
+function matchESG(title, description, tags) {
+  const titleText = prepare(title);
+  const allText = `${titleText} ${prepare(description)} ${prepare(tags)}`;
+
+  const strong = hits(taxonomy.strong, allText);
+  if (strong.length) return explain("standard", "strong", strong);
+
+  const weakInTitle = hits(taxonomy.weak, titleText);
+  if (weakInTitle.length) return explain("standard", "weak-title", weakInTitle);
+
+  const weak = hits(taxonomy.weak, allText);
+  if (weak.length >= 3) return explain("standard", "weak-count", weak);
+
+  return null;
+}
+
+/**
+ * Strict filter for noisy sources (The Muse, strict feeds): a STRONG term
+ * in the title or tags, or 2+ STRONG terms in the description.
+ */
+function matchESGStrict(title, description, tags) {
+  const inTitle = hits(taxonomy.strong, `${prepare(title)} ${prepare(tags)}`);
+  if (inTitle.length) return explain("strict", "strong-title", inTitle);
+
+  const inDescription = hits(taxonomy.strong, prepare(description));
+  if (inDescription.length >= 2) return explain("strict", "strong-description", inDescription);
+
+  return null;
+}
+
+/**
+ * Whether a search phrase is itself ESG-targeted (contains a STRONG term).
+ */
+function matchESGQuery(query) {
+  const terms = hits(taxonomy.strong, prepare(query));
+  return terms.length ? explain("search", "esg-query", terms) : null;
+}
+
+/**
+ * Search-based filter for sources with short snippets (Jooble, Reed, Adzuna):
+ * pass the standard filter, or come from an ESG-targeted search and carry
+ * an ESG-adjacent role word in the title.
+ */
+function matchESGSearch(title, snippet, query) {
+  const standard = matchESG(title, snippet, "");
+  if (standard) return { ...standard, filter: "search" };
+
+  const queryMatch = matchESGQuery(query);
+  const roleWords = hits(taxonomy.roleWords, prepare(title));
+  if (queryMatch && roleWords.length) {
+    return explain("search", "search-trust", [...queryMatch.terms, ...roleWords]);
+  }
+
+  return null;
+}
+
+/**
+ * Explanation for a job from a source that applies no filter: what the
+ * standard rules would have said, recorded under filter "off".
+ */
+function explainUnfiltered(title, description, tags) {
+  const standard = matchESG(title, description, tags);
+  return standard ? { ...standard, filter: "off" } : explain("off", "none", []);
+}
+
+/**
+ * DEEP terms in a piece of text, for the heuristic scorer.
+ */
+function deepTerms(text) {
+  return hits(taxonomy.deep, prepare(text));
+}
+
+module.exports = {
+  matchESG, matchESGStrict, matchESGSearch, matchESGQuery, explainUnfiltered, deepTerms,
+  loadTaxonomy, version: taxonomy.version,
+};